@@ -1,6 +1,32 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import { ToastContainer, toast } from 'react-toastify';
+import { useLocalStorage } from 'react-storage-complete';
+import AuthScreen from './components/AuthScreen';
+import EditableFoodEntry from './components/EditableFoodEntry';
+import ConfidenceBadge from './components/ConfidenceBadge';
+import TrendChart from './components/TrendChart';
+import NutrientProgress from './components/NutrientProgress';
+import AllNutrientsPanel from './components/AllNutrientsPanel';
+import GoalsCard from './components/GoalsCard';
+import FoodSearchInput from './components/FoodSearchInput';
+import BarcodeEntry from './components/BarcodeEntry';
+import MealPicker from './components/MealPicker';
+import QuickAdd from './components/QuickAdd';
+import DataScreen from './components/DataScreen';
+import HistoryScreen from './components/HistoryScreen';
+import PendingSync from './components/PendingSync';
+import FoodChips from './components/FoodChips';
+import CopyDayForm from './components/CopyDayForm';
+import BodyScreen from './components/BodyScreen';
+import MealSection from './components/MealSection';
+import RecipesScreen from './components/RecipesScreen';
+import { UNIT_OPTIONS } from './units';
+import { localToday, localTimeZone, shiftDate, formatDisplayDate, formatTime } from './dates';
+import { initialMealTiming, mealTimingPayload, mealLabel } from './meals';
+import {
+  newClientId, userIdFromToken, isOfflineError, queueFoodLog, pendingFoodLogs, discardFoodLog, retryFoodLog, syncFoodLogs,
+} from './offlineQueue';
 import './App.css';
 import 'react-toastify/dist/ReactToastify.css';
 
@@ -10,26 +36,125 @@ function App() {
     quantity: '',
     unit: 'grams'
   });
+  const [selectedProduct, setSelectedProduct] = useState(null);
+  const [entryMode, setEntryMode] = useState('search');
+  const [mealTiming, setMealTiming] = useState(initialMealTiming);
   const [chatMessage, setChatMessage] = useState('');
   const [chatMessages, setChatMessages] = useState([]);
+  const [chatConversationId, setChatConversationId] = useState(null);
   const [dailySummary, setDailySummary] = useState(null);
+  const [summaryDate, setSummaryDate] = useState(localToday());
   const [loading, setLoading] = useState(false);
   const [activeTab, setActiveTab] = useState('food-entry');
   const [foodLog, setFoodLog] = useState([]);
+  const [authToken, setAuthToken] = useLocalStorage('authToken', null, { prefix: 'nutrition-tracker' });
+  const [currentUser, setCurrentUser] = useState(null);
+  const [pendingLogs, setPendingLogs] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [online, setOnline] = useState(navigator.onLine);
 
   // API base URL - uses proxy from package.json
   const API_BASE = process.env.REACT_APP_API_URL || '/api';
 
-  // Load initial data when component mounts
+  // Drop the stored session whenever the API rejects our token
   useEffect(() => {
-    fetchDailySummary();
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        if (error.response?.status === 401 && error.config?.headers?.Authorization) {
+          setAuthToken(null);
+          setCurrentUser(null);
+        }
+        return Promise.reject(error);
+      }
+    );
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [setAuthToken]);
+
+  // Attach the token and the browser's time zone to every request and load the user's data once logged in
+  useEffect(() => {
+    if (!authToken) {
+      delete axios.defaults.headers.common.Authorization;
+      return;
+    }
+    axios.defaults.headers.common.Authorization = `Bearer ${authToken}`;
+    axios.defaults.headers.common['X-Timezone'] = localTimeZone();
+    fetchCurrentUser();
     fetchFoodLog();
-  }, []);
+  }, [authToken]);
+
+  // Reload the summary whenever the selected day changes
+  useEffect(() => {
+    if (authToken) fetchDailySummary();
+  }, [authToken, summaryDate]);
+
+  // Entries logged offline: show what's queued and send it once the connection is back
+  useEffect(() => {
+    if (!authToken) return undefined;
+    syncPendingLogs();
+    const handleOnline = () => {
+      setOnline(true);
+      syncPendingLogs();
+    };
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    // "online" doesn't fire when the device was connected but the server was down
+    const retry = setInterval(syncPendingLogs, 60 * 1000);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      clearInterval(retry);
+    };
+  }, [authToken]);
+
+  // Fetch the logged-in user's profile
+  const fetchCurrentUser = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/me`);
+      setCurrentUser(response.data.data.user);
+    } catch (error) {
+      console.error('Error fetching current user:', error);
+    }
+  };
+
+  // Save the browser's time zone as the account's, for clients that don't send one
+  const saveTimeZone = async () => {
+    try {
+      const response = await axios.put(`${API_BASE}/me`, { timezone: localTimeZone() });
+      setCurrentUser(response.data.data.user);
+      toast.success(`Time zone set to ${response.data.data.user.timezone}.`);
+    } catch (error) {
+      console.error('Error saving time zone:', error);
+      toast.error('Error saving your time zone. Please try again.');
+    }
+  };
+
+  const handleAuthenticated = (token, user) => {
+    setCurrentUser(user);
+    setAuthToken(token);
+  };
+
+  const handleLogout = async () => {
+    try {
+      await axios.post(`${API_BASE}/auth/logout`);
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    setAuthToken(null);
+    setCurrentUser(null);
+    setPendingLogs([]);
+    setFoodLog([]);
+    setDailySummary(null);
+    setChatMessages([]);
+    setChatConversationId(null);
+    setActiveTab('food-entry');
+  };
 
   // Fetch daily summary from backend
   const fetchDailySummary = async () => {
     try {
-      const response = await axios.get(`${API_BASE}/daily-summary`);
+      const response = await axios.get(`${API_BASE}/daily-summary`, { params: { date: summaryDate } });
       setDailySummary(response.data.data);
     } catch (error) {
       console.error('Error fetching daily summary:', error);
@@ -39,28 +164,84 @@ function App() {
   // Fetch food log entries
   const fetchFoodLog = async () => {
     try {
-      const response = await axios.get(`${API_BASE}/food-log`);
+      const response = await axios.get(`${API_BASE}/food-log`, { params: { limit: 5 } });
       setFoodLog(response.data.data.items);
     } catch (error) {
       console.error('Error fetching food log:', error);
     }
   };
 
+  const refreshAfterLog = async () => {
+    await fetchFoodLog();
+    await fetchDailySummary();
+  };
+
+  // Show the day the entries were copied to
+  const handleDayCopied = async (toDate) => {
+    await fetchFoodLog();
+    setSummaryDate(toDate);
+  };
+
+  const loadPendingLogs = async () => {
+    try {
+      setPendingLogs(await pendingFoodLogs(userIdFromToken(authToken)));
+    } catch (error) {
+      console.error('Error reading queued entries:', error);
+    }
+  };
+
+  // Replay queued entries; the list is reloaded either way so rejected ones show their error
+  const syncPendingLogs = async () => {
+    const userId = userIdFromToken(authToken);
+    if (!userId) return;
+    setSyncing(true);
+    try {
+      const { sent, rejected } = await syncFoodLogs(API_BASE, userId);
+      if (sent > 0) {
+        toast.success(`${sent} offline entr${sent === 1 ? 'y' : 'ies'} synced.`);
+        await refreshAfterLog();
+      }
+      if (rejected > 0) toast.error(`${rejected} offline entr${rejected === 1 ? 'y was' : 'ies were'} rejected. Check the pending list.`);
+    } catch (error) {
+      console.error('Error syncing queued entries:', error);
+    }
+    setSyncing(false);
+    await loadPendingLogs();
+  };
+
+  const handleRetryPending = async (id) => {
+    await retryFoodLog(id);
+    await syncPendingLogs();
+  };
+
+  const handleDiscardPending = async (id) => {
+    await discardFoodLog(id);
+    await loadPendingLogs();
+  };
+
   // Handle food form submission
   const handleFoodSubmit = async (e) => {
     e.preventDefault();
     if (!foodData.food || !foodData.quantity) return;
 
     setLoading(true);
-    try {
-      const response = await axios.post(`${API_BASE}/food-log`, {
-        food_name: foodData.food,
-        quantity: parseFloat(foodData.quantity),
-        unit: foodData.unit
-      });
-      
-      // Reset form
+    // The client ID is the Idempotency-Key, here and if the entry has to be replayed later
+    const clientId = newClientId();
+    const payload = {
+      food_name: foodData.food,
+      quantity: parseFloat(foodData.quantity),
+      unit: foodData.unit,
+      product_code: selectedProduct?.code || undefined,
+      ...mealTimingPayload(mealTiming)
+    };
+    const resetForm = () => {
       setFoodData({ food: '', quantity: '', unit: 'grams' });
+      setSelectedProduct(null);
+    };
+    try {
+      if (!navigator.onLine) throw new Error('offline');
+      await axios.post(`${API_BASE}/food-log`, payload, { headers: { 'Idempotency-Key': clientId } });
+      resetForm();
       
       // Refresh data
       await fetchFoodLog();
@@ -68,28 +249,121 @@ function App() {
       
       toast.success('Food logged successfully!');
     } catch (error) {
-      console.error('Error logging food:', error);
-      const errorMessage = error.response?.data?.message || 'Error logging food. Please try again.';
-      toast.error(errorMessage);
+      if (isOfflineError(error)) {
+        // Keep the entry on the device and send it when the server can be reached
+        try {
+          await queueFoodLog(userIdFromToken(authToken), clientId, payload);
+          await loadPendingLogs();
+          resetForm();
+          toast.info("Can't reach the server. Entry saved on this device and will sync when you're back online.");
+        } catch (queueError) {
+          console.error('Error queueing food entry:', queueError);
+          toast.error('Error logging food. Please try again.');
+        }
+      } else {
+        console.error('Error logging food:', error);
+        const errorMessage = error.response?.data?.message || 'Error logging food. Please try again.';
+        toast.error(errorMessage);
+      }
     }
     setLoading(false);
   };
 
-  // Handle chat message submission
-  const handleChatSubmit = async (e) => {
-    e.preventDefault();
-    if (!chatMessage.trim()) return;
+  // Update an existing entry; resolves to true when saved so the editor can close
+  const handleUpdateEntry = async (id, values) => {
+    try {
+      const response = await axios.put(`${API_BASE}/food-log/${id}`, values);
+      await fetchFoodLog();
+      await fetchDailySummary();
+      toast.success(response.data.data.recalculated ? 'Entry updated and nutrition recalculated!' : 'Entry updated!');
+      return true;
+    } catch (error) {
+      console.error('Error updating food entry:', error);
+      const errorMessage = error.response?.data?.message || 'Error updating entry. Please try again.';
+      toast.error(errorMessage);
+      return false;
+    }
+  };
+
+  // Correct an entry's nutrition by hand; resolves to true when saved
+  const handleFixNutrition = async (id, values) => {
+    try {
+      await axios.patch(`${API_BASE}/food-log/${id}/nutrition`, values);
+      await fetchFoodLog();
+      await fetchDailySummary();
+      toast.success('Nutrition corrected!');
+      return true;
+    } catch (error) {
+      console.error('Error correcting nutrition:', error);
+      const errorMessage = error.response?.data?.message || 'Error correcting nutrition. Please try again.';
+      toast.error(errorMessage);
+      return false;
+    }
+  };
+
+  // Bring back a soft-deleted entry (used by the "Undo" toast)
+  const handleRestoreEntry = async (id) => {
+    try {
+      await axios.post(`${API_BASE}/food-log/${id}/restore`);
+      await fetchFoodLog();
+      await fetchDailySummary();
+      toast.success('Entry restored!');
+    } catch (error) {
+      console.error('Error restoring food entry:', error);
+      const errorMessage = error.response?.data?.message || 'Error restoring entry. Please try again.';
+      toast.error(errorMessage);
+    }
+  };
+
+  // Soft-delete an entry and offer an undo
+  const handleDeleteEntry = async (id, name) => {
+    try {
+      await axios.delete(`${API_BASE}/food-log/${id}`);
+      await fetchFoodLog();
+      await fetchDailySummary();
+      toast.info(({ closeToast }) => (
+        <div className="undo-toast">
+          <span>Deleted {name}.</span>
+          <button
+            type="button"
+            className="undo-btn"
+            onClick={() => {
+              handleRestoreEntry(id);
+              closeToast();
+            }}
+          >
+            Undo
+          </button>
+        </div>
+      ), { autoClose: 6000 });
+    } catch (error) {
+      console.error('Error deleting food entry:', error);
+      const errorMessage = error.response?.data?.message || 'Error deleting entry. Please try again.';
+      toast.error(errorMessage);
+    }
+  };
 
-    const userMessage = { type: 'user', message: chatMessage };
+  // Send a chat message (typed or a quick reply); the conversation id keeps follow-up context
+  const sendChatMessage = async (text) => {
+    if (!text.trim()) return;
+
+    const userMessage = { type: 'user', message: text };
     setChatMessages(prev => [...prev, userMessage]);
     
     setLoading(true);
     try {
       const response = await axios.post(`${API_BASE}/chat`, {
-        message: chatMessage
+        message: text,
+        conversation_id: chatConversationId || undefined,
+        date: localToday(),
+        ...mealTimingPayload(mealTiming)
       });
+      const { conversation_id, intent, response: reply, suggestions } = response.data.data;
+      setChatConversationId(conversation_id);
+      // "log ..." commands add entries once confirmed
+      if (intent === 'confirm') await refreshAfterLog();
       
-      const botMessage = { type: 'bot', message: response.data.response };
+      const botMessage = { type: 'bot', message: reply, suggestions };
       setChatMessages(prev => [...prev, botMessage]);
       
       setChatMessage('');
@@ -101,6 +375,22 @@ function App() {
     setLoading(false);
   };
 
+  // Handle chat message submission
+  const handleChatSubmit = (e) => {
+    e.preventDefault();
+    sendChatMessage(chatMessage);
+  };
+
+  // Picking a search result: products with a code are logged exactly; generic foods just fill in the name
+  const handleProductSelect = (candidate) => {
+    if (!candidate) {
+      setSelectedProduct(null);
+      return;
+    }
+    handleInputChange('food', candidate.product_name);
+    setSelectedProduct(candidate.code ? candidate : null);
+  };
+
   // Handle form input changes
   const handleInputChange = (field, value) => {
     setFoodData(prev => ({
@@ -109,12 +399,47 @@ function App() {
     }));
   };
 
+  // All tabs are guarded behind a session
+  if (!authToken) {
+    return (
+      <div className="App">
+        <ToastContainer position="top-right" autoClose={3000} hideProgressBar={false} />
+        <header className="App-header">
+          <h1>Nutrition Tracker</h1>
+          <p>Track your daily food intake and nutritional values</p>
+        </header>
+        <main className="main-content">
+          <AuthScreen apiBase={API_BASE} onAuthenticated={handleAuthenticated} />
+        </main>
+      </div>
+    );
+  }
+
   return (
     <div className="App">
       <ToastContainer position="top-right" autoClose={3000} hideProgressBar={false} />
       <header className="App-header">
         <h1>Nutrition Tracker</h1>
         <p>Track your daily food intake and nutritional values</p>
+        <div className="user-bar">
+          <span>{currentUser ? `Signed in as ${currentUser.name}` : 'Signed in'}</span>
+          <PendingSync
+            entries={pendingLogs}
+            syncing={syncing}
+            online={online}
+            onSync={syncPendingLogs}
+            onRetry={handleRetryPending}
+            onDiscard={handleDiscardPending}
+          />
+          {currentUser && currentUser.timezone !== localTimeZone() && (
+            <button type="button" className="logout-btn" onClick={saveTimeZone} title={`Your account uses ${currentUser.timezone}`}>
+              Use {localTimeZone()} time
+            </button>
+          )}
+          <button type="button" className="logout-btn" onClick={handleLogout}>
+            Log Out
+          </button>
+        </div>
       </header>
 
       <nav className="tab-navigation">
@@ -130,6 +455,30 @@ function App() {
         >
           Daily Summary
         </button>
+        <button 
+          className={activeTab === 'history' ? 'tab active' : 'tab'}
+          onClick={() => setActiveTab('history')}
+        >
+          History
+        </button>
+        <button 
+          className={activeTab === 'body' ? 'tab active' : 'tab'}
+          onClick={() => setActiveTab('body')}
+        >
+          Body
+        </button>
+        <button 
+          className={activeTab === 'recipes' ? 'tab active' : 'tab'}
+          onClick={() => setActiveTab('recipes')}
+        >
+          Recipes
+        </button>
+        <button 
+          className={activeTab === 'data' ? 'tab active' : 'tab'}
+          onClick={() => setActiveTab('data')}
+        >
+          Data
+        </button>
         <button 
           className={activeTab === 'chat' ? 'tab active' : 'tab'}
           onClick={() => setActiveTab('chat')}
@@ -142,67 +491,116 @@ function App() {
         {activeTab === 'food-entry' && (
           <section className="food-entry-section">
             <h2>Log Your Food</h2>
-            <form onSubmit={handleFoodSubmit} className="food-form">
-              <div className="form-group">
-                <label htmlFor="food">Food Item:</label>
-                <input
-                  type="text"
-                  id="food"
-                  value={foodData.food}
-                  onChange={(e) => handleInputChange('food', e.target.value)}
-                  placeholder="e.g., banana, chicken breast"
-                  required
-                />
-              </div>
+            <div className="range-buttons entry-mode">
+              <button
+                type="button"
+                className={entryMode === 'search' ? 'range-btn active' : 'range-btn'}
+                onClick={() => setEntryMode('search')}
+              >
+                🔍 Search
+              </button>
+              <button
+                type="button"
+                className={entryMode === 'barcode' ? 'range-btn active' : 'range-btn'}
+                onClick={() => setEntryMode('barcode')}
+              >
+                ▥ Scan / enter barcode
+              </button>
+              <button
+                type="button"
+                className={entryMode === 'quick' ? 'range-btn active' : 'range-btn'}
+                onClick={() => setEntryMode('quick')}
+              >
+                ✎ Quick add
+              </button>
+            </div>
+            <MealPicker value={mealTiming} onChange={setMealTiming} />
+            <FoodChips apiBase={API_BASE} mealTiming={mealTiming} refreshKey={foodLog} onLogged={refreshAfterLog} />
+            {entryMode === 'barcode' && (
+              <BarcodeEntry apiBase={API_BASE} mealTiming={mealTiming} onLogged={refreshAfterLog} />
+            )}
+            {entryMode === 'quick' && (
+              <QuickAdd apiBase={API_BASE} mealTiming={mealTiming} onLogged={refreshAfterLog} />
+            )}
+            {entryMode === 'search' && (
+              <form onSubmit={handleFoodSubmit} className="food-form">
+                <div className="form-group">
+                  <label htmlFor="food">Food Item:</label>
+                  <FoodSearchInput
+                    apiBase={API_BASE}
+                    value={foodData.food}
+                    selected={selectedProduct}
+                    onChange={(value) => {
+                      handleInputChange('food', value);
+                      setSelectedProduct(null);
+                    }}
+                    onSelect={handleProductSelect}
+                  />
+                </div>
               
-              <div className="form-group">
-                <label htmlFor="quantity">Quantity:</label>
-                <input
-                  type="number"
-                  id="quantity"
-                  value={foodData.quantity}
-                  onChange={(e) => handleInputChange('quantity', e.target.value)}
-                  placeholder="e.g., 100"
-                  step="0.1"
-                  required
-                />
-              </div>
+                <div className="form-group">
+                  <label htmlFor="quantity">Quantity:</label>
+                  <input
+                    type="number"
+                    id="quantity"
+                    value={foodData.quantity}
+                    onChange={(e) => handleInputChange('quantity', e.target.value)}
+                    placeholder="e.g., 100"
+                    step="0.1"
+                    required
+                  />
+                </div>
               
-              <div className="form-group">
-                <label htmlFor="unit">Unit:</label>
-                <select
-                  id="unit"
-                  value={foodData.unit}
-                  onChange={(e) => handleInputChange('unit', e.target.value)}
-                >
-                  <option value="grams">Grams</option>
-                  <option value="ounces">Ounces</option>
-                  <option value="cups">Cups</option>
-                  <option value="pieces">Pieces</option>
-                  <option value="servings">Servings</option>
-                </select>
-              </div>
+                <div className="form-group">
+                  <label htmlFor="unit">Unit:</label>
+                  <select
+                    id="unit"
+                    value={foodData.unit}
+                    onChange={(e) => handleInputChange('unit', e.target.value)}
+                  >
+                    {UNIT_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
               
-              <button type="submit" disabled={loading} className="submit-btn">
-                {loading ? 'Logging...' : 'Log Food'}
-              </button>
-            </form>
+                <button type="submit" disabled={loading} className="submit-btn">
+                  {loading ? 'Logging...' : 'Log Food'}
+                </button>
+              </form>
+            )}
 
             {/* Recent food log entries */}
             <div className="recent-entries">
               <h3>Recent Entries</h3>
               {foodLog.length > 0 ? (
                 <ul className="food-log-list">
-                  {foodLog.slice(0, 5).map((entry) => (
-                    <li key={entry.id} className="food-entry">
+                  {foodLog.map((entry) => (
+                    <EditableFoodEntry
+                      key={entry.id}
+                      entry={entry}
+                      name={entry.food_name}
+                      className="food-entry"
+                      onSave={handleUpdateEntry}
+                      onDelete={handleDeleteEntry}
+                      onFixNutrition={handleFixNutrition}
+                    >
                       <strong>{entry.food_name}</strong> - {entry.quantity} {entry.unit}
+                      <span className="entry-meal"> · {mealLabel(entry.meal)}{entry.eaten_at && `, ${formatTime(entry.eaten_at)}`}</span>
+                      <ConfidenceBadge entry={entry} />
                       <div className="nutrition-info">
                         Calories: {typeof entry.calories === 'number' ? entry.calories.toFixed(2) : 'N/A'} | 
                         Protein: {typeof entry.protein === 'number' ? entry.protein.toFixed(2) : 'N/A'}g | 
                         Carbs: {typeof entry.carbs === 'number' ? entry.carbs.toFixed(2) : 'N/A'}g | 
                         Fat: {typeof entry.fat === 'number' ? entry.fat.toFixed(2) : 'N/A'}g
+                        {entry.nutrition_source && (
+                          <span className="nutrition-source">
+                            {' '}· via {entry.nutrition_source}
+                            {entry.match_name && entry.match_name !== entry.food_name && ` as “${entry.match_name}”`}
+                          </span>
+                        )}
                       </div>
-                    </li>
+                    </EditableFoodEntry>
                   ))}
                 </ul>
               ) : (
@@ -215,42 +613,85 @@ function App() {
         {activeTab === 'daily-summary' && (
           <section className="daily-summary-section">
             <h2>Daily Summary</h2>
+            <div className="date-nav">
+              <button type="button" className="range-btn" onClick={() => setSummaryDate(shiftDate(summaryDate, -1))}>
+                ‹ Prev
+              </button>
+              <input
+                type="date"
+                value={summaryDate}
+                max={localToday()}
+                onChange={(e) => e.target.value && setSummaryDate(e.target.value)}
+                aria-label="Summary date"
+              />
+              <button
+                type="button"
+                className="range-btn"
+                onClick={() => setSummaryDate(shiftDate(summaryDate, 1))}
+                disabled={summaryDate >= localToday()}
+              >
+                Next ›
+              </button>
+              {summaryDate !== localToday() && (
+                <button type="button" className="range-btn" onClick={() => setSummaryDate(localToday())}>
+                  Today
+                </button>
+              )}
+            </div>
             {dailySummary ? (
               <div className="summary-content">
                 <div className="summary-card">
-                  <h3>Today's Nutrition</h3>
+                  <h3>{summaryDate === localToday() ? "Today's Nutrition" : `Nutrition for ${formatDisplayDate(summaryDate)}`}</h3>
                   <div className="nutrition-grid">
-                    <div className="nutrition-item">
-                      <span className="label">Calories:</span>
-                      <span className="value">{(dailySummary.total_calories || 0).toFixed(2)}</span>
-                    </div>
-                    <div className="nutrition-item">
-                      <span className="label">Protein:</span>
-                      <span className="value">{(dailySummary.total_protein || 0).toFixed(2)}g</span>
-                    </div>
-                    <div className="nutrition-item">
-                      <span className="label">Carbohydrates:</span>
-                      <span className="value">{(dailySummary.total_carbs || 0).toFixed(2)}g</span>
-                    </div>
-                    <div className="nutrition-item">
-                      <span className="label">Fat:</span>
-                      <span className="value">{(dailySummary.total_fat || 0).toFixed(2)}g</span>
-                    </div>
+                    <NutrientProgress label="Calories" unit="" progress={dailySummary.nutrients.calories} />
+                    <NutrientProgress label="Protein" unit="g" progress={dailySummary.nutrients.protein} />
+                    <NutrientProgress label="Carbohydrates" unit="g" progress={dailySummary.nutrients.carbs} />
+                    <NutrientProgress label="Fat" unit="g" progress={dailySummary.nutrients.fat} />
                   </div>
+                  {dailySummary.water && dailySummary.water.total_ml > 0 && (
+                    <p className="trend-stats">💧 Water: {dailySummary.water.total_ml.toLocaleString()} ml</p>
+                  )}
                 </div>
+
+                <AllNutrientsPanel nutrients={dailySummary.all_nutrients} foodCount={dailySummary.food_count || 0} />
+
+                <GoalsCard apiBase={API_BASE} onSaved={fetchDailySummary} />
                 
                 <div className="summary-card">
                   <h3>Food Items ({dailySummary.food_count || 0})</h3>
-                  {dailySummary.foods && dailySummary.foods.length > 0 ? (
-                    <ul className="foods-list">
-                      {dailySummary.foods.map((food, index) => (
-                        <li key={index}>{food.name} - {food.quantity} {food.unit}</li>
-                      ))}
-                    </ul>
+                  {dailySummary.meals && dailySummary.meals.length > 0 ? (
+                    dailySummary.meals.map((group) => (
+                      <MealSection key={group.meal || 'unassigned'} group={group}>
+                        {group.foods.map((food) => (
+                          <EditableFoodEntry
+                            key={food.id}
+                            entry={food}
+                            name={food.name}
+                            onSave={handleUpdateEntry}
+                            onDelete={handleDeleteEntry}
+                            onFixNutrition={handleFixNutrition}
+                          >
+                            {food.name} - {food.quantity} {food.unit}
+                            {food.eaten_at && <span className="entry-meal"> · {formatTime(food.eaten_at)}</span>}
+                            <ConfidenceBadge entry={food} />
+                          </EditableFoodEntry>
+                        ))}
+                      </MealSection>
+                    ))
                   ) : (
-                    <p>No foods logged today.</p>
+                    <p>{summaryDate === localToday() ? 'No foods logged today.' : 'No foods logged on this day.'}</p>
+                  )}
+                  {dailySummary.food_count > 0 && (
+                    <CopyDayForm
+                      apiBase={API_BASE}
+                      date={summaryDate}
+                      meals={dailySummary.meals.map((group) => group.meal)}
+                      onCopied={handleDayCopied}
+                    />
                   )}
                 </div>
+
+                <TrendChart apiBase={API_BASE} refreshKey={dailySummary} />
               </div>
             ) : (
               <div className="loading-message">
@@ -260,6 +701,27 @@ function App() {
           </section>
         )}
 
+        {activeTab === 'history' && (
+          <HistoryScreen apiBase={API_BASE} />
+        )}
+
+        {activeTab === 'body' && (
+          <BodyScreen apiBase={API_BASE} />
+        )}
+
+        {activeTab === 'recipes' && (
+          <RecipesScreen
+            apiBase={API_BASE}
+            mealTiming={mealTiming}
+            onMealTimingChange={setMealTiming}
+            onLogged={refreshAfterLog}
+          />
+        )}
+
+        {activeTab === 'data' && (
+          <DataScreen apiBase={API_BASE} onImported={refreshAfterLog} />
+        )}
+
         {activeTab === 'chat' && (
           <section className="chat-section">
             <h2>Nutrition Assistant</h2>
@@ -269,16 +731,33 @@ function App() {
                   <div className="welcome-message">
                     <p>👋 Hi! I'm your nutrition assistant. Ask me about:</p>
                     <ul>
-                      <li>Nutritional information about foods</li>
-                      <li>Healthy meal suggestions</li>
-                      <li>Your daily nutrition goals</li>
-                      <li>Diet tips and advice</li>
+                      <li>How much of a nutrient you ate today or this week</li>
+                      <li>Your highest-calorie foods</li>
+                      <li>Comparing today to yesterday</li>
+                      <li>What's left of your daily goals, and foods that fit</li>
+                      <li>Logging foods: "log 2 eggs and a cup of milk"</li>
                     </ul>
                   </div>
                 )}
                 {chatMessages.map((msg, index) => (
                   <div key={index} className={`message ${msg.type}`}>
                     <div className="message-content">{msg.message}</div>
+                    {/* Quick replies only on the latest answer */}
+                    {msg.suggestions && msg.suggestions.length > 0 && index === chatMessages.length - 1 && (
+                      <div className="quick-replies">
+                        {msg.suggestions.map(suggestion => (
+                          <button
+                            key={suggestion}
+                            type="button"
+                            className="quick-reply"
+                            disabled={loading}
+                            onClick={() => sendChatMessage(suggestion)}
+                          >
+                            {suggestion}
+                          </button>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 ))}
                 {loading && (
@@ -293,7 +772,7 @@ function App() {
                   type="text"
                   value={chatMessage}
                   onChange={(e) => setChatMessage(e.target.value)}
-                  placeholder="Ask about nutrition, foods, or health tips..."
+                  placeholder="e.g., How much protein did I eat today?"
                   disabled={loading}
                   className="chat-input"
                 />
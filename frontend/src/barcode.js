@@ -0,0 +1,17 @@
+// GTIN barcode helpers (EAN-8, UPC-A, EAN-13, GTIN-14), mirroring lib/barcode.js on the server
+
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+export const cleanBarcode = (value) => String(value || '').replace(/[\s-]/g, '');
+
+// Check digit: weights 3,1,3,1... from the right, excluding the check digit itself
+export const isValidGtin = (value) => {
+  const code = cleanBarcode(value);
+  if (!/^\d+$/.test(code) || !GTIN_LENGTHS.includes(code.length)) return false;
+  const digits = code.split('').map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((acc, digit, i) => acc + digit * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+};
+
+export const barcodeDetectorSupported = () => typeof window !== 'undefined' && 'BarcodeDetector' in window;
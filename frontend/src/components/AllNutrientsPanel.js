@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+
+const GROUP_LABELS = {
+  energy: 'Energy',
+  macros: 'Macronutrients',
+  minerals: 'Minerals',
+  vitamins: 'Vitamins',
+  other: 'Other',
+};
+
+// Expandable list of every nutrient in the server's catalogue for the day, grouped
+// like the catalogue. Nutrients that only some entries reported are marked as partial.
+function AllNutrientsPanel({ nutrients, foodCount }) {
+  const [expanded, setExpanded] = useState(false);
+  const groups = [];
+  for (const nutrient of nutrients) {
+    let group = groups.find((g) => g.key === nutrient.group);
+    if (!group) {
+      group = { key: nutrient.group, items: [] };
+      groups.push(group);
+    }
+    group.items.push(nutrient);
+  }
+
+  return (
+    <div className="summary-card">
+      <div className="trend-header">
+        <h3>All Nutrients</h3>
+        <button
+          type="button"
+          className="range-btn"
+          aria-expanded={expanded}
+          onClick={() => setExpanded(!expanded)}
+        >
+          {expanded ? 'Hide' : 'Show all'}
+        </button>
+      </div>
+
+      {expanded && groups.map((group) => (
+        <div key={group.key} className="nutrient-group">
+          <h4>{GROUP_LABELS[group.key] || group.key}</h4>
+          <ul className="nutrient-list">
+            {group.items.map((nutrient) => (
+              <li key={nutrient.key}>
+                <span>{nutrient.name}</span>
+                <span className="nutrient-amount">
+                  {nutrient.amount === null ? '—' : `${nutrient.amount} ${nutrient.unit}`}
+                  {nutrient.amount !== null && nutrient.reported < foodCount && (
+                    <span className="nutrient-partial" title="Some entries have no value for this nutrient">
+                      {' '}({nutrient.reported} of {foodCount} entries)
+                    </span>
+                  )}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default AllNutrientsPanel;
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { localTimeZone } from '../dates';
+
+// Login / signup screen shown until the user has a valid session
+function AuthScreen({ apiBase, onAuthenticated }) {
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ name: '', email: '', password: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleInputChange = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const payload = mode === 'signup'
+        ? { name: form.name, email: form.email, password: form.password, timezone: localTimeZone() }
+        : { email: form.email, password: form.password };
+      const response = await axios.post(`${apiBase}/auth/${mode === 'signup' ? 'register' : 'login'}`, payload);
+      const { token, user } = response.data.data;
+      onAuthenticated(token, user);
+      toast.success(mode === 'signup' ? `Welcome, ${user.name}!` : 'Logged in successfully!');
+    } catch (error) {
+      console.error('Error authenticating:', error);
+      const errorMessage = error.response?.data?.message || 'Unable to reach the server. Please try again.';
+      toast.error(errorMessage);
+    }
+    setSubmitting(false);
+  };
+
+  return (
+    <section className="auth-section">
+      <h2>{mode === 'signup' ? 'Create an Account' : 'Log In'}</h2>
+      <form onSubmit={handleSubmit} className="food-form auth-form">
+        {mode === 'signup' && (
+          <div className="form-group">
+            <label htmlFor="name">Name:</label>
+            <input
+              type="text"
+              id="name"
+              value={form.name}
+              onChange={(e) => handleInputChange('name', e.target.value)}
+              autoComplete="name"
+              required
+            />
+          </div>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="email">Email:</label>
+          <input
+            type="email"
+            id="email"
+            value={form.email}
+            onChange={(e) => handleInputChange('email', e.target.value)}
+            autoComplete="email"
+            required
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="password">Password:</label>
+          <input
+            type="password"
+            id="password"
+            value={form.password}
+            onChange={(e) => handleInputChange('password', e.target.value)}
+            autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+            minLength={mode === 'signup' ? 8 : undefined}
+            required
+          />
+        </div>
+
+        <button type="submit" disabled={submitting} className="submit-btn">
+          {submitting ? 'Please wait...' : (mode === 'signup' ? 'Sign Up' : 'Log In')}
+        </button>
+
+        <p className="auth-switch">
+          {mode === 'signup' ? 'Already have an account?' : "Don't have an account yet?"}{' '}
+          <button
+            type="button"
+            className="link-btn"
+            onClick={() => setMode(mode === 'signup' ? 'login' : 'signup')}
+          >
+            {mode === 'signup' ? 'Log in' : 'Sign up'}
+          </button>
+        </p>
+      </form>
+    </section>
+  );
+}
+
+export default AuthScreen;
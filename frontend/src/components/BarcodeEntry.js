@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { cleanBarcode, isValidGtin, barcodeDetectorSupported } from '../barcode';
+import { UNIT_OPTIONS } from '../units';
+import { mealTimingPayload } from '../meals';
+
+const SCAN_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e'];
+
+// "Scan / enter barcode" mode of the Food Entry tab: manual EAN/UPC entry with
+// checksum validation, or camera scanning where the browser has BarcodeDetector
+function BarcodeEntry({ apiBase, mealTiming, onLogged }) {
+  const [code, setCode] = useState('');
+  const [product, setProduct] = useState(null);
+  const [quantity, setQuantity] = useState('');
+  const [unit, setUnit] = useState('grams');
+  const [busy, setBusy] = useState(false);
+  const [scanning, setScanning] = useState(false);
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+
+  const cleaned = cleanBarcode(code);
+  const showChecksumError = cleaned.length >= 8 && !isValidGtin(cleaned);
+
+  const stopCamera = () => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+    setScanning(false);
+  };
+
+  // Always release the camera when leaving barcode mode
+  useEffect(() => stopCamera, []);
+
+  const lookup = async (value) => {
+    const barcode = cleanBarcode(value);
+    if (!isValidGtin(barcode)) {
+      toast.error('That barcode is not valid. Please check the digits.');
+      return;
+    }
+    setBusy(true);
+    setProduct(null);
+    try {
+      const response = await axios.get(`${apiBase}/foods/barcode/${barcode}`);
+      const found = response.data.data;
+      setProduct(found);
+      setQuantity(found.serving_quantity ? String(found.serving_quantity) : '100');
+      setUnit('grams');
+    } catch (error) {
+      console.error('Error looking up barcode:', error);
+      const errorMessage = error.response?.data?.message || 'Error looking up barcode. Please try again.';
+      toast.error(errorMessage);
+    }
+    setBusy(false);
+  };
+
+  // Poll video frames with the native BarcodeDetector until something valid is found
+  useEffect(() => {
+    if (!scanning) return undefined;
+    let cancelled = false;
+    let timer = null;
+    const detector = new window.BarcodeDetector({ formats: SCAN_FORMATS });
+    const start = async () => {
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (cancelled) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        streamRef.current = stream;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        const tick = async () => {
+          if (cancelled) return;
+          try {
+            const barcodes = await detector.detect(videoRef.current);
+            const hit = barcodes.find(b => isValidGtin(b.rawValue));
+            if (hit) {
+              setCode(hit.rawValue);
+              stopCamera();
+              lookup(hit.rawValue);
+              return;
+            }
+          } catch (error) {
+            console.error('Error detecting barcode:', error);
+          }
+          timer = setTimeout(tick, 250);
+        };
+        tick();
+      } catch (error) {
+        console.error('Error starting camera:', error);
+        toast.error('Could not access the camera. You can type the barcode instead.');
+        stopCamera();
+      }
+    };
+    start();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [scanning]);
+
+  const handleLookupSubmit = (e) => {
+    e.preventDefault();
+    lookup(code);
+  };
+
+  const handleLogSubmit = async (e) => {
+    e.preventDefault();
+    if (!product || !quantity) return;
+    setBusy(true);
+    try {
+      await axios.post(`${apiBase}/food-log`, {
+        barcode: product.code,
+        quantity: parseFloat(quantity),
+        unit,
+        ...mealTimingPayload(mealTiming)
+      });
+      toast.success(`${product.product_name} logged successfully!`);
+      setProduct(null);
+      setCode('');
+      setQuantity('');
+      if (onLogged) await onLogged();
+    } catch (error) {
+      console.error('Error logging food:', error);
+      const errorMessage = error.response?.data?.message || 'Error logging food. Please try again.';
+      toast.error(errorMessage);
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div className="food-form barcode-entry">
+      <form onSubmit={handleLookupSubmit}>
+        <div className="form-group">
+          <label htmlFor="barcode">Barcode (EAN / UPC):</label>
+          <div className="barcode-row">
+            <input
+              type="text"
+              id="barcode"
+              inputMode="numeric"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="e.g., 3017620422003"
+              required
+            />
+            <button type="submit" disabled={busy || !isValidGtin(cleaned)} className="range-btn">
+              Look Up
+            </button>
+          </div>
+          {showChecksumError && <p className="progress-note warning">Check digit doesn't match - please re-check the number.</p>}
+        </div>
+      </form>
+
+      {barcodeDetectorSupported() ? (
+        <div className="camera-scan">
+          {scanning ? (
+            <>
+              <video ref={videoRef} className="scan-video" muted playsInline />
+              <button type="button" className="range-btn" onClick={stopCamera}>Stop Camera</button>
+            </>
+          ) : (
+            <button type="button" className="range-btn" onClick={() => setScanning(true)} disabled={busy}>
+              📷 Scan with Camera
+            </button>
+          )}
+        </div>
+      ) : (
+        <p className="progress-note">Camera scanning isn't supported in this browser; enter the barcode manually.</p>
+      )}
+
+      {product && (
+        <form onSubmit={handleLogSubmit} className="barcode-product">
+          <div className="product-card">
+            {product.image_url && <img src={product.image_url} alt="" className="product-image" />}
+            <div>
+              <strong>{product.product_name}</strong>{product.brand ? ` (${product.brand})` : ''}
+              <div className="nutrition-info">
+                Per 100g: {product.per_100g.calories} kcal | Protein {product.per_100g.protein}g |
+                Carbs {product.per_100g.carbs}g | Fat {product.per_100g.fat}g
+              </div>
+              {product.serving_size && <div className="progress-note">Serving size: {product.serving_size}</div>}
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="barcode-quantity">Quantity:</label>
+            <input
+              type="number"
+              id="barcode-quantity"
+              value={quantity}
+              onChange={(e) => setQuantity(e.target.value)}
+              step="0.1"
+              required
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="barcode-unit">Unit:</label>
+            <select id="barcode-unit" value={unit} onChange={(e) => setUnit(e.target.value)}>
+              {UNIT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <button type="submit" disabled={busy} className="submit-btn">
+            {busy ? 'Logging...' : 'Log Food'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default BarcodeEntry;
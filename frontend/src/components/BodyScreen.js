@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { useLocalStorage } from 'react-storage-complete';
+import WeightChart from './WeightChart';
+import { WEIGHT_UNITS, formatWeight, formatWeeklyChange } from '../weights';
+import { formatDisplayDate, formatTime } from '../dates';
+
+const WINDOWS = [14, 28, 56, 90];
+
+// Quick-add buttons for water
+const WATER_SIZES = [
+  { ml: 250, label: '🥛 Glass', detail: '250 ml' },
+  { ml: 500, label: '🧴 Bottle', detail: '500 ml' },
+];
+
+const REASONS = {
+  not_enough_weight_data: 'Log your weight on at least two days a week or more apart to get an estimate.',
+  not_enough_food_logs: 'Log your food on at least 7 days in this window to get an estimate.',
+};
+
+const CONFIDENCE_NOTES = {
+  high: 'Based on regular weigh-ins and most days logged.',
+  medium: 'Weigh in more often and log every day to firm this up.',
+  low: 'Rough estimate: few weigh-ins or many days without food logged.',
+};
+
+// "Body" tab: weigh-ins with their trend, today's water, and the maintenance calorie (TDEE)
+// estimate from /api/insights/energy
+function BodyScreen({ apiBase }) {
+  const [unit, setUnit] = useLocalStorage('weightUnit', 'kg', { prefix: 'nutrition-tracker' });
+  const [weight, setWeight] = useState('');
+  const [note, setNote] = useState('');
+  const [weighIns, setWeighIns] = useState([]);
+  const [windowDays, setWindowDays] = useState(28);
+  const [insights, setInsights] = useState(null);
+  const [water, setWater] = useState({ items: [], total: 0 });
+  const [busy, setBusy] = useState(false);
+
+  const fetchWeighIns = async () => {
+    try {
+      const response = await axios.get(`${apiBase}/weight-log`);
+      setWeighIns(response.data.data.items.slice(0, 10));
+    } catch (error) {
+      console.error('Error fetching weigh-ins:', error);
+    }
+  };
+
+  const fetchInsights = async () => {
+    try {
+      const response = await axios.get(`${apiBase}/insights/energy`, { params: { days: windowDays } });
+      setInsights(response.data.data);
+    } catch (error) {
+      console.error('Error fetching energy estimate:', error);
+    }
+  };
+
+  const fetchWater = async () => {
+    try {
+      const response = await axios.get(`${apiBase}/water-log`);
+      setWater({ items: response.data.data.items, total: response.data.meta.total_ml });
+    } catch (error) {
+      console.error('Error fetching water intake:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchWeighIns();
+    fetchWater();
+  }, [apiBase]);
+
+  useEffect(() => {
+    fetchInsights();
+  }, [apiBase, windowDays]);
+
+  const handleWeightSubmit = async (e) => {
+    e.preventDefault();
+    if (!weight) return;
+    setBusy(true);
+    try {
+      await axios.post(`${apiBase}/weight-log`, { weight: parseFloat(weight), unit, note: note.trim() || undefined });
+      setWeight('');
+      setNote('');
+      toast.success('Weight logged!');
+      await Promise.all([fetchWeighIns(), fetchInsights()]);
+    } catch (error) {
+      console.error('Error logging weight:', error);
+      const errorMessage = error.response?.data?.message || 'Error logging weight. Please try again.';
+      toast.error(errorMessage);
+    }
+    setBusy(false);
+  };
+
+  const handleDeleteWeighIn = async (id) => {
+    try {
+      await axios.delete(`${apiBase}/weight-log/${id}`);
+      await Promise.all([fetchWeighIns(), fetchInsights()]);
+    } catch (error) {
+      console.error('Error deleting weigh-in:', error);
+      toast.error('Error deleting weigh-in. Please try again.');
+    }
+  };
+
+  const addWater = async (ml) => {
+    try {
+      await axios.post(`${apiBase}/water-log`, { amount: ml, unit: 'ml' });
+      await fetchWater();
+    } catch (error) {
+      console.error('Error logging water:', error);
+      const errorMessage = error.response?.data?.message || 'Error logging water. Please try again.';
+      toast.error(errorMessage);
+    }
+  };
+
+  // Entries come newest first, so the first one is the last added
+  const undoWater = async () => {
+    if (water.items.length === 0) return;
+    try {
+      await axios.delete(`${apiBase}/water-log/${water.items[0].id}`);
+      await fetchWater();
+    } catch (error) {
+      console.error('Error removing water entry:', error);
+      toast.error('Error removing water entry. Please try again.');
+    }
+  };
+
+  const estimate = insights?.estimate;
+
+  return (
+    <section className="body-section">
+      <h2>Body</h2>
+
+      <div className="summary-card">
+        <h3>Maintenance Calories</h3>
+        <div className="range-buttons">
+          {WINDOWS.map((days) => (
+            <button
+              key={days}
+              type="button"
+              className={days === windowDays ? 'range-btn active' : 'range-btn'}
+              onClick={() => setWindowDays(days)}
+            >
+              {days} days
+            </button>
+          ))}
+        </div>
+        {insights && (estimate ? (
+          <div className="energy-estimate">
+            <div className="energy-tdee">
+              <span className="energy-value">{estimate.tdee}</span> kcal/day
+            </div>
+            <p className="trend-stats">
+              You ate {estimate.average_intake} kcal/day on {insights.logged_days} logged days while your weight
+              trend moved {formatWeeklyChange(estimate.weekly_change_kg, unit)}.
+            </p>
+            <p className={`progress-note confidence-${estimate.confidence}`}>
+              {estimate.confidence} confidence · {CONFIDENCE_NOTES[estimate.confidence]}
+            </p>
+          </div>
+        ) : (
+          <p className="progress-note">{REASONS[insights.reason]}</p>
+        ))}
+      </div>
+
+      <div className="summary-card">
+        <h3>Weight</h3>
+        <form onSubmit={handleWeightSubmit} className="weight-form">
+          <input
+            type="number"
+            value={weight}
+            onChange={(e) => setWeight(e.target.value)}
+            placeholder={unit === 'lb' ? 'e.g., 165' : 'e.g., 75'}
+            step="0.1"
+            min="0"
+            aria-label="Weight"
+            required
+          />
+          <select value={unit} onChange={(e) => setUnit(e.target.value)} aria-label="Weight unit">
+            {WEIGHT_UNITS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Note (optional)"
+            maxLength={200}
+            aria-label="Note"
+          />
+          <button type="submit" className="submit-btn" disabled={busy}>
+            {busy ? 'Saving...' : 'Log Weight'}
+          </button>
+        </form>
+        {insights && <WeightChart days={insights.days} unit={unit} />}
+        {weighIns.length > 0 && (
+          <ul className="weigh-in-list">
+            {weighIns.map((entry) => (
+              <li key={entry.id}>
+                <span>
+                  <strong>{formatWeight(entry.weight_kg, unit)}</strong>
+                  {' '}· {formatDisplayDate(entry.date)}, {formatTime(entry.measured_at)}
+                  {entry.note && <span className="entry-meal"> · {entry.note}</span>}
+                </span>
+                <button type="button" className="link-btn" onClick={() => handleDeleteWeighIn(entry.id)}>
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="summary-card">
+        <h3>Water Today</h3>
+        <div className="water-total">💧 {water.total.toLocaleString()} ml</div>
+        <div className="water-buttons">
+          {WATER_SIZES.map((size) => (
+            <button key={size.ml} type="button" className="range-btn" onClick={() => addWater(size.ml)}>
+              + {size.label} <span className="food-chip-amount">{size.detail}</span>
+            </button>
+          ))}
+          <button type="button" className="link-btn" onClick={undoWater} disabled={water.items.length === 0}>
+            Undo last
+          </button>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default BodyScreen;
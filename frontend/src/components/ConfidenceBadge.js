@@ -0,0 +1,20 @@
+import React from 'react';
+import { describeHeuristics } from '../provenance';
+
+// Flag for an entry whose nutrition is a rough guess, or that was corrected by hand.
+// High and medium confidence entries (and ones logged before provenance) show nothing.
+function ConfidenceBadge({ entry }) {
+  if (entry.confidence === 'low') {
+    return (
+      <span className="confidence-badge low" title={`Low confidence: ${describeHeuristics(entry.heuristics)}`}>
+        ⚠ Low confidence
+      </span>
+    );
+  }
+  if (entry.confidence === 'manual') {
+    return <span className="confidence-badge manual" title="Nutrition entered by hand">✎ Edited</span>;
+  }
+  return null;
+}
+
+export default ConfidenceBadge;
@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { localToday, shiftDate, formatDisplayDate } from '../dates';
+import { mealLabel } from '../meals';
+
+// "Copy to another day" under the Daily Summary's food items: copies the shown day, or one
+// of its meals, to a chosen date with POST /api/food-log/copy. `meals` are the day's slots.
+function CopyDayForm({ apiBase, date, meals, onCopied }) {
+  const defaultTarget = () => (date === localToday() ? shiftDate(date, 1) : localToday());
+  const [toDate, setToDate] = useState(defaultTarget);
+  const [meal, setMeal] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    setToDate(defaultTarget());
+    setMeal('');
+  }, [date]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const response = await axios.post(`${apiBase}/food-log/copy`, {
+        from_date: date,
+        to_date: toDate,
+        meal: meal || undefined
+      });
+      const count = response.data.meta.count;
+      toast.success(`${count} item${count === 1 ? '' : 's'} copied to ${formatDisplayDate(toDate)}.`);
+      if (onCopied) await onCopied(toDate);
+    } catch (error) {
+      console.error('Error copying entries:', error);
+      const errorMessage = error.response?.data?.message || 'Error copying entries. Please try again.';
+      toast.error(errorMessage);
+    }
+    setBusy(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="copy-day-form">
+      <span>Copy</span>
+      <select value={meal} onChange={(e) => setMeal(e.target.value)} aria-label="Meal to copy">
+        <option value="">the whole day</option>
+        {meals.filter(Boolean).map((slot) => (
+          <option key={slot} value={slot}>{mealLabel(slot)}</option>
+        ))}
+      </select>
+      <span>to</span>
+      <input
+        type="date"
+        value={toDate}
+        onChange={(e) => e.target.value && setToDate(e.target.value)}
+        aria-label="Copy to date"
+        required
+      />
+      <button type="submit" className="range-btn" disabled={busy || toDate === date}>
+        {busy ? 'Copying...' : 'Copy'}
+      </button>
+    </form>
+  );
+}
+
+export default CopyDayForm;
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+// Nutrients offered in the form; anything else can still be sent through the API
+const FIELDS = [
+  { key: 'calories', label: 'Calories (kcal)', required: true },
+  { key: 'protein', label: 'Protein (g)' },
+  { key: 'carbs', label: 'Carbs (g)' },
+  { key: 'fat', label: 'Fat (g)' },
+  { key: 'fiber', label: 'Fiber (g)' },
+  { key: 'sugar', label: 'Sugar (g)' },
+  { key: 'sodium', label: 'Sodium (mg)' },
+];
+
+const emptyForm = {
+  name: '',
+  brand: '',
+  basis: 'per_100g',
+  serving_g: '',
+  ...Object.fromEntries(FIELDS.map(field => [field.key, ''])),
+};
+
+// Creates a custom food with nutrition either per 100 g or per serving
+function CustomFoodForm({ apiBase, onSaved }) {
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const handleInputChange = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const values = {};
+    FIELDS.forEach(({ key }) => {
+      if (form[key] !== '') values[key] = parseFloat(form[key]);
+    });
+    setSaving(true);
+    try {
+      await axios.post(`${apiBase}/custom-foods`, {
+        name: form.name,
+        brand: form.brand || undefined,
+        serving_g: form.serving_g === '' ? null : parseFloat(form.serving_g),
+        [form.basis]: values,
+      });
+      toast.success(`${form.name} saved!`);
+      setForm(emptyForm);
+      if (onSaved) await onSaved();
+    } catch (error) {
+      console.error('Error saving custom food:', error);
+      const errorMessage = error.response?.data?.message || 'Error saving custom food. Please try again.';
+      toast.error(errorMessage);
+    }
+    setSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="food-form custom-food-form">
+      <div className="form-group">
+        <label htmlFor="custom-name">Name:</label>
+        <input
+          type="text"
+          id="custom-name"
+          value={form.name}
+          onChange={(e) => handleInputChange('name', e.target.value)}
+          placeholder="e.g., Grandma's granola"
+          required
+        />
+      </div>
+      <div className="form-group">
+        <label htmlFor="custom-brand">Brand (optional):</label>
+        <input
+          type="text"
+          id="custom-brand"
+          value={form.brand}
+          onChange={(e) => handleInputChange('brand', e.target.value)}
+        />
+      </div>
+      <div className="range-buttons">
+        <button
+          type="button"
+          className={form.basis === 'per_100g' ? 'range-btn active' : 'range-btn'}
+          onClick={() => handleInputChange('basis', 'per_100g')}
+        >
+          Per 100 g
+        </button>
+        <button
+          type="button"
+          className={form.basis === 'per_serving' ? 'range-btn active' : 'range-btn'}
+          onClick={() => handleInputChange('basis', 'per_serving')}
+        >
+          Per serving
+        </button>
+      </div>
+      <div className="form-group">
+        <label htmlFor="custom-serving">Serving weight in grams{form.basis === 'per_serving' ? ' (lets you log it by weight)' : ' (optional)'}:</label>
+        <input
+          type="number"
+          id="custom-serving"
+          value={form.serving_g}
+          onChange={(e) => handleInputChange('serving_g', e.target.value)}
+          min="0"
+          step="0.1"
+        />
+      </div>
+      <div className="nutrient-fields">
+        {FIELDS.map(field => (
+          <div className="form-group" key={field.key}>
+            <label htmlFor={`custom-${field.key}`}>{field.label}:</label>
+            <input
+              type="number"
+              id={`custom-${field.key}`}
+              value={form[field.key]}
+              onChange={(e) => handleInputChange(field.key, e.target.value)}
+              min="0"
+              step="0.01"
+              required={field.required}
+            />
+          </div>
+        ))}
+      </div>
+      <button type="submit" disabled={saving} className="submit-btn">
+        {saving ? 'Saving...' : 'Save Custom Food'}
+      </button>
+    </form>
+  );
+}
+
+export default CustomFoodForm;
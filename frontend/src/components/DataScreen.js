@@ -0,0 +1,259 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const IMPORT_FORMATS = [
+  { value: '', label: 'Detect automatically' },
+  { value: 'json', label: 'Nutrition Tracker JSON' },
+  { value: 'csv', label: 'Nutrition Tracker CSV' },
+  { value: 'myfitnesspal', label: 'MyFitnessPal CSV' },
+];
+
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// "Data" tab: download the food log as CSV/JSON, and a three-step import wizard
+// (choose a file, review the dry-run report, import)
+function DataScreen({ apiBase, onImported }) {
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState('');
+  const [options, setOptions] = useState({ skip_duplicates: true, skip_invalid: false });
+  const [report, setReport] = useState(null);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleExport = async (exportFormat) => {
+    setBusy(true);
+    try {
+      const response = await axios.get(`${apiBase}/export`, {
+        params: { format: exportFormat, from: range.from || undefined, to: range.to || undefined },
+        responseType: 'blob',
+      });
+      const match = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '');
+      saveBlob(response.data, match ? match[1] : `food-log.${exportFormat}`);
+    } catch (error) {
+      console.error('Error exporting food log:', error);
+      toast.error('Error exporting your food log. Please try again.');
+    }
+    setBusy(false);
+  };
+
+  const sendImport = async (dryRun, importOptions = options) => {
+    const content = await file.text();
+    return axios.post(`${apiBase}/import`, {
+      content,
+      format: format || undefined,
+      dry_run: dryRun,
+      ...importOptions,
+    });
+  };
+
+  const preview = async (importOptions = options) => {
+    if (!file) return;
+    setBusy(true);
+    try {
+      const response = await sendImport(true, importOptions);
+      setReport(response.data.data);
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      const errorMessage = error.response?.data?.message || 'Error reading that file. Please try again.';
+      toast.error(errorMessage);
+    }
+    setBusy(false);
+  };
+
+  const handlePreview = (e) => {
+    e.preventDefault();
+    preview();
+  };
+
+  // The number of entries to import depends on the options, so ask the server again
+  const handleOptionChange = (field, value) => {
+    const next = { ...options, [field]: value };
+    setOptions(next);
+    preview(next);
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      const response = await sendImport(false);
+      setResult(response.data.data.summary);
+      toast.success(`${response.data.data.summary.imported} entries imported.`);
+      if (onImported) await onImported();
+    } catch (error) {
+      console.error('Error importing food log:', error);
+      const errorMessage = error.response?.data?.message || 'Error importing that file. Please try again.';
+      toast.error(errorMessage);
+    }
+    setBusy(false);
+  };
+
+  const startOver = () => {
+    setFile(null);
+    setReport(null);
+    setResult(null);
+    setOptions({ skip_duplicates: true, skip_invalid: false });
+  };
+
+  const blocked = report && report.summary.invalid > 0 && !options.skip_invalid;
+
+  return (
+    <section className="data-section">
+      <h2>Your Data</h2>
+
+      <div className="food-form">
+        <h3>Export</h3>
+        <p className="progress-note">Download every entry, or only those between two dates.</p>
+        <div className="recipe-yield">
+          <div className="form-group">
+            <label htmlFor="export-from">From (optional):</label>
+            <input type="date" id="export-from" value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} />
+          </div>
+          <div className="form-group">
+            <label htmlFor="export-to">To (optional):</label>
+            <input type="date" id="export-to" value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} />
+          </div>
+        </div>
+        <div className="recipe-actions">
+          <button type="button" className="submit-btn" disabled={busy} onClick={() => handleExport('csv')}>Download CSV</button>
+          <button type="button" className="range-btn" disabled={busy} onClick={() => handleExport('json')}>Download JSON</button>
+        </div>
+      </div>
+
+      <div className="food-form import-wizard">
+        <h3>Import</h3>
+        {result ? (
+          <>
+            <p>
+              Imported {result.imported} entr{result.imported === 1 ? 'y' : 'ies'}
+              {result.duplicates > 0 && options.skip_duplicates ? `, skipped ${result.duplicates} duplicate${result.duplicates === 1 ? '' : 's'}` : ''}
+              {result.invalid > 0 ? `, skipped ${result.invalid} invalid row${result.invalid === 1 ? '' : 's'}` : ''}.
+            </p>
+            <button type="button" className="range-btn" onClick={startOver}>Import Another File</button>
+          </>
+        ) : !report ? (
+          <form onSubmit={handlePreview}>
+            <p className="progress-note">Step 1 of 3: choose a file exported from this app or from MyFitnessPal.</p>
+            <div className="form-group">
+              <label htmlFor="import-file">File:</label>
+              <input
+                type="file"
+                id="import-file"
+                accept=".csv,.json,text/csv,application/json"
+                onChange={(e) => setFile(e.target.files[0] || null)}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="import-format">Format:</label>
+              <select id="import-format" value={format} onChange={(e) => setFormat(e.target.value)}>
+                {IMPORT_FORMATS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <button type="submit" disabled={busy || !file} className="submit-btn">
+              {busy ? 'Checking...' : 'Preview Import'}
+            </button>
+          </form>
+        ) : (
+          <>
+            <p className="progress-note">Step 2 of 3: check what will be imported. Nothing has been saved yet.</p>
+            <ul className="import-summary">
+              <li><strong>{report.summary.rows}</strong> rows read ({report.format})</li>
+              <li><strong>{report.summary.invalid}</strong> with errors</li>
+              <li><strong>{report.summary.duplicates}</strong> already in your log or repeated</li>
+              <li><strong>{report.summary.to_import}</strong> to import</li>
+            </ul>
+
+            {report.errors.length > 0 && (
+              <div className="import-issues">
+                <h4>Rows with errors</h4>
+                <ul>
+                  {report.errors.map((error, index) => (
+                    <li key={index}>Row {error.row}, {error.field}: {error.message}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {report.duplicates.length > 0 && (
+              <div className="import-issues">
+                <h4>Duplicates</h4>
+                <ul>
+                  {report.duplicates.map(duplicate => (
+                    <li key={duplicate.row}>
+                      Row {duplicate.row}: {duplicate.food_name} on {duplicate.date} (same as {duplicate.duplicate_of === 'existing' ? 'an existing entry' : duplicate.duplicate_of})
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {report.preview.length > 0 && (
+              <table className="import-preview">
+                <thead>
+                  <tr><th>Date</th><th>Meal</th><th>Food</th><th>Amount</th><th>Calories</th></tr>
+                </thead>
+                <tbody>
+                  {report.preview.map((entry, index) => (
+                    <tr key={index}>
+                      <td>{entry.date}</td>
+                      <td>{entry.meal || ''}</td>
+                      <td>{entry.food_name}</td>
+                      <td>{entry.quantity} {entry.unit}</td>
+                      <td>{entry.nutrients.calories === null ? '-' : Math.round(entry.nutrients.calories)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={options.skip_duplicates}
+                onChange={(e) => handleOptionChange('skip_duplicates', e.target.checked)}
+                disabled={busy}
+              />
+              Skip duplicates
+            </label>
+            {report.summary.invalid > 0 && (
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={options.skip_invalid}
+                  onChange={(e) => setOptions({ ...options, skip_invalid: e.target.checked })}
+                  disabled={busy}
+                />
+                Skip rows with errors and import the rest
+              </label>
+            )}
+
+            <div className="recipe-actions">
+              <button
+                type="button"
+                className="submit-btn"
+                onClick={handleImport}
+                disabled={busy || blocked || report.summary.to_import === 0}
+              >
+                {busy ? 'Importing...' : `Step 3: Import ${report.summary.to_import} Entr${report.summary.to_import === 1 ? 'y' : 'ies'}`}
+              </button>
+              <button type="button" className="range-btn" onClick={startOver} disabled={busy}>Cancel</button>
+            </div>
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default DataScreen;
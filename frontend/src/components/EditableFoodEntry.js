@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { UNIT_OPTIONS } from '../units';
+import { MEAL_OPTIONS } from '../meals';
+import { OVERRIDE_FIELDS } from '../provenance';
+
+const nutritionValues = (entry) => ({
+  ...Object.fromEntries(OVERRIDE_FIELDS.map(({ key }) => [key, typeof entry[key] === 'number' ? String(entry[key]) : ''])),
+  note: '',
+});
+
+// List item for a logged food with inline edit and delete controls.
+// `children` is the read-only view; `name` is the food name shown in the editor.
+// With `onFixNutrition` it also offers correcting the calories and macros by hand.
+function EditableFoodEntry({ entry, name, className, onSave, onDelete, onFixNutrition, children }) {
+  const [editing, setEditing] = useState(false);
+  const [fixing, setFixing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [values, setValues] = useState({ food: name, quantity: entry.quantity, unit: entry.unit, meal: entry.meal || '' });
+  const [nutrition, setNutrition] = useState(() => nutritionValues(entry));
+
+  const startEditing = () => {
+    setValues({ food: name, quantity: entry.quantity, unit: entry.unit, meal: entry.meal || '' });
+    setEditing(true);
+  };
+
+  const startFixing = () => {
+    setNutrition(nutritionValues(entry));
+    setFixing(true);
+  };
+
+  const handleInputChange = (field, value) => {
+    setValues(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!values.food || !values.quantity) return;
+    setSaving(true);
+    const saved = await onSave(entry.id, {
+      food_name: values.food,
+      quantity: parseFloat(values.quantity),
+      unit: values.unit,
+      meal: values.meal || null
+    });
+    setSaving(false);
+    if (saved) setEditing(false);
+  };
+
+  // Only values that were changed are sent, so the override records just those
+  const handleFixSubmit = async (e) => {
+    e.preventDefault();
+    const changed = {};
+    for (const { key } of OVERRIDE_FIELDS) {
+      if (nutrition[key] !== '' && parseFloat(nutrition[key]) !== entry[key]) changed[key] = parseFloat(nutrition[key]);
+    }
+    if (Object.keys(changed).length === 0) {
+      setFixing(false);
+      return;
+    }
+    setSaving(true);
+    const saved = await onFixNutrition(entry.id, { ...changed, note: nutrition.note.trim() || undefined });
+    setSaving(false);
+    if (saved) setFixing(false);
+  };
+
+  // Keep units that are no longer offered (e.g. typed through the API) selectable
+  const unitOptions = UNIT_OPTIONS.some(option => option.value === values.unit)
+    ? UNIT_OPTIONS
+    : [...UNIT_OPTIONS, { value: values.unit, label: values.unit }];
+  // Same for custom meal slots
+  const mealOptions = !values.meal || MEAL_OPTIONS.some(option => option.value === values.meal)
+    ? MEAL_OPTIONS
+    : [...MEAL_OPTIONS, { value: values.meal, label: values.meal }];
+
+  if (editing) {
+    return (
+      <li className={`${className} editing`}>
+        <form onSubmit={handleSubmit} className="inline-edit-form">
+          <input
+            type="text"
+            value={values.food}
+            onChange={(e) => handleInputChange('food', e.target.value)}
+            aria-label="Food item"
+            required
+          />
+          <input
+            type="number"
+            value={values.quantity}
+            onChange={(e) => handleInputChange('quantity', e.target.value)}
+            aria-label="Quantity"
+            step="0.1"
+            min="0"
+            required
+          />
+          <select
+            value={values.unit}
+            onChange={(e) => handleInputChange('unit', e.target.value)}
+            aria-label="Unit"
+          >
+            {unitOptions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={values.meal}
+            onChange={(e) => handleInputChange('meal', e.target.value)}
+            aria-label="Meal"
+          >
+            <option value="">No meal</option>
+            {mealOptions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button type="submit" disabled={saving} className="entry-action save">
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+          <button type="button" disabled={saving} className="entry-action" onClick={() => setEditing(false)}>
+            Cancel
+          </button>
+        </form>
+      </li>
+    );
+  }
+
+  if (fixing) {
+    return (
+      <li className={`${className} editing`}>
+        <form onSubmit={handleFixSubmit} className="inline-edit-form nutrition-fix-form">
+          <strong>{name}</strong>
+          {OVERRIDE_FIELDS.map(({ key, label }) => (
+            <label key={key}>
+              {label}
+              <input
+                type="number"
+                value={nutrition[key]}
+                onChange={(e) => setNutrition(prev => ({ ...prev, [key]: e.target.value }))}
+                step="0.1"
+                min="0"
+              />
+            </label>
+          ))}
+          <input
+            type="text"
+            value={nutrition.note}
+            onChange={(e) => setNutrition(prev => ({ ...prev, note: e.target.value }))}
+            placeholder="Why? e.g., from the label"
+            maxLength={200}
+            aria-label="Note"
+          />
+          <button type="submit" disabled={saving} className="entry-action save">
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+          <button type="button" disabled={saving} className="entry-action" onClick={() => setFixing(false)}>
+            Cancel
+          </button>
+        </form>
+      </li>
+    );
+  }
+
+  return (
+    <li className={className}>
+      <div className="entry-row">
+        <div className="entry-body">{children}</div>
+        <div className="entry-actions">
+          <button type="button" className="entry-action" onClick={startEditing}>
+            Edit
+          </button>
+          {onFixNutrition && (
+            <button type="button" className="entry-action" onClick={startFixing}>
+              Fix nutrition
+            </button>
+          )}
+          <button type="button" className="entry-action delete" onClick={() => onDelete(entry.id, name)}>
+            Delete
+          </button>
+        </div>
+      </div>
+    </li>
+  );
+}
+
+export default EditableFoodEntry;
@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { mealTimingPayload } from '../meals';
+
+// One-tap chips above the Food Entry form: starred favorites, then the foods logged most
+// (GET /api/foods/frequent). Tapping a chip logs the same amount again with its stored
+// nutrition; the star adds or removes a favorite. Reloads when `refreshKey` changes.
+function FoodChips({ apiBase, mealTiming, refreshKey, onLogged }) {
+  const [favorites, setFavorites] = useState([]);
+  const [frequent, setFrequent] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  const load = async () => {
+    try {
+      const [favoritesResponse, frequentResponse] = await Promise.all([
+        axios.get(`${apiBase}/favorites`),
+        axios.get(`${apiBase}/foods/frequent`, { params: { limit: 12 } }),
+      ]);
+      setFavorites(favoritesResponse.data.data.items);
+      setFrequent(frequentResponse.data.data.items);
+    } catch (error) {
+      console.error('Error fetching favorite and recent foods:', error);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [apiBase, refreshKey]);
+
+  const logFood = async (source, item) => {
+    setBusy(true);
+    try {
+      await axios.post(`${apiBase}/food-log`, {
+        ...source,
+        quantity: item.quantity,
+        unit: item.unit,
+        ...mealTimingPayload(mealTiming)
+      });
+      toast.success(`${item.food_name} logged!`);
+      if (onLogged) await onLogged();
+    } catch (error) {
+      console.error('Error logging food:', error);
+      const errorMessage = error.response?.data?.message || 'Error logging food. Please try again.';
+      toast.error(errorMessage);
+    }
+    setBusy(false);
+  };
+
+  const addFavorite = async (item) => {
+    try {
+      await axios.post(`${apiBase}/favorites`, { food_log_id: item.entry_id });
+      await load();
+    } catch (error) {
+      console.error('Error adding favorite:', error);
+      const errorMessage = error.response?.data?.message || 'Error adding favorite. Please try again.';
+      toast.error(errorMessage);
+    }
+  };
+
+  const removeFavorite = async (id) => {
+    try {
+      await axios.delete(`${apiBase}/favorites/${id}`);
+      await load();
+    } catch (error) {
+      console.error('Error removing favorite:', error);
+      toast.error('Error removing favorite. Please try again.');
+    }
+  };
+
+  // Starred foods are already in the first row
+  const recent = frequent.filter((item) => !item.favorite_id);
+  if (favorites.length === 0 && recent.length === 0) return null;
+
+  const renderChip = (key, item, onLog, star) => (
+    <span className="food-chip" key={key}>
+      <button
+        type="button"
+        className="food-chip-log"
+        disabled={busy}
+        onClick={onLog}
+        title={typeof item.calories === 'number' ? `${item.calories.toFixed(0)} kcal` : undefined}
+      >
+        {item.food_name} <span className="food-chip-amount">{item.quantity} {item.unit}</span>
+      </button>
+      {star}
+    </span>
+  );
+
+  return (
+    <div className="food-chips">
+      {favorites.length > 0 && (
+        <div className="food-chip-row">
+          <span className="food-chip-label">★ Favorites</span>
+          {favorites.map((item) => renderChip(`favorite-${item.id}`, item, () => logFood({ favorite_id: item.id }, item), (
+            <button
+              type="button"
+              className="food-chip-star starred"
+              onClick={() => removeFavorite(item.id)}
+              aria-label={`Remove ${item.food_name} from favorites`}
+            >
+              ★
+            </button>
+          )))}
+        </div>
+      )}
+      {recent.length > 0 && (
+        <div className="food-chip-row">
+          <span className="food-chip-label">Recent</span>
+          {recent.map((item) => renderChip(`recent-${item.entry_id}`, item, () => logFood({ from_entry_id: item.entry_id }, item), (
+            <button
+              type="button"
+              className="food-chip-star"
+              onClick={() => addFavorite(item)}
+              aria-label={`Add ${item.food_name} to favorites`}
+            >
+              ☆
+            </button>
+          )))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FoodChips;
@@ -0,0 +1,128 @@
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+
+const DEBOUNCE_MS = 300;
+
+// Food name input with a debounced product autocomplete. Typing clears any picked
+// product; picking a candidate reports it through onSelect.
+function FoodSearchInput({ apiBase, value, selected, onChange, onSelect }) {
+  const [results, setResults] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const [highlight, setHighlight] = useState(-1);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const query = value.trim();
+    if (selected || query.length < 2) {
+      setResults([]);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const response = await axios.get(`${apiBase}/foods/search`, { params: { q: query } });
+        if (!cancelled) {
+          setResults(response.data.data.items);
+          setHighlight(-1);
+        }
+      } catch (error) {
+        console.error('Error searching foods:', error);
+        if (!cancelled) setResults([]);
+      }
+      if (!cancelled) setSearching(false);
+    }, DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [apiBase, value, selected]);
+
+  // Close the dropdown when clicking elsewhere
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, []);
+
+  const pick = (candidate) => {
+    onSelect(candidate);
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || results.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlight(prev => Math.min(prev + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlight(prev => Math.max(prev - 1, 0));
+    } else if (e.key === 'Enter' && highlight >= 0) {
+      e.preventDefault();
+      pick(results[highlight]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="food-search" ref={containerRef}>
+      <input
+        type="text"
+        id="food"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={handleKeyDown}
+        placeholder="e.g., banana, chicken breast"
+        autoComplete="off"
+        required
+      />
+      {selected && (
+        <div className="selected-product">
+          Using <strong>{selected.product_name}</strong>{selected.brand ? ` (${selected.brand})` : ''}
+          <button type="button" className="link-btn" onClick={() => onSelect(null)}>
+            Clear
+          </button>
+        </div>
+      )}
+      {open && !selected && (searching || results.length > 0) && (
+        <ul className="search-results" role="listbox">
+          {searching && results.length === 0 && <li className="search-status">Searching...</li>}
+          {results.map((candidate, index) => (
+            <li
+              key={candidate.code || `${candidate.source}-${candidate.product_name}`}
+              role="option"
+              aria-selected={index === highlight}
+              className={index === highlight ? 'search-result highlighted' : 'search-result'}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => pick(candidate)}
+            >
+              {candidate.image_url
+                ? <img src={candidate.image_url} alt="" className="search-thumb" />
+                : <span className="search-thumb placeholder">🍽️</span>}
+              <span className="search-text">
+                <span className="search-name">{candidate.product_name}</span>
+                <span className="search-meta">
+                  {candidate.brand || (candidate.source === 'local' ? 'Generic' : 'Unknown brand')}
+                  {' · '}{candidate.per_100g.calories ?? '?'} kcal
+                  {' · '}P {candidate.per_100g.protein ?? '?'}g C {candidate.per_100g.carbs ?? '?'}g F {candidate.per_100g.fat ?? '?'}g
+                  {' / 100g'}
+                </span>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default FoodSearchInput;
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const emptyForm = { calories: '', protein: '', carbs: '', fat: '', protein_pct: '', carbs_pct: '', fat_pct: '' };
+
+// Shows the active daily targets and lets the user change them, either as
+// grams per macro or as a percentage split of the calorie target
+function GoalsCard({ apiBase, onSaved }) {
+  const [goal, setGoal] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [mode, setMode] = useState('grams');
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchGoal = async () => {
+      try {
+        const response = await axios.get(`${apiBase}/goals`);
+        setGoal(response.data.data.goal);
+      } catch (error) {
+        console.error('Error fetching goals:', error);
+      }
+    };
+    fetchGoal();
+  }, [apiBase]);
+
+  const startEditing = () => {
+    const valueOf = (v) => (v === null || v === undefined ? '' : String(v));
+    setForm({
+      calories: valueOf(goal?.calories),
+      protein: valueOf(goal?.protein),
+      carbs: valueOf(goal?.carbs),
+      fat: valueOf(goal?.fat),
+      protein_pct: valueOf(goal?.macro_percentages?.protein),
+      carbs_pct: valueOf(goal?.macro_percentages?.carbs),
+      fat_pct: valueOf(goal?.macro_percentages?.fat),
+    });
+    setMode(goal?.macro_percentages ? 'percent' : 'grams');
+    setEditing(true);
+  };
+
+  const handleInputChange = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = { calories: form.calories === '' ? null : parseFloat(form.calories) };
+    if (mode === 'percent') {
+      payload.macro_percentages = {
+        protein: parseFloat(form.protein_pct),
+        carbs: parseFloat(form.carbs_pct),
+        fat: parseFloat(form.fat_pct),
+      };
+    } else {
+      ['protein', 'carbs', 'fat'].forEach(key => {
+        payload[key] = form[key] === '' ? null : parseFloat(form[key]);
+      });
+    }
+    setSaving(true);
+    try {
+      const response = await axios.put(`${apiBase}/goals`, payload);
+      setGoal(response.data.data.goal);
+      setEditing(false);
+      toast.success('Goals saved!');
+      if (onSaved) onSaved();
+    } catch (error) {
+      console.error('Error saving goals:', error);
+      const errorMessage = error.response?.data?.message || 'Error saving goals. Please try again.';
+      toast.error(errorMessage);
+    }
+    setSaving(false);
+  };
+
+  const pctTotal = ['protein_pct', 'carbs_pct', 'fat_pct'].reduce((sum, key) => sum + (parseFloat(form[key]) || 0), 0);
+
+  return (
+    <div className="summary-card">
+      <div className="trend-header">
+        <h3>Daily Goals</h3>
+        {!editing && (
+          <button type="button" className="range-btn" onClick={startEditing}>
+            {goal ? 'Edit Goals' : 'Set Goals'}
+          </button>
+        )}
+      </div>
+
+      {!editing && (goal ? (
+        <p className="goal-summary">
+          {goal.calories !== null && <span>{goal.calories} kcal</span>}
+          {goal.protein !== null && <span>Protein {goal.protein}g</span>}
+          {goal.carbs !== null && <span>Carbs {goal.carbs}g</span>}
+          {goal.fat !== null && <span>Fat {goal.fat}g</span>}
+          {goal.macro_percentages && (
+            <span>
+              ({goal.macro_percentages.protein}% / {goal.macro_percentages.carbs}% / {goal.macro_percentages.fat}%)
+            </span>
+          )}
+        </p>
+      ) : (
+        <p>No goals set yet. Set daily targets to see your remaining budget.</p>
+      ))}
+
+      {editing && (
+        <form onSubmit={handleSubmit} className="goals-form">
+          <div className="range-buttons">
+            <button
+              type="button"
+              className={mode === 'grams' ? 'range-btn active' : 'range-btn'}
+              onClick={() => setMode('grams')}
+            >
+              Grams
+            </button>
+            <button
+              type="button"
+              className={mode === 'percent' ? 'range-btn active' : 'range-btn'}
+              onClick={() => setMode('percent')}
+            >
+              Macro %
+            </button>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="goal-calories">Calories (kcal):</label>
+            <input
+              type="number"
+              id="goal-calories"
+              value={form.calories}
+              onChange={(e) => handleInputChange('calories', e.target.value)}
+              min="0"
+              required={mode === 'percent'}
+            />
+          </div>
+
+          {(mode === 'grams' ? ['protein', 'carbs', 'fat'] : ['protein_pct', 'carbs_pct', 'fat_pct']).map(field => (
+            <div className="form-group" key={field}>
+              <label htmlFor={`goal-${field}`}>
+                {field.replace('_pct', '').replace(/^./, c => c.toUpperCase())} ({mode === 'grams' ? 'g' : '%'}):
+              </label>
+              <input
+                type="number"
+                id={`goal-${field}`}
+                value={form[field]}
+                onChange={(e) => handleInputChange(field, e.target.value)}
+                min="0"
+                max={mode === 'percent' ? 100 : undefined}
+                step="0.1"
+                required={mode === 'percent'}
+              />
+            </div>
+          ))}
+
+          {mode === 'percent' && (
+            <p className={Math.abs(pctTotal - 100) > 0.5 ? 'progress-note warning' : 'progress-note'}>
+              Total: {pctTotal}% (must add up to 100%)
+            </p>
+          )}
+
+          <div className="range-buttons">
+            <button type="submit" disabled={saving} className="submit-btn">
+              {saving ? 'Saving...' : 'Save Goals'}
+            </button>
+            <button type="button" disabled={saving} className="range-btn" onClick={() => setEditing(false)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default GoalsCard;
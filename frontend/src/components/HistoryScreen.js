@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { MEAL_OPTIONS, mealLabel } from '../meals';
+import { formatDisplayDate, formatTime } from '../dates';
+import ConfidenceBadge from './ConfidenceBadge';
+
+const PAGE_SIZE = 50;
+
+const SORT_OPTIONS = [
+  { value: 'eaten_at:desc', label: 'Newest first' },
+  { value: 'eaten_at:asc', label: 'Oldest first' },
+  { value: 'calories:desc', label: 'Most calories' },
+  { value: 'calories:asc', label: 'Fewest calories' },
+  { value: 'protein:desc', label: 'Most protein' },
+  { value: 'food_name:asc', label: 'Food name A–Z' },
+];
+
+const EMPTY_FILTERS = {
+  from: '', to: '', q: '', meal: '', min_calories: '', max_calories: '', missing_nutrition: false, sort: 'eaten_at:desc',
+};
+
+// Query parameters for GET /api/food-log; empty filters are left out
+const toParams = (filters) => {
+  const [sort, order] = filters.sort.split(':');
+  const params = { sort, order, limit: PAGE_SIZE };
+  ['from', 'to', 'q', 'meal', 'min_calories', 'max_calories'].forEach((field) => {
+    if (String(filters[field]).trim() !== '') params[field] = String(filters[field]).trim();
+  });
+  if (filters.missing_nutrition) params.missing_nutrition = 'true';
+  return params;
+};
+
+const formatAmount = (value) => (value === null || value === undefined ? '–' : Math.round(value));
+
+// "History" tab: every entry in a filterable, sortable table that loads more rows as the
+// user scrolls to the bottom
+function HistoryScreen({ apiBase }) {
+  const [draft, setDraft] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [entries, setEntries] = useState([]);
+  const [page, setPage] = useState({ total: 0, nextCursor: null });
+  const [loading, setLoading] = useState(false);
+  const sentinel = useRef(null);
+  // Only the latest request may update the table, so a slow page can't land after a new filter
+  const requestId = useRef(0);
+
+  const load = useCallback(async (cursor) => {
+    const id = ++requestId.current;
+    setLoading(true);
+    try {
+      const response = await axios.get(`${apiBase}/food-log`, { params: { ...toParams(filters), cursor } });
+      if (id !== requestId.current) return;
+      const { items } = response.data.data;
+      const { total, next_cursor: nextCursor } = response.data.meta;
+      setEntries((current) => (cursor ? [...current, ...items] : items));
+      setPage({ total, nextCursor });
+    } catch (error) {
+      if (id !== requestId.current) return;
+      console.error('Error fetching food history:', error);
+      const errorMessage = error.response?.data?.message || 'Error loading your history. Please try again.';
+      toast.error(errorMessage);
+      setPage((current) => ({ ...current, nextCursor: null }));
+    }
+    setLoading(false);
+  }, [apiBase, filters]);
+
+  useEffect(() => {
+    setEntries([]);
+    load();
+  }, [load]);
+
+  // Fetch the next page when the end of the table scrolls into view
+  useEffect(() => {
+    const target = sentinel.current;
+    if (!target || !page.nextCursor || loading || typeof IntersectionObserver === 'undefined') return undefined;
+    const observer = new IntersectionObserver((observed) => {
+      if (observed.some((entry) => entry.isIntersecting)) load(page.nextCursor);
+    }, { rootMargin: '200px' });
+    observer.observe(target);
+    return () => observer.disconnect();
+  }, [page.nextCursor, loading, load]);
+
+  const handleChange = (field, value) => setDraft({ ...draft, [field]: value });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setFilters(draft);
+  };
+
+  const handleReset = () => {
+    setDraft(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  return (
+    <section className="history-section">
+      <h2>History</h2>
+
+      <form className="food-form history-filters" onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label htmlFor="history-q">Food:</label>
+          <input type="search" id="history-q" value={draft.q} onChange={(e) => handleChange('q', e.target.value)} placeholder="e.g. oat" />
+        </div>
+        <div className="form-group">
+          <label htmlFor="history-from">From:</label>
+          <input type="date" id="history-from" value={draft.from} onChange={(e) => handleChange('from', e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="history-to">To:</label>
+          <input type="date" id="history-to" value={draft.to} onChange={(e) => handleChange('to', e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="history-meal">Meal:</label>
+          <select id="history-meal" value={draft.meal} onChange={(e) => handleChange('meal', e.target.value)}>
+            <option value="">Any meal</option>
+            {MEAL_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+            <option value="none">Unassigned</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="history-min-calories">Calories from:</label>
+          <input type="number" id="history-min-calories" min="0" value={draft.min_calories} onChange={(e) => handleChange('min_calories', e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="history-max-calories">Calories to:</label>
+          <input type="number" id="history-max-calories" min="0" value={draft.max_calories} onChange={(e) => handleChange('max_calories', e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="history-sort">Sort:</label>
+          <select id="history-sort" value={draft.sort} onChange={(e) => handleChange('sort', e.target.value)}>
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={draft.missing_nutrition}
+            onChange={(e) => handleChange('missing_nutrition', e.target.checked)}
+          />
+          Only entries missing nutrition data
+        </label>
+        <div className="recipe-actions">
+          <button type="submit" className="submit-btn">Apply Filters</button>
+          <button type="button" className="range-btn" onClick={handleReset}>Reset</button>
+        </div>
+      </form>
+
+      <p className="progress-note">
+        {loading && entries.length === 0
+          ? 'Loading...'
+          : `Showing ${entries.length} of ${page.total} entr${page.total === 1 ? 'y' : 'ies'}`}
+      </p>
+
+      {entries.length > 0 ? (
+        <div className="history-table-wrapper">
+          <table className="import-preview history-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Meal</th>
+                <th>Food</th>
+                <th>Amount</th>
+                <th>kcal</th>
+                <th>Protein</th>
+                <th>Carbs</th>
+                <th>Fat</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.id} className={entry.calories === null ? 'missing-nutrition' : undefined}>
+                  <td>{formatDisplayDate(entry.date)} {formatTime(entry.eaten_at)}</td>
+                  <td>{mealLabel(entry.meal)}</td>
+                  <td>{entry.food_name} <ConfidenceBadge entry={entry} /></td>
+                  <td>{entry.quantity} {entry.unit}</td>
+                  <td>{formatAmount(entry.calories)}</td>
+                  <td>{formatAmount(entry.protein)}</td>
+                  <td>{formatAmount(entry.carbs)}</td>
+                  <td>{formatAmount(entry.fat)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div ref={sentinel} />
+          {page.nextCursor && (
+            <button type="button" className="range-btn" disabled={loading} onClick={() => load(page.nextCursor)}>
+              {loading ? 'Loading...' : 'Load More'}
+            </button>
+          )}
+        </div>
+      ) : (
+        !loading && <p>No entries match these filters.</p>
+      )}
+    </section>
+  );
+}
+
+export default HistoryScreen;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { MEAL_OPTIONS, CUSTOM_MEAL, effectiveMeal } from '../meals';
+
+// Meal slot and eating time for new entries. The slot is pre-selected from the time of
+// day until the user picks one; an empty time logs the entry as eaten now.
+function MealPicker({ value, onChange }) {
+  const meal = effectiveMeal(value);
+
+  const update = (field, fieldValue) => {
+    onChange({
+      ...value,
+      [field]: fieldValue
+    });
+  };
+
+  return (
+    <div className="meal-picker">
+      <div className="form-group">
+        <label htmlFor="meal">Meal:</label>
+        <select id="meal" value={meal} onChange={(e) => update('meal', e.target.value)}>
+          {MEAL_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+          <option value={CUSTOM_MEAL}>Other...</option>
+        </select>
+        {meal === CUSTOM_MEAL && (
+          <input
+            type="text"
+            value={value.customMeal}
+            onChange={(e) => update('customMeal', e.target.value)}
+            placeholder="e.g., Pre-workout"
+            maxLength={40}
+            aria-label="Custom meal name"
+          />
+        )}
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="eaten-at">Eaten at:</label>
+        <input
+          type="datetime-local"
+          id="eaten-at"
+          value={value.eatenAt}
+          onChange={(e) => update('eatenAt', e.target.value)}
+        />
+        {!value.eatenAt && <small className="field-hint">Leave empty for now</small>}
+      </div>
+    </div>
+  );
+}
+
+export default MealPicker;
@@ -0,0 +1,25 @@
+import React, { useState } from 'react';
+import { mealLabel } from '../meals';
+
+// Collapsible Daily Summary section for one meal slot with its subtotals;
+// `children` are the entries of that meal
+function MealSection({ group, children }) {
+  const [open, setOpen] = useState(true);
+  const { totals } = group;
+
+  return (
+    <div className={`meal-section${open ? ' open' : ''}`}>
+      <button type="button" className="meal-header" aria-expanded={open} onClick={() => setOpen(!open)}>
+        <span className="meal-title">
+          {open ? '▾' : '▸'} {mealLabel(group.meal)} ({group.food_count})
+        </span>
+        <span className="meal-totals">
+          {totals.calories.toFixed(0)} kcal · P {totals.protein.toFixed(1)}g · C {totals.carbs.toFixed(1)}g · F {totals.fat.toFixed(1)}g
+        </span>
+      </button>
+      {open && <ul className="foods-list">{children}</ul>}
+    </div>
+  );
+}
+
+export default MealSection;
@@ -0,0 +1,30 @@
+import React from 'react';
+
+// One nutrition-grid tile: consumed amount plus, when a goal is set, a progress bar
+// and the remaining budget (or how far over target the day is)
+function NutrientProgress({ label, unit, progress }) {
+  const { consumed, target, remaining, percent, over } = progress;
+  return (
+    <div className={`nutrition-item with-progress${over ? ' over-target' : ''}`}>
+      <span className="label">{label}:</span>
+      <span className="value">
+        {consumed.toFixed(2)}{unit}
+        {target !== null && <span className="target"> / {target}{unit}</span>}
+      </span>
+      {target !== null && (
+        <>
+          <div className="progress-bar" role="progressbar" aria-valuenow={percent} aria-valuemin="0" aria-valuemax="100">
+            <div className="progress-fill" style={{ width: `${Math.min(percent, 100)}%` }} />
+          </div>
+          <span className="progress-note">
+            {over
+              ? `⚠️ ${Math.abs(remaining).toFixed(1)}${unit} over target`
+              : `${remaining.toFixed(1)}${unit} remaining (${percent.toFixed(0)}%)`}
+          </span>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default NutrientProgress;
@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { formatDisplayDate, formatDate, formatTime } from '../dates';
+
+// "Pending sync" badge for entries logged offline that haven't reached the server yet.
+// Opens a list of them with their state, and lets the user sync now or drop an entry the
+// server rejected.
+function PendingSync({ entries, syncing, online, onSync, onRetry, onDiscard }) {
+  const [open, setOpen] = useState(false);
+
+  if (entries.length === 0) return null;
+  const rejected = entries.filter((entry) => entry.error).length;
+
+  return (
+    <div className="pending-sync">
+      <button
+        type="button"
+        className={rejected > 0 ? 'logout-btn pending-badge has-errors' : 'logout-btn pending-badge'}
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+      >
+        {syncing ? '⟳' : '⏳'} {entries.length} pending sync
+      </button>
+      {open && (
+        <div className="pending-panel">
+          <p className="progress-note">
+            {online
+              ? 'These entries are saved on this device and will be sent to your log shortly.'
+              : "You're offline. These entries are saved on this device and will be sent when you're back online."}
+          </p>
+          <ul>
+            {entries.map((entry) => (
+              <li key={entry.id} className={entry.error ? 'pending-entry rejected' : 'pending-entry'}>
+                <div>
+                  <strong>{entry.payload.food_name}</strong> – {entry.payload.quantity} {entry.payload.unit}
+                  <span className="pending-time">
+                    {' '}{formatDisplayDate(formatDate(new Date(entry.payload.eaten_at || entry.created_at)))}
+                    {' '}{formatTime(entry.payload.eaten_at || entry.created_at)}
+                  </span>
+                  {entry.error && <div className="pending-error">Not saved: {entry.error}</div>}
+                </div>
+                {entry.error && (
+                  <div className="pending-actions">
+                    <button type="button" className="link-btn" onClick={() => onRetry(entry.id)}>Retry</button>
+                    <button type="button" className="link-btn" onClick={() => onDiscard(entry.id)}>Discard</button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+          <button type="button" className="submit-btn" disabled={syncing || !online} onClick={onSync}>
+            {syncing ? 'Syncing...' : 'Sync Now'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PendingSync;
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import { UNIT_OPTIONS, unitOptionValue } from '../units';
+import { mealTimingPayload } from '../meals';
+
+const CONFIDENT = 0.7;
+
+// "Quick add" mode of the Food Entry tab: free text such as "2 eggs, toast and a cup of milk"
+// is parsed on the server, shown as editable items, and saved together once confirmed
+function QuickAdd({ apiBase, mealTiming, onLogged }) {
+  const [text, setText] = useState('');
+  const [items, setItems] = useState(null);
+  const [unparsed, setUnparsed] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  const handleParse = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    setBusy(true);
+    try {
+      const response = await axios.post(`${apiBase}/food-log/parse`, { text });
+      const parsed = response.data.data;
+      setItems(parsed.items.map((item, index) => ({
+        ...item,
+        key: index,
+        quantity: String(item.quantity),
+        unit: unitOptionValue(item.unit),
+      })));
+      setUnparsed(parsed.unparsed);
+      if (parsed.items.length === 0) toast.info('No foods found in that text. Try "2 eggs and a slice of toast".');
+    } catch (error) {
+      console.error('Error parsing food text:', error);
+      const errorMessage = error.response?.data?.message || 'Error reading that text. Please try again.';
+      toast.error(errorMessage);
+    }
+    setBusy(false);
+  };
+
+  const updateItem = (key, field, value) => {
+    setItems(prev => prev.map(item => (item.key === key ? { ...item, [field]: value } : item)));
+  };
+
+  const removeItem = (key) => {
+    setItems(prev => prev.filter(item => item.key !== key));
+  };
+
+  const reset = () => {
+    setItems(null);
+    setUnparsed([]);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!items || items.length === 0) return;
+    setBusy(true);
+    try {
+      const response = await axios.post(`${apiBase}/food-log/batch`, {
+        items: items.map(item => ({
+          food_name: item.food,
+          quantity: parseFloat(item.quantity),
+          unit: item.unit,
+        })),
+        ...mealTimingPayload(mealTiming)
+      });
+      const count = response.data.meta.count;
+      toast.success(`${count} item${count === 1 ? '' : 's'} logged successfully!`);
+      setText('');
+      reset();
+      if (onLogged) await onLogged();
+    } catch (error) {
+      console.error('Error logging foods:', error);
+      const index = error.response?.data?.details?.index;
+      const prefix = index !== undefined && items[index] ? `${items[index].food}: ` : '';
+      const errorMessage = error.response?.data?.message || 'Error logging foods. Please try again.';
+      toast.error(`${prefix}${errorMessage}`);
+    }
+    setBusy(false);
+  };
+
+  if (items === null) {
+    return (
+      <form onSubmit={handleParse} className="food-form quick-add">
+        <div className="form-group">
+          <label htmlFor="quick-add-text">What did you eat?</label>
+          <textarea
+            id="quick-add-text"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="e.g., 2 eggs, a slice of toast and 250 ml orange juice"
+            rows={3}
+            maxLength={1000}
+          />
+        </div>
+        <button type="submit" disabled={busy || !text.trim()} className="submit-btn">
+          {busy ? 'Reading...' : 'Read Foods'}
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSave} className="food-form quick-add">
+      <p className="progress-note">Check the items below before saving. Items marked "check" were a guess.</p>
+      {items.map(item => (
+        <div className="ingredient-row quick-add-row" key={item.key}>
+          <input
+            type="number"
+            value={item.quantity}
+            onChange={(e) => updateItem(item.key, 'quantity', e.target.value)}
+            step="0.1"
+            min="0"
+            aria-label="Quantity"
+            required
+          />
+          <select value={item.unit} onChange={(e) => updateItem(item.key, 'unit', e.target.value)} aria-label="Unit">
+            {!UNIT_OPTIONS.some(option => option.value === item.unit) && <option value={item.unit}>{item.unit}</option>}
+            {UNIT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={item.food}
+            onChange={(e) => updateItem(item.key, 'food', e.target.value)}
+            aria-label="Food"
+            title={item.text}
+            required
+          />
+          <span className={item.confidence < CONFIDENT ? 'confidence-badge low' : 'confidence-badge'}>
+            {item.confidence < CONFIDENT ? 'check' : `${Math.round(item.confidence * 100)}%`}
+          </span>
+          <button type="button" className="link-btn" onClick={() => removeItem(item.key)}>Remove</button>
+        </div>
+      ))}
+      {unparsed.length > 0 && <p className="progress-note warning">Couldn't read: {unparsed.join(', ')}</p>}
+      <div className="recipe-actions">
+        <button type="submit" disabled={busy || items.length === 0} className="submit-btn">
+          {busy ? 'Logging...' : `Log ${items.length} Item${items.length === 1 ? '' : 's'}`}
+        </button>
+        <button type="button" className="range-btn" onClick={reset} disabled={busy}>Back</button>
+      </div>
+    </form>
+  );
+}
+
+export default QuickAdd;
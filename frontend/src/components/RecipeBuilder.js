@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import FoodSearchInput from './FoodSearchInput';
+import { UNIT_OPTIONS } from '../units';
+
+let nextRowKey = 1;
+
+const emptyIngredient = () => ({
+  key: nextRowKey++,
+  source: 'custom',
+  custom_food_id: '',
+  query: '',
+  product: null,
+  quantity: '',
+  unit: 'grams',
+});
+
+// Builder rows for an existing recipe's ingredients
+const rowsFromRecipe = (recipe) => recipe.ingredients.map(ingredient => ({
+  ...emptyIngredient(),
+  source: ingredient.custom_food_id ? 'custom' : 'product',
+  custom_food_id: ingredient.custom_food_id ? String(ingredient.custom_food_id) : '',
+  query: ingredient.product_code ? ingredient.name : '',
+  product: ingredient.product_code ? { code: ingredient.product_code, product_name: ingredient.name } : null,
+  quantity: String(ingredient.quantity),
+  unit: ingredient.unit,
+}));
+
+// Creates or edits a recipe from custom foods and searched products. `recipe` is the
+// recipe being edited, or null for a new one.
+function RecipeBuilder({ apiBase, customFoods, recipe, onSaved, onCancel }) {
+  const [name, setName] = useState(recipe ? recipe.name : '');
+  const [servings, setServings] = useState(recipe ? String(recipe.servings) : '1');
+  const [totalWeight, setTotalWeight] = useState(recipe?.total_weight_g ? String(recipe.total_weight_g) : '');
+  const [ingredients, setIngredients] = useState(recipe ? rowsFromRecipe(recipe) : [emptyIngredient()]);
+  const [saving, setSaving] = useState(false);
+
+  const updateIngredient = (key, changes) => {
+    setIngredients(prev => prev.map(row => (row.key === key ? { ...row, ...changes } : row)));
+  };
+
+  const removeIngredient = (key) => {
+    setIngredients(prev => prev.filter(row => row.key !== key));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (ingredients.some(row => (row.source === 'custom' ? !row.custom_food_id : !row.product?.code))) {
+      toast.error('Pick a custom food or a product with a code for every ingredient.');
+      return;
+    }
+    const payload = {
+      name,
+      servings: parseFloat(servings),
+      total_weight_g: totalWeight === '' ? null : parseFloat(totalWeight),
+      ingredients: ingredients.map(row => ({
+        ...(row.source === 'custom'
+          ? { custom_food_id: Number(row.custom_food_id) }
+          : { product_code: row.product.code }),
+        quantity: parseFloat(row.quantity),
+        unit: row.unit,
+      })),
+    };
+    setSaving(true);
+    try {
+      const response = recipe
+        ? await axios.put(`${apiBase}/recipes/${recipe.id}`, payload)
+        : await axios.post(`${apiBase}/recipes`, payload);
+      toast.success(`${name} saved!`);
+      setSaving(false);
+      if (onSaved) await onSaved(response.data.data.item);
+      return;
+    } catch (error) {
+      console.error('Error saving recipe:', error);
+      const errorMessage = error.response?.data?.message || 'Error saving recipe. Please try again.';
+      toast.error(errorMessage);
+    }
+    setSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="food-form recipe-builder">
+      <div className="form-group">
+        <label htmlFor="recipe-name">Recipe name:</label>
+        <input
+          type="text"
+          id="recipe-name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g., Chicken curry"
+          required
+        />
+      </div>
+      <div className="recipe-yield">
+        <div className="form-group">
+          <label htmlFor="recipe-servings">Servings:</label>
+          <input
+            type="number"
+            id="recipe-servings"
+            value={servings}
+            onChange={(e) => setServings(e.target.value)}
+            min="0"
+            step="0.5"
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="recipe-weight">Cooked weight in grams (optional):</label>
+          <input
+            type="number"
+            id="recipe-weight"
+            value={totalWeight}
+            onChange={(e) => setTotalWeight(e.target.value)}
+            min="0"
+            step="1"
+          />
+        </div>
+      </div>
+
+      <h4>Ingredients</h4>
+      {ingredients.map((row, index) => (
+        <div className="ingredient-row" key={row.key}>
+          <select
+            aria-label={`Ingredient ${index + 1} source`}
+            value={row.source}
+            onChange={(e) => updateIngredient(row.key, { source: e.target.value })}
+          >
+            <option value="custom">My food</option>
+            <option value="product">Product search</option>
+          </select>
+          <div className="ingredient-food">
+            {row.source === 'custom' ? (
+              <select
+                aria-label={`Ingredient ${index + 1} food`}
+                value={row.custom_food_id}
+                onChange={(e) => updateIngredient(row.key, { custom_food_id: e.target.value })}
+              >
+                <option value="">Choose a custom food...</option>
+                {customFoods.map(food => (
+                  <option key={food.id} value={food.id}>{food.name}</option>
+                ))}
+              </select>
+            ) : (
+              <FoodSearchInput
+                apiBase={apiBase}
+                value={row.query}
+                selected={row.product}
+                onChange={(value) => updateIngredient(row.key, { query: value, product: null })}
+                onSelect={(candidate) => updateIngredient(row.key, {
+                  product: candidate,
+                  query: candidate ? candidate.product_name : row.query,
+                })}
+              />
+            )}
+          </div>
+          <input
+            type="number"
+            aria-label={`Ingredient ${index + 1} quantity`}
+            value={row.quantity}
+            onChange={(e) => updateIngredient(row.key, { quantity: e.target.value })}
+            placeholder="Qty"
+            min="0"
+            step="0.1"
+            required
+          />
+          <select
+            aria-label={`Ingredient ${index + 1} unit`}
+            value={row.unit}
+            onChange={(e) => updateIngredient(row.key, { unit: e.target.value })}
+          >
+            {UNIT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="link-btn"
+            onClick={() => removeIngredient(row.key)}
+            disabled={ingredients.length === 1}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+      {ingredients.some(row => row.source === 'product' && row.product && !row.product.code) && (
+        <p className="progress-note warning">Generic foods have no product code; save them as a custom food to use them here.</p>
+      )}
+      <button type="button" className="range-btn" onClick={() => setIngredients(prev => [...prev, emptyIngredient()])}>
+        + Add Ingredient
+      </button>
+
+      <div className="recipe-actions">
+        <button type="submit" disabled={saving} className="submit-btn">
+          {saving ? 'Saving...' : 'Save Recipe'}
+        </button>
+        {onCancel && (
+          <button type="button" className="range-btn" onClick={onCancel}>Cancel</button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default RecipeBuilder;
@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { toast } from 'react-toastify';
+import CustomFoodForm from './CustomFoodForm';
+import RecipeBuilder from './RecipeBuilder';
+import MealPicker from './MealPicker';
+import { mealTimingPayload } from '../meals';
+
+const macros = (values) => (
+  `${Math.round(values.calories)} kcal · P ${values.protein.toFixed(1)}g · C ${values.carbs.toFixed(1)}g · F ${values.fat.toFixed(1)}g`
+);
+
+// "Recipes" tab: the user's custom foods and recipes, with builders for both and
+// one-click logging of a serving into the current meal
+function RecipesScreen({ apiBase, mealTiming, onMealTimingChange, onLogged }) {
+  const [customFoods, setCustomFoods] = useState([]);
+  const [recipes, setRecipes] = useState([]);
+  const [showFoodForm, setShowFoodForm] = useState(false);
+  // null: builder closed, 'new': new recipe, otherwise the recipe being edited
+  const [builderRecipe, setBuilderRecipe] = useState(null);
+
+  const fetchAll = useCallback(async () => {
+    try {
+      const [foodsResponse, recipesResponse] = await Promise.all([
+        axios.get(`${apiBase}/custom-foods`),
+        axios.get(`${apiBase}/recipes`),
+      ]);
+      setCustomFoods(foodsResponse.data.data.items);
+      setRecipes(recipesResponse.data.data.items);
+    } catch (error) {
+      console.error('Error fetching recipes:', error);
+    }
+  }, [apiBase]);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  const logItem = async (payload, name) => {
+    try {
+      await axios.post(`${apiBase}/food-log`, {
+        ...payload,
+        ...mealTimingPayload(mealTiming)
+      });
+      toast.success(`${name} logged successfully!`);
+      if (onLogged) await onLogged();
+    } catch (error) {
+      console.error('Error logging food:', error);
+      const errorMessage = error.response?.data?.message || 'Error logging food. Please try again.';
+      toast.error(errorMessage);
+    }
+  };
+
+  const deleteItem = async (path, name) => {
+    try {
+      await axios.delete(`${apiBase}/${path}`);
+      toast.success(`${name} deleted.`);
+      await fetchAll();
+    } catch (error) {
+      console.error('Error deleting item:', error);
+      const errorMessage = error.response?.data?.message || 'Error deleting item. Please try again.';
+      toast.error(errorMessage);
+    }
+  };
+
+  const handleRecipeSaved = async () => {
+    setBuilderRecipe(null);
+    await fetchAll();
+  };
+
+  return (
+    <section className="recipes-section">
+      <h2>Recipes & Custom Foods</h2>
+      <MealPicker value={mealTiming} onChange={onMealTimingChange} />
+
+      <div className="saved-foods">
+        <div className="saved-header">
+          <h3>My Recipes</h3>
+          {builderRecipe === null && (
+            <button type="button" className="range-btn" onClick={() => setBuilderRecipe('new')}>+ New Recipe</button>
+          )}
+        </div>
+        {builderRecipe !== null && (
+          <RecipeBuilder
+            key={builderRecipe === 'new' ? 'new' : builderRecipe.id}
+            apiBase={apiBase}
+            customFoods={customFoods}
+            recipe={builderRecipe === 'new' ? null : builderRecipe}
+            onSaved={handleRecipeSaved}
+            onCancel={() => setBuilderRecipe(null)}
+          />
+        )}
+        {recipes.length > 0 ? (
+          <ul className="food-log-list">
+            {recipes.map(recipe => (
+              <li key={recipe.id} className="food-entry saved-item">
+                <div className="entry-row">
+                  <div className="entry-body">
+                    <strong>{recipe.name}</strong> - {recipe.servings} serving{recipe.servings === 1 ? '' : 's'}
+                    {recipe.nutrition.weight_g && <span className="entry-meal"> · {Math.round(recipe.nutrition.weight_g)} g</span>}
+                    <div className="nutrition-info">Per serving: {macros(recipe.nutrition.per_serving)}</div>
+                    <div className="nutrition-info">Total: {macros(recipe.nutrition.total)}</div>
+                    <div className="progress-note">{recipe.ingredients.map(i => `${i.quantity} ${i.unit} ${i.name}`).join(', ')}</div>
+                  </div>
+                  <div className="entry-actions">
+                    <button
+                      type="button"
+                      className="entry-action save"
+                      onClick={() => logItem({ recipe_id: recipe.id, quantity: 1, unit: 'servings' }, recipe.name)}
+                    >
+                      Log 1 serving
+                    </button>
+                    <button type="button" className="entry-action" onClick={() => setBuilderRecipe(recipe)}>
+                      Edit
+                    </button>
+                    <button type="button" className="entry-action delete" onClick={() => deleteItem(`recipes/${recipe.id}`, recipe.name)}>
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p>No recipes yet. Build one from your custom foods or searched products.</p>
+        )}
+      </div>
+
+      <div className="saved-foods">
+        <div className="saved-header">
+          <h3>My Foods</h3>
+          <button type="button" className="range-btn" onClick={() => setShowFoodForm(!showFoodForm)}>
+            {showFoodForm ? 'Close' : '+ New Custom Food'}
+          </button>
+        </div>
+        {showFoodForm && (
+          <CustomFoodForm
+            apiBase={apiBase}
+            onSaved={async () => {
+              setShowFoodForm(false);
+              await fetchAll();
+            }}
+          />
+        )}
+        {customFoods.length > 0 ? (
+          <ul className="food-log-list">
+            {customFoods.map(food => (
+              <li key={food.id} className="food-entry saved-item">
+                <div className="entry-row">
+                  <div className="entry-body">
+                    <strong>{food.name}</strong>{food.brand ? ` (${food.brand})` : ''}
+                    {food.per_100g && <div className="nutrition-info">Per 100g: {macros(food.per_100g)}</div>}
+                    {food.per_serving && (
+                      <div className="nutrition-info">
+                        Per serving{food.serving_g ? ` (${food.serving_g} g)` : ''}: {macros(food.per_serving)}
+                      </div>
+                    )}
+                  </div>
+                  <div className="entry-actions">
+                    <button
+                      type="button"
+                      className="entry-action save"
+                      onClick={() => logItem(
+                        food.per_serving
+                          ? { custom_food_id: food.id, quantity: 1, unit: 'servings' }
+                          : { custom_food_id: food.id, quantity: 100, unit: 'grams' },
+                        food.name
+                      )}
+                    >
+                      {food.per_serving ? 'Log 1 serving' : 'Log 100 g'}
+                    </button>
+                    <button type="button" className="entry-action delete" onClick={() => deleteItem(`custom-foods/${food.id}`, food.name)}>
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p>No custom foods yet. Add your own foods with their label values.</p>
+        )}
+      </div>
+    </section>
+  );
+}
+
+export default RecipesScreen;
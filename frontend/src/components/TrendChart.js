@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { localToday, shiftDate, formatDisplayDate } from '../dates';
+
+const RANGES = [
+  { days: 7, label: '7 days', granularity: 'day' },
+  { days: 30, label: '30 days', granularity: 'day' },
+  { days: 90, label: '90 days', granularity: 'week' },
+];
+
+const MACRO_SERIES = [
+  { key: 'protein', label: 'Protein', color: '#28a745' },
+  { key: 'carbs', label: 'Carbs', color: '#fd7e14' },
+  { key: 'fat', label: 'Fat', color: '#dc3545' },
+];
+
+const WIDTH = 600;
+const HEIGHT = 180;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 44 };
+
+// Minimal SVG line chart: one polyline per series over a shared x axis
+function LineChart({ labels, series, unit }) {
+  const max = Math.max(1, ...series.flatMap(s => s.values));
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (i) => PADDING.left + (labels.length > 1 ? (i / (labels.length - 1)) * innerWidth : innerWidth / 2);
+  const y = (v) => PADDING.top + innerHeight - (v / max) * innerHeight;
+  const labelEvery = Math.ceil(labels.length / 7);
+
+  return (
+    <svg className="trend-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img">
+      {[0, 0.5, 1].map(fraction => (
+        <g key={fraction}>
+          <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(max * fraction)} y2={y(max * fraction)} className="grid-line" />
+          <text x={PADDING.left - 6} y={y(max * fraction) + 4} textAnchor="end" className="axis-label">
+            {Math.round(max * fraction)}{unit}
+          </text>
+        </g>
+      ))}
+      {labels.map((label, i) => (i % labelEvery === 0 ? (
+        <text key={label} x={x(i)} y={HEIGHT - 6} textAnchor="middle" className="axis-label">
+          {formatDisplayDate(label, { month: 'short', day: 'numeric' })}
+        </text>
+      ) : null))}
+      {series.map(s => (
+        <polyline
+          key={s.key}
+          fill="none"
+          stroke={s.color}
+          strokeWidth="2"
+          points={s.values.map((v, i) => `${x(i)},${y(v)}`).join(' ')}
+        />
+      ))}
+    </svg>
+  );
+}
+
+// Calories and macros over the last 7/30/90 days from /summary/range
+function TrendChart({ apiBase, refreshKey }) {
+  const [range, setRange] = useState(RANGES[0]);
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    const fetchRange = async () => {
+      const to = localToday();
+      try {
+        const response = await axios.get(`${apiBase}/summary/range`, {
+          params: { from: shiftDate(to, -(range.days - 1)), to, granularity: range.granularity }
+        });
+        setData(response.data.data);
+      } catch (error) {
+        console.error('Error fetching trend data:', error);
+      }
+    };
+    fetchRange();
+  }, [apiBase, range, refreshKey]);
+
+  // Weekly buckets are plotted as per-logged-day averages so they stay comparable to daily values
+  const valueOf = (bucket, key) => (range.granularity === 'day' ? bucket.totals[key] : bucket.averages[key]);
+  const labels = data ? data.buckets.map(b => b.bucket) : [];
+
+  return (
+    <div className="summary-card">
+      <div className="trend-header">
+        <h3>Trends</h3>
+        <div className="range-buttons">
+          {RANGES.map(r => (
+            <button
+              key={r.days}
+              type="button"
+              className={r.days === range.days ? 'range-btn active' : 'range-btn'}
+              onClick={() => setRange(r)}
+            >
+              {r.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {data ? (
+        <>
+          <p className="trend-stats">
+            Logged {data.summary.logged_days} of {data.total_days} days ·
+            avg {data.summary.averages.calories.toFixed(0)} kcal/day ·
+            P {data.summary.averages.protein.toFixed(0)}g ·
+            C {data.summary.averages.carbs.toFixed(0)}g ·
+            F {data.summary.averages.fat.toFixed(0)}g
+          </p>
+          <h4 className="chart-title">Calories{range.granularity === 'week' ? ' (weekly avg)' : ''}</h4>
+          <LineChart
+            labels={labels}
+            unit=""
+            series={[{ key: 'calories', color: '#667eea', values: data.buckets.map(b => valueOf(b, 'calories')) }]}
+          />
+          <h4 className="chart-title">Macros{range.granularity === 'week' ? ' (weekly avg)' : ''}</h4>
+          <LineChart
+            labels={labels}
+            unit="g"
+            series={MACRO_SERIES.map(s => ({ ...s, values: data.buckets.map(b => valueOf(b, s.key)) }))}
+          />
+          <div className="chart-legend">
+            {MACRO_SERIES.map(s => (
+              <span key={s.key}><span className="legend-swatch" style={{ background: s.color }} />{s.label}</span>
+            ))}
+          </div>
+        </>
+      ) : (
+        <p className="loading-message">Loading trends...</p>
+      )}
+    </div>
+  );
+}
+
+export default TrendChart;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { formatDisplayDate } from '../dates';
+import { fromKg } from '../weights';
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 48 };
+
+// Weigh-ins as dots and the smoothed trend as a line, over the days of
+// /api/insights/energy. Unlike the calorie chart the axis doesn't start at zero, so
+// changes of a few hundred grams stay visible.
+function WeightChart({ days, unit }) {
+  const weights = days.map((day) => (day.weight_kg === null ? null : fromKg(day.weight_kg, unit)));
+  const trend = days.map((day) => (day.trend_kg === null ? null : fromKg(day.trend_kg, unit)));
+  const values = [...weights, ...trend].filter((v) => v !== null);
+  if (values.length === 0) return <p className="progress-note">Log your weight to see its trend here.</p>;
+
+  const min = Math.floor(Math.min(...values) - 0.5);
+  const max = Math.ceil(Math.max(...values) + 0.5);
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (i) => PADDING.left + (days.length > 1 ? (i / (days.length - 1)) * innerWidth : innerWidth / 2);
+  const y = (v) => PADDING.top + innerHeight - ((v - min) / (max - min)) * innerHeight;
+  const labelEvery = Math.ceil(days.length / 7);
+
+  return (
+    <svg className="trend-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img">
+      {[0, 0.5, 1].map((fraction) => {
+        const value = min + (max - min) * fraction;
+        return (
+          <g key={fraction}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(value)} y2={y(value)} className="grid-line" />
+            <text x={PADDING.left - 6} y={y(value) + 4} textAnchor="end" className="axis-label">
+              {value.toFixed(1)}
+            </text>
+          </g>
+        );
+      })}
+      {days.map((day, i) => (i % labelEvery === 0 ? (
+        <text key={day.date} x={x(i)} y={HEIGHT - 6} textAnchor="middle" className="axis-label">
+          {formatDisplayDate(day.date, { month: 'short', day: 'numeric' })}
+        </text>
+      ) : null))}
+      <polyline
+        fill="none"
+        stroke="#667eea"
+        strokeWidth="2"
+        points={trend.map((v, i) => (v === null ? null : `${x(i)},${y(v)}`)).filter(Boolean).join(' ')}
+      />
+      {weights.map((v, i) => (v === null ? null : (
+        <circle key={days[i].date} cx={x(i)} cy={y(v)} r="3" className="weigh-in-dot" />
+      )))}
+    </svg>
+  );
+}
+
+export default WeightChart;
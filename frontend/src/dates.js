@@ -0,0 +1,36 @@
+// Local calendar date helpers; dates are 'YYYY-MM-DD' strings like the API uses
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const formatDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const localToday = () => formatDate(new Date());
+
+export const shiftDate = (value, days) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return formatDate(new Date(year, month - 1, day + days));
+};
+
+// e.g. "Mon, Oct 14" for chart labels and headings
+export const formatDisplayDate = (value, options = { weekday: 'short', month: 'short', day: 'numeric' }) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, options);
+};
+
+// Value for a <input type="datetime-local">, e.g. "2024-05-01T19:30"
+export const toDateTimeLocal = (date) => `${formatDate(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// The browser's IANA time zone, e.g. "Europe/Berlin"; sent with every request so the server
+// splits days where the user does
+export const localTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// ISO 8601 with the local UTC offset, e.g. "2024-05-01T19:30:00+02:00"
+export const toOffsetIso = (date) => {
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  const abs = Math.abs(offset);
+  return `${toDateTimeLocal(date)}:${pad(date.getSeconds())}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+};
+
+// "19:30" (locale format) for an ISO timestamp from the API
+export const formatTime = (iso) => new Date(iso).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
@@ -2,6 +2,7 @@ import React from 'react';
 import { createRoot } from 'react-dom/client';
 import './index.css';
 import App from './App';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const container = document.getElementById('root');
 const root = createRoot(container);
@@ -11,3 +12,6 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Installable, and opens offline once loaded (production builds only)
+serviceWorkerRegistration.register();
@@ -0,0 +1,41 @@
+import { toOffsetIso } from './dates';
+
+// Standard meal slots; anything else typed under "Other" is sent as a custom slot
+export const MEAL_OPTIONS = [
+  { value: 'breakfast', label: 'Breakfast' },
+  { value: 'lunch', label: 'Lunch' },
+  { value: 'dinner', label: 'Dinner' },
+  { value: 'snack', label: 'Snack' },
+];
+
+export const CUSTOM_MEAL = 'custom';
+
+// Meal slot that fits a time of day
+export const suggestMeal = (date) => {
+  const hour = date.getHours();
+  if (hour >= 5 && hour < 11) return 'breakfast';
+  if (hour >= 11 && hour < 15) return 'lunch';
+  if (hour >= 17 && hour < 22) return 'dinner';
+  return 'snack';
+};
+
+export const mealLabel = (meal) => {
+  if (!meal) return 'Unassigned';
+  const option = MEAL_OPTIONS.find((o) => o.value === meal);
+  return option ? option.label : meal;
+};
+
+// Meal and eating time as picked in MealPicker. An empty time means "now", and until the
+// user picks a meal the slot follows the time of day.
+export const initialMealTiming = { meal: null, customMeal: '', eatenAt: '' };
+
+export const effectiveMeal = (timing) => timing.meal || suggestMeal(timing.eatenAt ? new Date(timing.eatenAt) : new Date());
+
+// Request fields for POST /api/food-log
+export const mealTimingPayload = (timing) => {
+  const meal = effectiveMeal(timing);
+  return {
+    meal: meal === CUSTOM_MEAL ? (timing.customMeal.trim() || null) : meal,
+    eaten_at: toOffsetIso(timing.eatenAt ? new Date(timing.eatenAt) : new Date()),
+  };
+};
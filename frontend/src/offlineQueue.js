@@ -0,0 +1,107 @@
+import axios from 'axios';
+
+// Food log entries that couldn't be sent (no connection, or the server unreachable) wait in
+// IndexedDB until they can be replayed to POST /api/food-log. Each entry's client-generated
+// id is also sent as the Idempotency-Key, so replaying a request that did reach the server
+// before the connection dropped doesn't log it twice.
+
+const DB_NAME = 'nutrition-tracker';
+const STORE = 'pending-food-logs';
+
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run one store operation and resolve with its result once the transaction commits
+const withStore = async (mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = operation(transaction.objectStore(STORE));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+export const newClientId = () => (window.crypto && window.crypto.randomUUID
+  ? window.crypto.randomUUID()
+  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`);
+
+// The account a session token belongs to (its "sub" claim), readable without the server so
+// entries queued offline stay with the right user
+export const userIdFromToken = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).sub || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// No response at all, or the proxy in front of the API reporting it unreachable
+export const isOfflineError = (error) => !error.response || [502, 503, 504].includes(error.response.status);
+
+export const queueFoodLog = async (userId, id, payload) => {
+  const entry = { id, user_id: userId, payload, created_at: new Date().toISOString(), error: null };
+  await withStore('readwrite', (store) => store.put(entry));
+  return entry;
+};
+
+// The user's queued entries, oldest first
+export const pendingFoodLogs = async (userId) => {
+  const entries = await withStore('readonly', (store) => store.getAll());
+  return entries
+    .filter((entry) => entry.user_id === userId)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+};
+
+export const discardFoodLog = (id) => withStore('readwrite', (store) => store.delete(id));
+
+// Clear a server rejection so the entry is tried again on the next sync
+export const retryFoodLog = async (id) => {
+  const entry = await withStore('readonly', (store) => store.get(id));
+  if (entry) await withStore('readwrite', (store) => store.put({ ...entry, error: null }));
+};
+
+// Worth trying again later: still offline, the server struggling, or the key in use by a
+// request that hasn't finished
+const isTemporary = (error) => isOfflineError(error) || [401, 409, 429].includes(error.response.status) || error.response.status >= 500;
+
+let running = null;
+
+// Send the user's queued entries in order. Stops at the first temporary failure (the rest
+// would fail the same way); an entry the server rejects, e.g. an unknown unit, keeps its
+// error message and waits for the user to retry or discard it.
+// Resolves to { sent, rejected }.
+export const syncFoodLogs = (apiBase, userId) => {
+  if (running) return running;
+  running = (async () => {
+    const result = { sent: 0, rejected: 0 };
+    for (const entry of await pendingFoodLogs(userId)) {
+      if (entry.error) continue;
+      try {
+        await axios.post(`${apiBase}/food-log`, entry.payload, { headers: { 'Idempotency-Key': entry.id } });
+        await discardFoodLog(entry.id);
+        result.sent += 1;
+      } catch (error) {
+        if (isTemporary(error)) break;
+        const message = error.response.data?.message || `Rejected by the server (${error.response.status})`;
+        await withStore('readwrite', (store) => store.put({ ...entry, error: message }));
+        result.rejected += 1;
+      }
+    }
+    return result;
+  })().finally(() => {
+    running = null;
+  });
+  return running;
+};
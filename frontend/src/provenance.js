@@ -0,0 +1,24 @@
+// What the server's provenance heuristics mean (see lib/nutrition/provenance.js), for the
+// tooltip on flagged entries
+const HEURISTIC_LABELS = {
+  energy_from_kj: 'energy converted from kJ',
+  energy_assumed_kj: 'energy assumed to be in kJ',
+  calories_missing: 'no calorie value, counted as 0',
+  macros_missing: 'missing protein, carbs or fat, counted as 0',
+  search_match: 'matched by name search',
+  density_assumed_water: 'volume weighed as if it were water',
+  piece_as_serving: 'one piece taken as one serving',
+  serving_from_label: 'serving weight read from the label text',
+};
+
+export const describeHeuristics = (heuristics) => (heuristics || [])
+  .map((code) => HEURISTIC_LABELS[code] || code.replace(/_/g, ' '))
+  .join('; ');
+
+// Core values offered when fixing an entry's nutrition by hand
+export const OVERRIDE_FIELDS = [
+  { key: 'calories', label: 'kcal' },
+  { key: 'protein', label: 'Protein (g)' },
+  { key: 'carbs', label: 'Carbs (g)' },
+  { key: 'fat', label: 'Fat (g)' },
+];
@@ -0,0 +1,41 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker for the installable app. react-scripts builds it with Workbox (production
+// builds only) and fills in self.__WB_MANIFEST with the hashed build files, which are
+// precached so the app shell opens without a network. API requests are never cached here:
+// entries logged while offline are queued by the app itself (see offlineQueue.js).
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Page navigations get the cached index.html (the app routes on the client), except server
+// endpoints and URLs that look like files
+const SERVER_PATHS = /^\/(api|health|metrics)(\/|$)/;
+const FILE_PATH = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate'
+    && !SERVER_PATHS.test(url.pathname)
+    && !FILE_PATH.test(url.pathname),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Icons and other images from public/
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.endsWith('.png'),
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+// Lets the page switch to an updated worker without waiting for every tab to close
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
@@ -0,0 +1,22 @@
+// Registers the service worker (src/service-worker.js) in production builds, which makes the
+// app installable and lets it open offline. Development builds skip it so code changes
+// aren't hidden behind a cache.
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  // A worker can only control pages on its own origin, e.g. not when PUBLIC_URL is a CDN
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((error) => console.error('Error registering the service worker:', error));
+  });
+}
+
+export function unregister() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.unregister())
+    .catch((error) => console.error('Error unregistering the service worker:', error));
+}
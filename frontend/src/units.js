@@ -0,0 +1,21 @@
+// Units offered in the food entry and edit forms; values are understood by the server's unit module
+export const UNIT_OPTIONS = [
+  { value: 'grams', label: 'Grams' },
+  { value: 'kg', label: 'Kilograms' },
+  { value: 'ounces', label: 'Ounces' },
+  { value: 'lb', label: 'Pounds' },
+  { value: 'ml', label: 'Milliliters' },
+  { value: 'l', label: 'Liters' },
+  { value: 'tsp', label: 'Teaspoons' },
+  { value: 'tbsp', label: 'Tablespoons' },
+  { value: 'cups', label: 'Cups' },
+  { value: 'fl oz', label: 'Fluid Ounces' },
+  { value: 'pieces', label: 'Pieces' },
+  { value: 'servings', label: 'Servings' },
+];
+
+// Canonical unit names used by the server's parser, mapped to the option values above
+const OPTION_FOR_UNIT = { g: 'grams', oz: 'ounces', cup: 'cups', piece: 'pieces', serving: 'servings' };
+
+// Option value for a unit as the server spells it ("g" -> "grams"); unknown units pass through
+export const unitOptionValue = (unit) => OPTION_FOR_UNIT[unit] || unit;
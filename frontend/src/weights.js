@@ -0,0 +1,15 @@
+// Body weight units offered on the Body tab. The server stores kg; the chosen unit is only
+// used for entry and display.
+export const WEIGHT_UNITS = [
+  { value: 'kg', label: 'kg' },
+  { value: 'lb', label: 'lb' },
+];
+
+const KG_PER_LB = 0.45359237;
+
+export const fromKg = (kg, unit) => (unit === 'lb' ? kg / KG_PER_LB : kg);
+
+export const formatWeight = (kg, unit) => `${fromKg(kg, unit).toFixed(1)} ${unit}`;
+
+// Signed change per week, e.g. "-0.4 kg/week"
+export const formatWeeklyChange = (kg, unit) => `${kg > 0 ? '+' : ''}${fromKg(kg, unit).toFixed(2)} ${unit}/week`;
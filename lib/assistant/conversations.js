@@ -0,0 +1,33 @@
+// In-memory chat context, one entry per (user, conversation id). Conversations expire after
+// `ttlMs` of inactivity; past `maxConversations` the least recently used is dropped.
+const createConversationStore = ({ ttlMs = 30 * 60 * 1000, maxConversations = 1000, now = Date.now } = {}) => {
+  const conversations = new Map();
+  const keyOf = (userId, id) => `${userId}:${id}`;
+
+  const get = (userId, id) => {
+    const key = keyOf(userId, id);
+    const entry = conversations.get(key);
+    if (!entry) return null;
+    if (now() - entry.updatedAt > ttlMs) {
+      conversations.delete(key);
+      return null;
+    }
+    return entry.context;
+  };
+
+  const save = (userId, id, context) => {
+    const key = keyOf(userId, id);
+    // Re-insert so Map order tracks recency
+    conversations.delete(key);
+    conversations.set(key, { context, updatedAt: now() });
+    while (conversations.size > maxConversations) {
+      conversations.delete(conversations.keys().next().value);
+    }
+  };
+
+  const clear = (userId, id) => conversations.delete(keyOf(userId, id));
+
+  return { get, save, clear };
+};
+
+module.exports = { createConversationStore };
@@ -0,0 +1,458 @@
+const { NUTRIENTS, NUTRIENT_KEYS, CORE_NUTRIENTS } = require('../nutrients');
+const { addDays, daysBetween, dateInZone, dayRange } = require('../dates');
+const { normalizeName } = require('../nutrition/names');
+const { parseFoodText } = require('../foodParser');
+const { MEAL_SLOTS } = require('../meals');
+const { classify, findPeriods } = require('./intents');
+const { createConversationStore } = require('./conversations');
+
+// Local chat assistant: classifies a message (see ./intents) and answers it from the
+// user's own food log and goals, and logs foods from "log ..." commands after the user
+// confirms them. No external service is involved.
+// reply() resolves to { intent, confidence, text, data, suggestions, context } where
+// `suggestions` are quick replies for the UI and `context` feeds the next turn.
+
+const MAX_LISTED_FOODS = 10;
+
+const round2 = (v) => parseFloat(Number(v).toFixed(2));
+const nutrientInfo = (key) => NUTRIENTS.find((nutrient) => nutrient.key === key);
+
+// "1850 kcal", "82.5 g", "2300 mg"
+const formatAmount = (key, value) => {
+  const { unit } = nutrientInfo(key);
+  const rounded = unit === 'kcal' ? Math.round(value) : Math.round(value * 10) / 10;
+  return `${rounded} ${unit}`;
+};
+
+const nutrientName = (key) => (key === 'calories' ? 'calories' : nutrientInfo(key).name.toLowerCase());
+
+// "today", "this week", "on 2024-05-01", "on Monday"
+const periodPhrase = (period) => (/^(\d{4}-|[A-Z])/.test(period.label) ? `on ${period.label}` : period.label);
+const periodDays = (period) => daysBetween(period.from, period.to) + 1;
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// The period a single period is compared against when only one is named
+const previousPeriod = (period, today) => {
+  const named = { today: 'yesterday', 'this week': 'last week', 'this month': 'last month' }[period.label];
+  if (named) return findPeriods(named, today)[0];
+  const days = periodDays(period);
+  const to = addDays(period.from, -1);
+  const from = addDays(to, -(days - 1));
+  return days === 1 ? { label: from, from, to } : { label: `the ${days} days before`, from, to };
+};
+
+// Quick-reply wording for the follow-up questions the handlers offer
+const totalQuestion = (key, period) => `How ${key === 'calories' ? 'many' : 'much'} ${nutrientName(key)} did I eat ${period.label}?`;
+const topFoodQuestion = (key, period) => (key === 'calories'
+  ? `What was my highest-calorie food ${period.label}?`
+  : `Which food had the most ${nutrientName(key)} ${period.label}?`);
+const compareQuestion = (period, today) => `Compare ${period.label} to ${previousPeriod(period, today).label}`;
+
+const COMMAND_RE = /^(?:please )?(?:log|add|track|record)\b\s*|^i (?:had|ate|drank)\b\s*/i;
+const MEAL_RE = new RegExp(`\\s*\\b(?:for|at|as) (?:my )?(${MEAL_SLOTS.join('|')})\\b`, 'i');
+
+// "2 × egg", "1 cup milk"
+const describeParsed = (item) => `${item.quantity}${item.unit === 'piece' ? ' ×' : ` ${item.unit}`} ${item.food}`;
+
+const HELP_SUGGESTIONS = [
+  'How much protein did I eat today?',
+  'What was my highest-calorie food this week?',
+  'Compare today to yesterday',
+  'What should I eat?',
+];
+
+// `logFoods(userId, items, { meal, eaten_at, timeZone })` saves parsed items and resolves to
+// { items } or { error } (see logFoodBatch in server.js).
+// Handlers get `user` as { id, timeZone }; periods are calendar days in that zone.
+const createAssistant = ({ runQuery, findGoalForDate, logFoods, historyDays = 60 }) => {
+  const ENTRIES_IN_RANGE = 'FROM food_logs WHERE user_id = ? AND deleted_at IS NULL AND eaten_at >= ? AND eaten_at < ?';
+  const rangeParams = (user, from, to) => {
+    const { start, end } = dayRange(from, to, user.timeZone);
+    return [user.id, start, end];
+  };
+
+  const totalsFor = async (user, period) => {
+    const params = rangeParams(user, period.from, period.to);
+    const rows = await runQuery(
+      `SELECT COUNT(*) AS entry_count, ${NUTRIENT_KEYS.map((key) => `SUM(${key}) AS ${key}`).join(', ')}
+      ${ENTRIES_IN_RANGE}`,
+      params
+    );
+    // Logged days are local days, which SQLite can't work out from UTC instants
+    const times = await runQuery(`SELECT eaten_at ${ENTRIES_IN_RANGE}`, params);
+    return { ...rows[0], logged_days: new Set(times.map((row) => dateInZone(row.eaten_at, user.timeZone))).size };
+  };
+
+  const foodsFor = async (user, period) => {
+    const rows = await runQuery(
+      `SELECT id, food_name, quantity, unit, meal, eaten_at, ${NUTRIENT_KEYS.join(', ')}
+      ${ENTRIES_IN_RANGE}
+      ORDER BY eaten_at, id`,
+      rangeParams(user, period.from, period.to)
+    );
+    return rows.map((row) => ({ ...row, date: dateInZone(row.eaten_at, user.timeZone) }));
+  };
+
+  const nutrientTotal = async (user, { nutrient, periods }, today) => {
+    const key = nutrient || 'calories';
+    const period = periods[0];
+    const totals = await totalsFor(user, period);
+    const data = {
+      nutrient: key,
+      unit: nutrientInfo(key).unit,
+      period,
+      amount: totals[key] === null ? null : round2(totals[key]),
+      entry_count: totals.entry_count,
+      logged_days: totals.logged_days,
+      daily_average: totals[key] !== null && totals.logged_days > 1 ? round2(totals[key] / totals.logged_days) : null,
+      target: null,
+    };
+    const suggestions = [compareQuestion(period, today), topFoodQuestion(key, period)];
+    if (totals.entry_count === 0) {
+      return { text: `You haven't logged anything ${periodPhrase(period)}.`, data, suggestions };
+    }
+    if (totals[key] === null) {
+      return {
+        text: `None of the ${totals.entry_count} entries ${periodPhrase(period)} report ${nutrientName(key)}.`,
+        data,
+        suggestions,
+      };
+    }
+    const amount = key === 'calories' ? formatAmount(key, totals[key]) : `${formatAmount(key, totals[key])} of ${nutrientName(key)}`;
+    let text = `You had ${amount} ${periodPhrase(period)} across ${totals.entry_count} entr${totals.entry_count === 1 ? 'y' : 'ies'}.`;
+    if (data.daily_average !== null) {
+      text += ` That's ${formatAmount(key, data.daily_average)} per logged day over ${totals.logged_days} days.`;
+    }
+    if (periodDays(period) === 1 && CORE_NUTRIENTS.includes(key)) {
+      const goal = await findGoalForDate(user.id, period.from);
+      if (goal && goal[key]) {
+        data.target = goal[key];
+        text += ` That's ${Math.round((totals[key] / goal[key]) * 100)}% of your ${formatAmount(key, goal[key])} goal.`;
+        suggestions.unshift(`What's left for ${period.label}?`);
+      }
+    }
+    return { text, data, suggestions };
+  };
+
+  const topFood = async (user, { nutrient, periods, direction }) => {
+    const key = nutrient || 'calories';
+    const period = periods[0];
+    const rows = (await foodsFor(user, period)).filter((row) => row[key] !== null);
+    rows.sort((a, b) => (direction === 'lowest' ? a[key] - b[key] : b[key] - a[key]));
+    const items = rows.slice(0, 3).map((row) => ({
+      id: row.id,
+      food_name: row.food_name,
+      quantity: row.quantity,
+      unit: row.unit,
+      date: row.date,
+      amount: round2(row[key]),
+    }));
+    const what = key === 'calories'
+      ? `${direction}-calorie food`
+      : `food with the ${direction === 'lowest' ? 'least' : 'most'} ${nutrientName(key)}`;
+    const data = { nutrient: key, unit: nutrientInfo(key).unit, period, direction, items };
+    const suggestions = [totalQuestion(key, period), 'What should I eat?'];
+    if (items.length === 0) {
+      return { text: `I couldn't find any entries with ${nutrientName(key)} ${periodPhrase(period)}.`, data, suggestions };
+    }
+    const [top, ...others] = items;
+    let text = `Your ${what} ${periodPhrase(period)} was ${top.food_name}: ${formatAmount(key, top.amount)} (${top.quantity} ${top.unit}${periodDays(period) > 1 ? `, ${top.date}` : ''}).`;
+    if (others.length > 0) {
+      text += ` Next: ${others.map((item) => `${item.food_name} (${formatAmount(key, item.amount)})`).join(', ')}.`;
+    }
+    return { text, data, suggestions };
+  };
+
+  const compare = async (user, { nutrient, periods }, today) => {
+    const [a, b] = periods.length >= 2 ? periods : [periods[0], previousPeriod(periods[0], today)];
+    const keys = nutrient ? [nutrient] : CORE_NUTRIENTS;
+    const [totalsA, totalsB] = [await totalsFor(user, a), await totalsFor(user, b)];
+    // Multi-day periods are compared by their average per logged day
+    const basis = periodDays(a) === 1 && periodDays(b) === 1 ? 'total' : 'daily_average';
+    const valueOf = (totals, key) => {
+      if (totals[key] === null) return CORE_NUTRIENTS.includes(key) ? 0 : null;
+      return round2(basis === 'total' ? totals[key] : totals[key] / Math.max(totals.logged_days, 1));
+    };
+    const rows = keys.map((key) => {
+      const first = valueOf(totalsA, key);
+      const second = valueOf(totalsB, key);
+      return {
+        nutrient: key,
+        unit: nutrientInfo(key).unit,
+        values: [first, second],
+        difference: first === null || second === null ? null : round2(first - second),
+      };
+    });
+    // Each row's `values` follow the order of `periods`
+    const data = { basis, periods: [a, b], nutrients: rows };
+    const suggestions = ['What should I eat?', `What did I eat ${b.label}?`];
+    if (totalsA.entry_count === 0 && totalsB.entry_count === 0) {
+      return { text: `There are no entries ${periodPhrase(a)} or ${periodPhrase(b)} to compare.`, data, suggestions };
+    }
+    const lines = rows.map((row) => {
+      if (row.difference === null) return `• ${capitalize(nutrientName(row.nutrient))}: not reported in both periods`;
+      const change = row.difference === 0
+        ? 'the same'
+        : `${formatAmount(row.nutrient, Math.abs(row.difference))} ${row.difference > 0 ? 'more' : 'less'}`;
+      return `• ${capitalize(nutrientName(row.nutrient))}: ${formatAmount(row.nutrient, row.values[0])} vs ${formatAmount(row.nutrient, row.values[1])} (${change})`;
+    });
+    const heading = `${capitalize(a.label)} vs ${b.label}${basis === 'daily_average' ? ' (average per logged day)' : ''}:`;
+    return { text: [heading, ...lines].join('\n'), data, suggestions };
+  };
+
+  // Remaining amounts against the goal active on a day
+  const remainingFor = async (user, day) => {
+    const [goal, totals] = [await findGoalForDate(user.id, day), await totalsFor(user, { from: day, to: day })];
+    const remaining = {};
+    for (const key of CORE_NUTRIENTS) {
+      if (goal && goal[key] !== null && goal[key] !== undefined) {
+        remaining[key] = { target: goal[key], consumed: round2(totals[key] || 0), remaining: round2(goal[key] - (totals[key] || 0)) };
+      }
+    }
+    return { goal, totals, remaining };
+  };
+
+  const remaining = async (user, { nutrient, periods }, today) => {
+    const period = periods[0] && periodDays(periods[0]) === 1 ? periods[0] : { label: 'today', from: today, to: today };
+    const { goal, totals, remaining: left } = await remainingFor(user, period.from);
+    const keys = Object.keys(left).filter((key) => !nutrient || key === nutrient);
+    const data = { period, goal, remaining: left };
+    if (!goal || keys.length === 0) {
+      return {
+        text: `You don't have a${nutrient && goal ? ` ${nutrientName(nutrient)}` : ''} goal set for ${period.label === 'today' ? 'today' : period.label}, so there's nothing to count down from. You've had ${formatAmount('calories', totals.calories || 0)} so far.`,
+        data,
+        suggestions: ['How much protein did I eat today?', 'What did I eat today?'],
+      };
+    }
+    const lines = keys.map((key) => {
+      const item = left[key];
+      const status = item.remaining >= 0
+        ? `${formatAmount(key, item.remaining)} left`
+        : `${formatAmount(key, -item.remaining)} over`;
+      return `• ${capitalize(nutrientName(key))}: ${status} (${formatAmount(key, item.consumed)} of ${formatAmount(key, item.target)})`;
+    });
+    return {
+      text: [`Here's where you stand ${periodPhrase(period)}:`, ...lines].join('\n'),
+      data,
+      suggestions: ['What should I eat?', 'Compare today to yesterday'],
+    };
+  };
+
+  // Foods from the user's history with the portion they last logged, most frequent first
+  const historyFoods = async (user, today) => {
+    const rows = await runQuery(
+      `SELECT food_name, quantity, unit, ${CORE_NUTRIENTS.join(', ')}
+      ${ENTRIES_IN_RANGE}
+      ORDER BY eaten_at DESC, id DESC`,
+      rangeParams(user, addDays(today, -historyDays), today)
+    );
+    const foods = new Map();
+    for (const row of rows) {
+      const key = normalizeName(row.food_name) || String(row.food_name).trim().toLowerCase();
+      if (foods.has(key)) foods.get(key).times_logged += 1;
+      else foods.set(key, { ...row, times_logged: 1 });
+    }
+    return [...foods.values()].sort((x, y) => y.times_logged - x.times_logged);
+  };
+
+  // How well a portion fills the remaining macros: covering counts up to 100%, overshooting costs double
+  const fitScore = (food, left) => Object.entries(left).reduce((score, [key, value]) => {
+    if (value <= 0) return score - (food[key] > 0 ? 1 : 0);
+    const ratio = (food[key] || 0) / value;
+    return score + Math.min(ratio, 1) - 2 * Math.max(ratio - 1, 0);
+  }, 0);
+
+  const describeFood = (food) => `• ${food.food_name} (${food.quantity} ${food.unit}) - ${Math.round(food.calories || 0)} kcal, P ${round2(food.protein || 0)} g, C ${round2(food.carbs || 0)} g, F ${round2(food.fat || 0)} g`;
+
+  const suggest = async (user, entities, today) => {
+    const foods = await historyFoods(user, today);
+    const { goal, remaining: left } = await remainingFor(user, today);
+    const toItem = (food) => ({
+      food_name: food.food_name,
+      quantity: food.quantity,
+      unit: food.unit,
+      ...Object.fromEntries(CORE_NUTRIENTS.map((key) => [key, food[key] === null ? null : round2(food[key])])),
+      times_logged: food.times_logged,
+    });
+    if (foods.length === 0) {
+      return {
+        text: 'Log a few foods first - I suggest things from your own history.',
+        data: { remaining: left, items: [] },
+        suggestions: ['Help'],
+      };
+    }
+    if (!goal || Object.keys(left).length === 0) {
+      const items = foods.slice(0, 3).map(toItem);
+      return {
+        text: ['Set daily goals and I can pick foods that fit what you have left. Your most-logged foods are:', ...foods.slice(0, 3).map(describeFood)].join('\n'),
+        data: { remaining: left, items },
+        suggestions: ['How much protein did I eat today?'],
+      };
+    }
+    const remainingValues = Object.fromEntries(Object.entries(left).map(([key, item]) => [key, item.remaining]));
+    if (remainingValues.calories !== undefined && remainingValues.calories <= 0) {
+      return {
+        text: `You've reached your calorie goal for today (${formatAmount('calories', left.calories.consumed)} of ${formatAmount('calories', left.calories.target)}).`,
+        data: { remaining: left, items: [] },
+        suggestions: ["What's left for today?", 'Compare today to yesterday'],
+      };
+    }
+    const fits = foods
+      .filter((food) => remainingValues.calories === undefined || (food.calories || 0) <= remainingValues.calories * 1.05)
+      .map((food) => ({ food, score: fitScore(food, remainingValues) }))
+      .sort((x, y) => y.score - x.score || y.food.times_logged - x.food.times_logged)
+      .slice(0, 3)
+      .map(({ food }) => food);
+    const leftText = Object.entries(remainingValues)
+      .filter(([, value]) => value > 0)
+      .map(([key, value]) => `${formatAmount(key, value)} ${key === 'calories' ? '' : `${nutrientName(key)} `}`.trim())
+      .join(', ');
+    if (fits.length === 0) {
+      return {
+        text: `You have ${leftText} left today, but nothing you've logged recently fits in that.`,
+        data: { remaining: left, items: [] },
+        suggestions: ["What's left for today?"],
+      };
+    }
+    return {
+      text: [`You have ${leftText} left today. From foods you've logged before, these fit:`, ...fits.map(describeFood)].join('\n'),
+      data: { remaining: left, items: fits.map(toItem) },
+      suggestions: ["What's left for today?", 'How much protein did I eat today?'],
+    };
+  };
+
+  const listFoods = async (user, { periods }) => {
+    const period = periods[0];
+    const rows = await foodsFor(user, period);
+    const items = rows.map((row) => ({
+      id: row.id,
+      food_name: row.food_name,
+      quantity: row.quantity,
+      unit: row.unit,
+      date: row.date,
+      meal: row.meal,
+      calories: row.calories === null ? null : round2(row.calories),
+    }));
+    const data = { period, items };
+    const suggestions = [totalQuestion('protein', period), topFoodQuestion('calories', period)];
+    if (items.length === 0) return { text: `You haven't logged anything ${periodPhrase(period)}.`, data, suggestions };
+    const total = items.reduce((sum, item) => sum + (item.calories || 0), 0);
+    const lines = items.slice(0, MAX_LISTED_FOODS).map((item) => `• ${item.food_name} - ${item.quantity} ${item.unit}, ${Math.round(item.calories || 0)} kcal`);
+    if (items.length > MAX_LISTED_FOODS) lines.push(`…and ${items.length - MAX_LISTED_FOODS} more`);
+    return {
+      text: [`${capitalize(periodPhrase(period))} you logged ${items.length} entr${items.length === 1 ? 'y' : 'ies'} (${formatAmount('calories', total)}):`, ...lines].join('\n'),
+      data,
+      suggestions,
+    };
+  };
+
+  // "log 2 eggs and toast for breakfast": parse and ask for confirmation
+  const logFood = (message, context) => {
+    let text = message.replace(COMMAND_RE, '');
+    const mealMatch = MEAL_RE.exec(text);
+    if (mealMatch) text = text.replace(MEAL_RE, ' ');
+    const meal = mealMatch ? mealMatch[1].toLowerCase() : null;
+    const { items, unparsed } = parseFoodText(text);
+    if (items.length === 0) {
+      return {
+        text: 'I couldn\'t find any foods to log. Try something like "log 2 eggs and a slice of toast".',
+        data: { items, unparsed },
+        suggestions: ['Log 2 eggs and a slice of toast'],
+        context,
+      };
+    }
+    const lines = items.map((item) => `• ${describeParsed(item)}${item.confidence < 0.7 ? ' (please check)' : ''}`);
+    if (unparsed.length > 0) lines.push(`(skipped: ${unparsed.join(', ')})`);
+    return {
+      text: [`Log ${items.length === 1 ? 'this' : `these ${items.length} items`}${meal ? ` for ${meal}` : ''}?`, ...lines].join('\n'),
+      data: { items, unparsed, meal },
+      suggestions: ['Yes, log them', 'Cancel'],
+      context: { intent: 'log_food', pending: { items, meal } },
+    };
+  };
+
+  const confirmLog = async (user, context, timing) => {
+    if (!context || !context.pending) {
+      return { text: 'There\'s nothing waiting to be logged. Try "log 2 eggs and toast".', data: null, suggestions: HELP_SUGGESTIONS, context };
+    }
+    const { items, meal } = context.pending;
+    const result = await logFoods(user.id, items, { ...timing, ...(meal ? { meal } : {}), timeZone: user.timeZone });
+    if (result.error) {
+      return {
+        text: `I couldn't log those: ${result.error.message}`,
+        data: { error: result.error },
+        suggestions: ['Help'],
+        context: null,
+      };
+    }
+    const calories = result.items.reduce((sum, item) => sum + (item.nutrition.calories || 0), 0);
+    return {
+      text: `Logged ${result.items.length} item${result.items.length === 1 ? '' : 's'} (${formatAmount('calories', calories)}).`,
+      data: { items: result.items },
+      suggestions: ["What's left for today?", 'How much protein did I eat today?'],
+      context: null,
+    };
+  };
+
+  const HANDLERS = {
+    nutrient_total: nutrientTotal,
+    top_food: topFood,
+    compare,
+    remaining,
+    suggest,
+    list_foods: listFoods,
+  };
+
+  // `today` is the user's date in `timeZone`; `timing` ({ meal, eaten_at }) applies to foods
+  // logged through "log ..." commands
+  const reply = async (userId, message, { today, timeZone = 'UTC', context = null, timing = {} }) => {
+    const user = { id: userId, timeZone };
+    const { intent, confidence, entities } = classify(message, today, context);
+    if (intent === 'log_food') return { intent, confidence, ...logFood(message, context) };
+    if (intent === 'confirm') return { intent, confidence, ...(await confirmLog(user, context, timing)) };
+    if (intent === 'cancel') {
+      return {
+        intent,
+        confidence,
+        text: context && context.pending ? 'OK, I won\'t log those.' : 'Nothing to cancel.',
+        data: null,
+        suggestions: HELP_SUGGESTIONS,
+        context: null,
+      };
+    }
+    if (intent === 'greeting' || intent === 'help') {
+      return {
+        intent,
+        confidence,
+        text: `${intent === 'greeting' ? 'Hi! ' : ''}I can answer questions about what you've logged: totals for any nutrient, your highest or lowest foods, comparisons between days or weeks, what's left of your goals, and foods from your history that fit what's left. I can also log foods for you - just say "log 2 eggs and a cup of milk".`,
+        data: null,
+        suggestions: HELP_SUGGESTIONS,
+        context,
+      };
+    }
+    if (!HANDLERS[intent]) {
+      return {
+        intent,
+        confidence,
+        text: "Sorry, I didn't understand that. I can answer questions about your own food log - try one of these:",
+        data: null,
+        suggestions: HELP_SUGGESTIONS,
+        context,
+      };
+    }
+    const periods = entities.periods.length > 0 ? entities.periods : findPeriods('today', today);
+    const resolved = { ...entities, periods };
+    const answer = await HANDLERS[intent](user, resolved, today);
+    return {
+      intent,
+      confidence,
+      ...answer,
+      context: { intent, nutrient: resolved.nutrient, periods: resolved.periods, direction: resolved.direction },
+    };
+  };
+
+  return { reply };
+};
+
+module.exports = { createAssistant, createConversationStore, classify };
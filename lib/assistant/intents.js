@@ -0,0 +1,157 @@
+const { NUTRIENTS } = require('../nutrients');
+const { addDays, bucketStart, isValidDate } = require('../dates');
+
+// Rule-based intent classifier for the chat assistant. Each intent has weighted patterns;
+// the best-scoring intent wins. Entities (nutrient, periods, direction) are extracted
+// separately so a short follow-up like "and yesterday?" can reuse the previous intent.
+
+const INTENTS = {
+  // "log 2 eggs and toast" is parsed and confirmed before anything is saved
+  log_food: [[/^(please )?(log|add|track|record)\b/, 6], [/^i (had|ate|drank)\b/, 5]],
+  confirm: [[/^(yes|yep|yeah|ok|okay|sure|confirm|do it|save)\b|^log (them|it|these|that)\b/, 8]],
+  cancel: [[/^(no|nope|cancel|never ?mind|dont|stop)\b/, 8]],
+  greeting: [[/^(hi|hello|hey|hiya|good (morning|afternoon|evening))\b/, 3]],
+  help: [[/\b(help|what can you do|what can i ask|how do you work)\b/, 3]],
+  compare: [[/\bcompare|\bcompared (to|with)\b|\bvs\.?\b|\bversus\b|\bdifference between\b/, 4]],
+  top_food: [
+    [/\b(highest|most|biggest|largest|top|lowest|least|smallest|fewest)\b/, 2],
+    [/\b(food|item|thing|meal|dish|entry)\b/, 1],
+    [/\bwhich\b/, 1],
+  ],
+  suggest: [
+    [/\b(suggest|suggestion|recommend|ideas?)\b/, 3],
+    [/\bwhat (should|could|can) i (eat|have)\b/, 4],
+    [/\b(fits?|fitting)\b/, 1],
+  ],
+  remaining: [
+    [/\b(left|remaining|remain|to go|budget)\b/, 3],
+    [/\b(goals?|targets?|on track)\b/, 2],
+  ],
+  list_foods: [
+    [/\bwhat did i (eat|have)\b/, 3],
+    [/\b(list|show)\b.*\b(foods?|entries|log|meals?)\b/, 3],
+  ],
+  nutrient_total: [
+    [/\bhow (much|many)\b/, 3],
+    [/\b(total|intake|consumed|so far)\b/, 2],
+    [/\bdid i (eat|get|have|consume)\b/, 1],
+  ],
+};
+
+// Words that refer to a nutrient, longest first so "saturated fat" wins over "fat"
+const NUTRIENT_WORDS = [
+  ...NUTRIENTS.map((nutrient) => [nutrient.name.toLowerCase(), nutrient.key]),
+  ...NUTRIENTS.map((nutrient) => [nutrient.key.replace(/_/g, ' '), nutrient.key]),
+  ['kcal', 'calories'], ['calorie', 'calories'], ['energy', 'calories'],
+  ['carb', 'carbs'], ['carbohydrate', 'carbs'], ['fats', 'fat'],
+  ['fibre', 'fiber'], ['sat fat', 'saturated_fat'], ['salt', 'sodium'],
+  ['vit c', 'vitamin_c'], ['vit d', 'vitamin_d'], ['b12', 'vitamin_b12'],
+]
+  .filter(([, key]) => NUTRIENTS.some((nutrient) => nutrient.key === key))
+  .sort((a, b) => b[0].length - a[0].length);
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const findNutrient = (text) => {
+  for (const [word, key] of NUTRIENT_WORDS) {
+    if (new RegExp(`\\b${escapeRegExp(word)}s?\\b`).test(text)) return key;
+  }
+  return null;
+};
+
+const monthStart = (date) => `${date.slice(0, 7)}-01`;
+
+// Recognised time expressions; resolve(match, today) -> { label, from, to }
+const PERIODS = [
+  [/\btoday\b|\bso far\b/, (m, today) => ({ label: 'today', from: today, to: today })],
+  [/\byesterday\b/, (m, today) => ({ label: 'yesterday', from: addDays(today, -1), to: addDays(today, -1) })],
+  [/\b(\d+) days ago\b/, (m, today) => {
+    const day = addDays(today, -Number(m[1]));
+    return { label: `${m[1]} days ago`, from: day, to: day };
+  }],
+  [/\bthis week\b/, (m, today) => ({ label: 'this week', from: bucketStart(today, 'week'), to: today })],
+  [/\blast week\b/, (m, today) => {
+    const from = addDays(bucketStart(today, 'week'), -7);
+    return { label: 'last week', from, to: addDays(from, 6) };
+  }],
+  [/\bthis month\b/, (m, today) => ({ label: 'this month', from: monthStart(today), to: today })],
+  [/\blast month\b/, (m, today) => {
+    const to = addDays(monthStart(today), -1);
+    return { label: 'last month', from: monthStart(to), to };
+  }],
+  [/\b(?:last|past) (\d+) days\b/, (m, today) => ({
+    label: `the last ${m[1]} days`,
+    from: addDays(today, -(Math.max(Number(m[1]), 1) - 1)),
+    to: today,
+  })],
+  [/\b(\d{4}-\d{2}-\d{2})\b/, (m) => (isValidDate(m[1]) ? { label: m[1], from: m[1], to: m[1] } : null)],
+  [new RegExp(`\\b(?:on |last )?(${WEEKDAYS.join('|')})\\b`), (m, today) => {
+    const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+    const back = (weekday - WEEKDAYS.indexOf(m[1]) + 7) % 7;
+    const day = addDays(today, -back);
+    return { label: back === 0 ? 'today' : m[1].charAt(0).toUpperCase() + m[1].slice(1), from: day, to: day };
+  }],
+];
+
+// Every time expression in the text, in the order they appear
+const findPeriods = (text, today) => {
+  const found = [];
+  for (const [pattern, resolve] of PERIODS) {
+    const re = new RegExp(pattern.source, 'g');
+    let match;
+    while ((match = re.exec(text)) !== null) {
+      const period = resolve(match, today);
+      if (period) found.push({ index: match.index, period });
+    }
+  }
+  return found
+    .sort((a, b) => a.index - b.index)
+    .filter((item, i, all) => i === 0 || item.period.label !== all[i - 1].period.label)
+    .map((item) => item.period);
+};
+
+const isFollowUp = (text) => /^(and|what about|how about|same for|now)\b/.test(text);
+
+// Classify a message. `context` is the previous turn's { intent, nutrient, periods, direction }
+// so follow-ups ("and carbs?", "what about yesterday?") keep the earlier question.
+// Returns { intent, confidence, entities: { nutrient, periods, direction } }.
+const classify = (message, today, context = null) => {
+  const text = String(message || '').toLowerCase().replace(/[’']/g, '').replace(/\s+/g, ' ').trim();
+  const entities = {
+    nutrient: findNutrient(text),
+    periods: findPeriods(text, today),
+    direction: /\b(lowest|least|smallest|fewest)\b/.test(text) ? 'lowest' : 'highest',
+  };
+  let best = { intent: 'unknown', score: 0 };
+  for (const [intent, patterns] of Object.entries(INTENTS)) {
+    const score = patterns.reduce((sum, [pattern, weight]) => sum + (pattern.test(text) ? weight : 0), 0);
+    if (score > best.score) best = { intent, score };
+  }
+  // A nutrient with no other cue ("protein today?") asks for a total
+  if (best.score === 0 && entities.nutrient && !isFollowUp(text)) best = { intent: 'nutrient_total', score: 2 };
+  const hasEntities = entities.nutrient || entities.periods.length > 0;
+  if (context && context.intent && hasEntities && (isFollowUp(text) || best.score < 2)) {
+    return {
+      intent: context.intent,
+      confidence: 0.6,
+      entities: {
+        nutrient: entities.nutrient || context.nutrient || null,
+        periods: entities.periods.length > 0 ? entities.periods : context.periods || [],
+        direction: /\b(lowest|least|smallest|fewest|highest|most|biggest)\b/.test(text)
+          ? entities.direction
+          : context.direction || entities.direction,
+      },
+      follow_up: true,
+    };
+  }
+  return {
+    intent: best.intent,
+    confidence: best.score === 0 ? 0 : Math.min(1, Math.round((best.score / 5) * 100) / 100),
+    entities,
+    follow_up: false,
+  };
+};
+
+module.exports = { classify, findPeriods, findNutrient };
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const { LOG_LEVELS, LOG_FORMATS } = require('./logger');
+
+// Application settings, read once from the environment (and .env via dotenv) and checked
+// up front: loadConfig() throws a ConfigError listing every invalid value, so a typo fails
+// at startup instead of surfacing later as odd behaviour. Everything is optional, except
+// JWT_SECRET in production.
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const NODE_ENVS = ['development', 'production', 'test'];
+const NUTRITION_PROVIDER_NAMES = ['openfoodfacts', 'local', 'http'];
+// Token lifetimes as jsonwebtoken accepts them, e.g. "7d", "12h", "90 minutes"
+const DURATION_RE = /^\d+(\.\d+)?\s*(ms|s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?|d|days?|w|weeks?|y|yrs?|years?)?$/i;
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Typed readers over an env object. Each returns the default for unset/blank values and
+// records a problem (returning the default) for invalid ones.
+const createReader = (env) => {
+  const problems = [];
+  const raw = (name) => {
+    const value = env[name];
+    return value === undefined || String(value).trim() === '' ? undefined : String(value).trim();
+  };
+  const invalid = (name, value, expected, fallback) => {
+    problems.push(`${name}="${value}" is invalid: expected ${expected}`);
+    return fallback;
+  };
+
+  const string = (name, fallback) => raw(name) ?? fallback;
+
+  const integer = (name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) => {
+    const value = raw(name);
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!/^-?\d+$/.test(value) || number < min || number > max) {
+      return invalid(name, value, `an integer from ${min} to ${max}`, fallback);
+    }
+    return number;
+  };
+
+  const number = (name, fallback, { min = 0 } = {}) => {
+    const value = raw(name);
+    if (value === undefined) return fallback;
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < min) return invalid(name, value, `a number of at least ${min}`, fallback);
+    return parsed;
+  };
+
+  const boolean = (name, fallback) => {
+    const value = raw(name);
+    if (value === undefined) return fallback;
+    if (/^(true|1|yes|on)$/i.test(value)) return true;
+    if (/^(false|0|no|off)$/i.test(value)) return false;
+    return invalid(name, value, 'true or false', fallback);
+  };
+
+  const oneOf = (name, allowed, fallback) => {
+    const value = raw(name);
+    if (value === undefined) return fallback;
+    if (!allowed.includes(value.toLowerCase())) return invalid(name, value, `one of ${allowed.join(', ')}`, fallback);
+    return value.toLowerCase();
+  };
+
+  // http(s) URL without a trailing slash
+  const url = (name, fallback) => {
+    const value = raw(name);
+    if (value === undefined) return fallback;
+    try {
+      const parsed = new URL(value);
+      if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('unsupported protocol');
+      return value.replace(/\/+$/, '');
+    } catch (e) {
+      return invalid(name, value, 'an http(s) URL', fallback);
+    }
+  };
+
+  const list = (name, fallback) => {
+    const value = raw(name);
+    if (value === undefined) return fallback;
+    return value.split(',').map((item) => item.trim()).filter(Boolean);
+  };
+
+  return { raw, string, integer, number, boolean, oneOf, url, list, invalid, problems };
+};
+
+// "*" allows every origin; otherwise a comma-separated list of exact origins
+const readCorsOrigin = (read) => {
+  const origins = read.list('CORS_ORIGIN', ['*']);
+  if (origins.includes('*')) return '*';
+  return origins.map((origin) => {
+    const value = origin.replace(/\/+$/, '');
+    let parsed = null;
+    try {
+      parsed = new URL(value);
+    } catch (e) {
+      parsed = null;
+    }
+    if (parsed && parsed.origin === value) return value;
+    return read.invalid('CORS_ORIGIN', origin, '"*" or origins such as https://app.example.com', null);
+  }).filter(Boolean);
+};
+
+const loadConfig = (env = process.env) => {
+  const read = createReader(env);
+  const nodeEnv = read.oneOf('NODE_ENV', NODE_ENVS, 'development');
+
+  const providers = read.list('NUTRITION_PROVIDERS', ['openfoodfacts', 'local']).map((name) => name.toLowerCase());
+  providers
+    .filter((name) => !NUTRITION_PROVIDER_NAMES.includes(name))
+    .forEach((name) => read.invalid('NUTRITION_PROVIDERS', name, `providers from ${NUTRITION_PROVIDER_NAMES.join(', ')}`));
+  const httpUrl = read.url('NUTRITION_HTTP_URL', null);
+  if (providers.includes('http') && read.raw('NUTRITION_HTTP_URL') === undefined) {
+    read.problems.push('NUTRITION_HTTP_URL is required when NUTRITION_PROVIDERS includes http');
+  }
+
+  const jwtExpiresIn = read.string('JWT_EXPIRES_IN', '7d');
+  if (!DURATION_RE.test(jwtExpiresIn)) read.invalid('JWT_EXPIRES_IN', jwtExpiresIn, 'a duration such as 7d or 12h');
+  const jwtSecret = read.string('JWT_SECRET', null);
+  // A generated secret changes on every restart and differs between instances, which would
+  // log everyone out; only development and test may do without one
+  if (!jwtSecret && nodeEnv === 'production') read.problems.push('JWT_SECRET is required when NODE_ENV is production');
+
+  const config = {
+    env: nodeEnv,
+    isProduction: nodeEnv === 'production',
+    server: {
+      host: read.string('HOST', '0.0.0.0'),
+      port: read.integer('PORT', 3000, { max: 65535 }),
+      // Behind a proxy (e.g. Render), client IPs come from X-Forwarded-For
+      trustProxy: read.boolean('TRUST_PROXY', false),
+    },
+    // SQLite file, or ':memory:' for a throwaway database
+    database: { path: read.string('DATABASE_PATH', './nutrition.db') },
+    cors: { origin: readCorsOrigin(read) },
+    auth: {
+      // Outside production, without JWT_SECRET a random per-process secret is used, so
+      // tokens stop working after a restart (fine for local development)
+      jwtSecret: jwtSecret || crypto.randomBytes(32).toString('hex'),
+      jwtSecretGenerated: !jwtSecret,
+      jwtExpiresIn,
+    },
+    logging: {
+      level: read.oneOf('LOG_LEVEL', LOG_LEVELS, 'info'),
+      // One JSON object per line for log collectors; 'text' for reading in a terminal
+      format: read.oneOf('LOG_FORMAT', LOG_FORMATS, 'json'),
+    },
+    // Requests per minute per client IP on /api; 0 turns the limit off
+    rateLimit: { perMinute: read.integer('RATE_LIMIT', 0) },
+    // How long Idempotency-Key responses are kept; retries after that run again
+    idempotency: { ttlMs: read.number('IDEMPOTENCY_TTL_HOURS', 24 * 30, { min: 1 }) * HOUR_MS },
+    healthCheck: { enabled: read.boolean('HEALTH_CHECK_ENABLED', true) },
+    metrics: { enabled: read.boolean('METRICS_ENABLED', true) },
+    openFoodFacts: {
+      baseUrl: read.url('OPENFOODFACTS_URL', 'https://world.openfoodfacts.org'),
+      timeoutMs: read.integer('OPENFOODFACTS_TIMEOUT_MS', 10000, { min: 1 }),
+      healthTimeoutMs: read.integer('OPENFOODFACTS_HEALTH_TIMEOUT_MS', 4000, { min: 1 }),
+      // How long a health check result is reused before Open Food Facts is asked again
+      healthTtlMs: read.integer('OPENFOODFACTS_HEALTH_TTL_SECONDS', 60, { min: 1 }) * 1000,
+    },
+    nutrition: {
+      // Tried in this order until one has a match
+      providers,
+      http: { baseUrl: httpUrl, timeoutMs: read.integer('NUTRITION_HTTP_TIMEOUT_MS', 5000, { min: 1 }) },
+      // Open Food Facts lookup cache: fresh for the TTL, then served stale while refreshing
+      cache: {
+        ttlMs: read.number('NUTRITION_CACHE_TTL_HOURS', 24 * 7) * HOUR_MS,
+        staleMs: read.number('NUTRITION_CACHE_STALE_HOURS', 24 * 30) * HOUR_MS,
+        negativeTtlMs: read.number('NUTRITION_CACHE_NEGATIVE_TTL_MINUTES', 60) * MINUTE_MS,
+      },
+    },
+  };
+  if (read.problems.length > 0) throw new ConfigError(read.problems);
+  return config;
+};
+
+module.exports = { loadConfig, ConfigError, NODE_ENVS, NUTRITION_PROVIDER_NAMES };
@@ -0,0 +1,170 @@
+// Calendar date helpers. Dates are plain 'YYYY-MM-DD' strings, matching the food_logs.date column.
+// Instants are UTC ISO strings (food_logs.eaten_at); which day an instant falls on depends on
+// an IANA time zone, resolved with Intl so DST changes (23- and 25-hour days) come out right.
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// True for a real calendar date in YYYY-MM-DD form (rejects e.g. 2024-02-30)
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !DATE_RE.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+};
+
+const todayUtc = () => new Date().toISOString().slice(0, 10);
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+// Whole days from `from` to `to` (0 when equal)
+const daysBetween = (from, to) => Math.round(
+  (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000
+);
+
+// First day of the bucket a date falls into: the date itself, its Monday, or the 1st of its month
+const bucketStart = (date, granularity) => {
+  if (granularity === 'week') {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+    return addDays(date, -((weekday + 6) % 7));
+  }
+  if (granularity === 'month') return `${date.slice(0, 7)}-01`;
+  return date;
+};
+
+// Start dates of every bucket overlapping [from, to]
+const listBuckets = (from, to, granularity) => {
+  const buckets = [];
+  let cursor = bucketStart(from, granularity);
+  while (cursor <= to) {
+    buckets.push(cursor);
+    if (granularity === 'week') {
+      cursor = addDays(cursor, 7);
+    } else if (granularity === 'month') {
+      const d = new Date(`${cursor}T00:00:00Z`);
+      d.setUTCMonth(d.getUTCMonth() + 1);
+      cursor = d.toISOString().slice(0, 10);
+    } else {
+      cursor = addDays(cursor, 1);
+    }
+  }
+  return buckets;
+};
+
+// Canonical name of a time zone Intl knows ("europe/berlin" -> "Europe/Berlin"), else null
+const normalizeTimeZone = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: value.trim() }).resolvedOptions().timeZone;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Wall-clock parts of an instant in a zone; one formatter per zone
+const formatters = new Map();
+const zonedParts = (ms, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(new Date(ms))) parts[type] = value;
+  return parts;
+};
+
+// Calendar date of an instant (ms, Date or ISO string) in a zone
+const dateInZone = (instant, timeZone) => {
+  const parts = zonedParts(new Date(instant).getTime(), timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+const todayIn = (timeZone) => dateInZone(Date.now(), timeZone);
+
+// Milliseconds the zone's wall clock is ahead of UTC at an instant
+const zoneOffset = (ms, timeZone) => {
+  const whole = Math.floor(ms / 1000) * 1000;
+  const p = zonedParts(whole, timeZone);
+  return Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour), Number(p.minute), Number(p.second)) - whole;
+};
+
+const TIME_RE = /^(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/;
+
+// True for a wall-clock time "HH:MM[:SS[.sss]]" from 00:00 to 23:59:59
+const isValidTime = (value) => {
+  const match = typeof value === 'string' ? TIME_RE.exec(value) : null;
+  return Boolean(match) && Number(match[1]) <= 23 && Number(match[2]) <= 59 && Number(match[3] || 0) <= 59;
+};
+
+// UTC instant (ms) of a wall-clock time ("HH:MM[:SS[.sss]]") on a date in a zone. A time
+// repeated when clocks go back resolves to its first occurrence; a time skipped when they
+// go forward resolves to the same distance past the jump (02:30 -> 03:30).
+// Throws a RangeError for a time outside 00:00-23:59:59 rather than rolling it over.
+const zonedTimeToUtc = (date, time, timeZone) => {
+  if (!isValidTime(time)) throw new RangeError(`Invalid time of day "${time}"`);
+  const [hours, minutes, seconds = '0'] = time.split(':');
+  const wall = new Date(`${date}T00:00:00Z`).getTime()
+    + (Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000;
+  // Offsets a day either side cover both sides of any transition near this time
+  const before = zoneOffset(wall - 86400000, timeZone);
+  const after = zoneOffset(wall + 86400000, timeZone);
+  const candidates = [wall - before, wall - after].filter((ms) => wall - zoneOffset(ms, timeZone) === ms);
+  return candidates.length > 0 ? Math.min(...candidates) : wall - before;
+};
+
+// The same wall-clock time as an instant, on another date, in a zone (ISO string). Used to
+// copy an entry to another day at the time it was eaten.
+const sameTimeOnDate = (instant, date, timeZone) => {
+  const ms = new Date(instant).getTime();
+  const p = zonedParts(ms, timeZone);
+  const time = `${p.hour}:${p.minute}:${p.second}`;
+  return new Date(zonedTimeToUtc(date, time, timeZone) + (ms % 1000)).toISOString();
+};
+
+// Half-open UTC interval [start, end) covering the days from..to in a zone, as ISO strings
+// comparable with food_logs.eaten_at
+const dayRange = (from, to, timeZone) => ({
+  start: new Date(zonedTimeToUtc(from, '00:00', timeZone)).toISOString(),
+  end: new Date(zonedTimeToUtc(addDays(to, 1), '00:00', timeZone)).toISOString(),
+});
+
+const DATE_TIME_RE = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)(Z|[+-]\d{2}:\d{2})?$/;
+
+// Parse an ISO 8601 date-time such as "2024-05-01T19:30:00+02:00". A value without an offset
+// is a wall-clock time in `timeZone`. Returns the instant as a UTC ISO string plus its
+// calendar date in `timeZone`, or null when the value isn't a valid date-time (including
+// times such as 25:00, with or without an offset).
+const parseDateTime = (value, timeZone = 'UTC') => {
+  const match = typeof value === 'string' ? DATE_TIME_RE.exec(value) : null;
+  if (!match || !isValidDate(match[1]) || !isValidTime(match[2])) return null;
+  const ms = match[3] ? new Date(value).getTime() : zonedTimeToUtc(match[1], match[2], timeZone);
+  if (isNaN(ms)) return null;
+  return { iso: new Date(ms).toISOString(), date: dateInZone(ms, timeZone) };
+};
+
+module.exports = {
+  isValidDate,
+  isValidTime,
+  normalizeTimeZone,
+  parseDateTime,
+  dateInZone,
+  todayIn,
+  zonedTimeToUtc,
+  sameTimeOnDate,
+  dayRange,
+  todayUtc,
+  addDays,
+  daysBetween,
+  bucketStart,
+  listBuckets,
+};
@@ -0,0 +1,145 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3').verbose();
+
+// Statement kind used as the metrics label, e.g. "select" for "SELECT * FROM ..."
+const statementKind = (sql) => {
+  const match = /^\s*(\w+)/.exec(sql);
+  const kind = match ? match[1].toLowerCase() : '';
+  return ['select', 'insert', 'update', 'delete', 'begin', 'commit', 'rollback', 'create', 'alter', 'drop', 'pragma'].includes(kind)
+    ? kind
+    : 'other';
+};
+
+// Open a SQLite database (a file path, or ':memory:' for a throwaway database) and wrap
+// it in promise helpers. Queries issued before the file is open are queued by sqlite3.
+// With a metrics registry, every statement's duration is recorded.
+//
+// Every request shares the one connection, so an open transaction would take in any
+// statement issued meanwhile (and a ROLLBACK would discard it). While a transaction runs,
+// statements from outside it wait until it has committed or rolled back.
+const createDatabase = (filename, { logger = console, metrics = null } = {}) => {
+  const db = new sqlite3.Database(filename, (err) => {
+    if (err) {
+      logger.error('Error opening database', err);
+    } else {
+      logger.info('Connected to SQLite database', { filename });
+    }
+  });
+
+  const queryDuration = metrics && metrics.histogram(
+    'db_query_duration_seconds',
+    'SQLite statement duration (including time queued behind other statements)',
+    ['statement', 'outcome']
+  );
+  const startTimer = (sql) => {
+    if (!queryDuration) return () => {};
+    const end = queryDuration.startTimer({ statement: statementKind(sql) });
+    return (err) => end({ outcome: err ? 'error' : 'ok' });
+  };
+
+  // The open transaction (null when none); statements issued inside it carry it in `scope`
+  const scope = new AsyncLocalStorage();
+  let active = null;
+  // Statements running outside a transaction, which a new transaction waits for
+  let running = 0;
+  let idleWaiters = [];
+  const whenIdle = () => (running === 0 ? Promise.resolve() : new Promise((resolve) => idleWaiters.push(resolve)));
+  const track = async (statement) => {
+    running += 1;
+    try {
+      return await statement();
+    } finally {
+      running -= 1;
+      if (running === 0) {
+        idleWaiters.forEach((resolve) => resolve());
+        idleWaiters = [];
+      }
+    }
+  };
+  const gated = async (statement) => {
+    if (active && scope.getStore() === active) return statement();
+    while (active) await active.done;
+    return track(statement);
+  };
+
+  const query = (sql, params) => new Promise((resolve, reject) => {
+    const done = startTimer(sql);
+    db.all(sql, params, (err, rows) => {
+      done(err);
+      if (err) return reject(err);
+      resolve(rows);
+    });
+  });
+  const execute = (sql, params) => new Promise((resolve, reject) => {
+    const done = startTimer(sql);
+    db.run(sql, params, function (err) {
+      done(err);
+      if (err) return reject(err);
+      resolve({ changes: this.changes, lastID: this.lastID });
+    });
+  });
+
+  const each = (sql, params, onRow) => new Promise((resolve, reject) => {
+    const done = startTimer(sql);
+    db.each(sql, params, (err, row) => {
+      if (!err) onRow(row);
+    }, (err, count) => {
+      done(err);
+      if (err) return reject(err);
+      resolve(count);
+    });
+  });
+
+  // Utility: run DB query returning promise
+  const runQuery = (sql, params = []) => gated(() => query(sql, params));
+  const runExecute = (sql, params = []) => gated(() => execute(sql, params));
+  // Call onRow for each result row without loading them all; resolves to the row count
+  const eachRow = (sql, params, onRow) => gated(() => each(sql, params, onRow));
+
+  // SQLite has no "ADD COLUMN IF NOT EXISTS"; resolves to true when the column was added
+  const addColumnIfMissing = async (table, column, definition) => {
+    const columns = await runQuery(`PRAGMA table_info(${table})`);
+    if (columns.some((c) => c.name === column)) return false;
+    await runExecute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  };
+
+  // Run `work` between BEGIN and COMMIT, rolling back when it throws. Transactions are
+  // queued rather than nested; each starts once the statements already running are done,
+  // and only statements issued from `work` run until it ends.
+  let pending = Promise.resolve();
+  const transaction = (work) => {
+    const run = pending.then(async () => {
+      let finish;
+      const current = { done: new Promise((resolve) => { finish = resolve; }) };
+      active = current;
+      try {
+        await whenIdle();
+        return await scope.run(current, async () => {
+          await runExecute('BEGIN');
+          try {
+            const result = await work();
+            await runExecute('COMMIT');
+            return result;
+          } catch (error) {
+            await runExecute('ROLLBACK');
+            throw error;
+          }
+        });
+      } finally {
+        active = null;
+        finish();
+      }
+    });
+    pending = run.catch(() => {});
+    return run;
+  };
+
+  const close = () => new Promise((resolve, reject) => {
+    db.close((err) => (err ? reject(err) : resolve()));
+  });
+
+  return { db, runQuery, runExecute, eachRow, addColumnIfMissing, transaction, close };
+};
+
+module.exports = { createDatabase };
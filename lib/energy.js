@@ -0,0 +1,102 @@
+// Maintenance calorie (TDEE) estimates from body weight and food logs. Over a window of days,
+// energy out = average logged intake - energy stored, where the stored energy comes from the
+// rate the weight trend moves at (about 7700 kcal per kg of body mass).
+//
+// Day-to-day weight swings by a kilo or more with water and food in the gut, so:
+// - the trend shown is an exponentially smoothed average of the daily weights (each day moves
+//   it TREND_ALPHA of the way towards that day's weigh-in; days without one carry it forward),
+// - the rate is the least-squares slope through the weigh-ins, which smooths the same noise
+//   without the moving average's lag.
+// Intake is averaged over days with food logged, so a forgotten day doesn't read as a fast.
+const { addDays, daysBetween } = require('./dates');
+
+const KCAL_PER_KG = 7700;
+const TREND_ALPHA = 0.1;
+const MIN_WEIGH_IN_SPAN_DAYS = 7;
+const MIN_LOGGED_DAYS = 7;
+
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+// Every date from `from` to `to`
+const listDates = (from, to) => Array.from({ length: daysBetween(from, to) + 1 }, (_, i) => addDays(from, i));
+
+// Smoothed weight per date; null until the first weigh-in. `weights` maps date -> kg.
+const weightTrend = (dates, weights) => {
+  let trend = null;
+  return dates.map((date) => {
+    if (weights.has(date)) trend = trend === null ? weights.get(date) : trend + TREND_ALPHA * (weights.get(date) - trend);
+    return trend === null ? null : round(trend, 2);
+  });
+};
+
+// kg per day from a least-squares line through (day index, weight)
+const weightSlope = (points) => {
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  let numerator = 0;
+  let denominator = 0;
+  for (const p of points) {
+    numerator += (p.x - meanX) * (p.y - meanY);
+    denominator += (p.x - meanX) ** 2;
+  }
+  return denominator === 0 ? 0 : numerator / denominator;
+};
+
+// How far to trust an estimate: enough weigh-ins over enough days, and most days logged
+const confidenceOf = ({ weighIns, spanDays, coverage }) => {
+  if (weighIns >= 8 && spanDays >= 21 && coverage >= 0.8) return 'high';
+  if (weighIns >= 4 && spanDays >= 14 && coverage >= 0.5) return 'medium';
+  return 'low';
+};
+
+// Estimate for the days from..to. `weights` maps date -> the day's mean weight in kg and
+// `calories` maps date -> kcal logged that day (days with no food entries absent).
+// `estimate` is null, with a `reason`, until there is enough data.
+const estimateEnergy = ({ from, to, weights, calories }) => {
+  const dates = listDates(from, to);
+  const trend = weightTrend(dates, weights);
+  const weighInDates = dates.filter((date) => weights.has(date));
+  const loggedDates = dates.filter((date) => calories.has(date));
+  const spanDays = weighInDates.length > 1 ? daysBetween(weighInDates[0], weighInDates[weighInDates.length - 1]) : 0;
+  const days = dates.map((date, i) => ({
+    date,
+    weight_kg: weights.has(date) ? round(weights.get(date), 2) : null,
+    trend_kg: trend[i],
+    calories: calories.has(date) ? round(calories.get(date), 0) : null,
+  }));
+  const result = {
+    days,
+    weigh_in_days: weighInDates.length,
+    logged_days: loggedDates.length,
+    estimate: null,
+    reason: null,
+  };
+  if (spanDays < MIN_WEIGH_IN_SPAN_DAYS) {
+    result.reason = 'not_enough_weight_data';
+    return result;
+  }
+  if (loggedDates.length < MIN_LOGGED_DAYS) {
+    result.reason = 'not_enough_food_logs';
+    return result;
+  }
+  const kgPerDay = weightSlope(weighInDates.map((date) => ({ x: daysBetween(from, date), y: weights.get(date) })));
+  const averageIntake = loggedDates.reduce((sum, date) => sum + calories.get(date), 0) / loggedDates.length;
+  result.estimate = {
+    tdee: Math.round(averageIntake - kgPerDay * KCAL_PER_KG),
+    average_intake: Math.round(averageIntake),
+    weekly_change_kg: round(kgPerDay * 7, 2),
+    daily_balance: Math.round(kgPerDay * KCAL_PER_KG),
+    confidence: confidenceOf({ weighIns: weighInDates.length, spanDays, coverage: loggedDates.length / dates.length }),
+  };
+  return result;
+};
+
+module.exports = {
+  KCAL_PER_KG,
+  TREND_ALPHA,
+  MIN_WEIGH_IN_SPAN_DAYS,
+  MIN_LOGGED_DAYS,
+  weightTrend,
+  estimateEnergy,
+};
@@ -0,0 +1,193 @@
+const { UNITS, parseUnit } = require('./units');
+
+// Free-text food parsing for quick add and "log ..." chat commands:
+//   "2 eggs, 150g rice and a cup of milk"
+//   -> [{ quantity: 2, unit: 'piece', food: 'egg' }, { quantity: 150, unit: 'g', food: 'rice' }, ...]
+// Each item carries a 0-1 confidence and the assumptions made (e.g. no unit given).
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, half: 0.5, quarter: 0.25, dozen: 12,
+};
+
+// Vague amounts: a guess, with lower confidence
+const VAGUE_AMOUNTS = { 'a couple of': 2, 'a couple': 2, couple: 2, 'a few': 3, few: 3, some: 1 };
+
+const UNICODE_FRACTIONS = { '½': '1/2', '⅓': '1/3', '⅔': '2/3', '¼': '1/4', '¾': '3/4', '⅛': '1/8' };
+
+// Everyday containers that aren't measuring units, mapped to the closest unit
+const CONTAINERS = { slice: 'piece', glass: 'cup', mug: 'cup', bowl: 'serving', plate: 'serving', handful: 'serving' };
+
+// Container word (singular or plural) -> singular
+const CONTAINER_WORDS = new Map(Object.keys(CONTAINERS).flatMap((word) => [
+  [word, word],
+  [/(s|sh|ch|x)$/.test(word) ? `${word}es` : `${word}s`, word],
+]));
+
+// Unit words, longest first so "fl oz" wins over "oz"
+const UNIT_WORDS = [
+  ...Object.values(UNITS).flatMap((def) => def.aliases),
+  ...CONTAINER_WORDS.keys(),
+].sort((a, b) => b.length - a.length);
+
+// Words dropped from the start of a segment ("I had", "log", "some")
+const LEADING_FILLER = /^(?:(?:and|plus|also|then|with|i had|i ate|i drank|had|ate|log|add)\s+)+/;
+
+// Words that end in "s" but aren't plurals
+const NOT_PLURAL = new Set(['oats', 'grits', 'hummus', 'couscous', 'asparagus', 'molasses', 'swiss', 'lentils', 'chickpeas', 'peas', 'greens', 'fries', 'chips', 'nuts', 'noodles']);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const NUMBER = '\\d+(?:[.,]\\d+)?';
+const WORD = `(?:${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')})`;
+const QUANTITY_SOURCE = [
+  `${NUMBER}\\s*-\\s*${NUMBER}`, // range, "2-3"
+  `(?:${NUMBER}|${WORD}|half\\s+a)\\s+dozen\\b`, // "a dozen", "half a dozen"
+  `\\d+\\s+\\d+/\\d+`, // mixed fraction, "1 1/2"
+  `\\d+/\\d+`,
+  `(?:\\d+|${WORD})\\s+and\\s+an?\\s+(?:half|quarter)\\b`, // "one and a half"
+  NUMBER,
+  'half\\s+an?\\b',
+  ...Object.keys(VAGUE_AMOUNTS).map((words) => `${escapeRegExp(words)}\\b`),
+  `${WORD}\\b`,
+].join('|');
+const UNIT_SOURCE = UNIT_WORDS.map(escapeRegExp).join('|');
+
+// "<quantity> [x] [unit] [of] <food>"
+const LEADING_RE = new RegExp(`^(${QUANTITY_SOURCE})(?:\\s*x)?\\s*(?:(${UNIT_SOURCE})(?![a-z]))?\\s*(?:of\\s+)?(.*)$`);
+// "<food> <quantity>[unit]" or "<food> x<quantity>"
+const TRAILING_RE = new RegExp(`^(.*?)\\s+(?:x\\s*)?(${NUMBER}|\\d+/\\d+)\\s*(?:(${UNIT_SOURCE})(?![a-z]))?$`);
+// Segment boundaries: commas, semicolons, new lines, "+", "&", and "and"/"plus"/"with"
+// when an amount follows ("toast and 2 eggs", but not "mac and cheese" or "one and a half")
+const SPLIT_RE = new RegExp(`\\s*[,;\\n+&]\\s*|\\s+(?:and|plus|with)\\s+(?!an?\\s+(?:half|quarter)\\b)(?=(?:${QUANTITY_SOURCE})(?![a-z]))`);
+
+const round2 = (v) => parseFloat(Number(v).toFixed(2));
+
+// Numeric value of a matched quantity; { value, vague, range }
+const readQuantity = (text) => {
+  const q = text.trim().replace(/\s+/g, ' ');
+  if (VAGUE_AMOUNTS[q] !== undefined) return { value: VAGUE_AMOUNTS[q], vague: true };
+  let match = /^(\S+)\s*-\s*(\S+)$/.exec(q);
+  if (match) {
+    return { value: (parseFloat(match[1].replace(',', '.')) + parseFloat(match[2].replace(',', '.'))) / 2, range: true };
+  }
+  match = /^(.+) dozen$/.exec(q);
+  if (match) return { value: 12 * (match[1] === 'half a' ? 0.5 : readQuantity(match[1]).value) };
+  match = /^(\d+) (\d+)\/(\d+)$/.exec(q);
+  if (match) return { value: Number(match[1]) + Number(match[2]) / Number(match[3]) };
+  match = /^(\d+)\/(\d+)$/.exec(q);
+  if (match) return { value: Number(match[1]) / Number(match[2]) };
+  match = /^(\w+) and an? (half|quarter)$/.exec(q);
+  if (match) return { value: readQuantity(match[1]).value + NUMBER_WORDS[match[2]] };
+  if (/^half an?$/.test(q)) return { value: 0.5 };
+  if (NUMBER_WORDS[q] !== undefined) return { value: NUMBER_WORDS[q] };
+  return { value: parseFloat(q.replace(',', '.')) };
+};
+
+// "eggs" -> "egg", "berries" -> "berry", "tomatoes" -> "tomato"; only the last word changes
+const singularize = (food) => {
+  const words = food.split(' ');
+  const last = words[words.length - 1];
+  if (NOT_PLURAL.has(last) || last.length < 4 || /(ss|us|is)$/.test(last)) return food;
+  let single = last;
+  if (/ies$/.test(last)) single = last.replace(/ies$/, 'y');
+  else if (/(ch|sh|x|o)es$/.test(last)) single = last.replace(/es$/, '');
+  else if (/s$/.test(last)) single = last.slice(0, -1);
+  return [...words.slice(0, -1), single].join(' ');
+};
+
+const cleanFood = (text) => text
+  .replace(/^(?:of|the)\s+/, '')
+  .replace(/[.!?]+$/, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Canonical unit (as accepted by the food log API) for a unit or container word
+const resolveUnit = (word, assumptions) => {
+  if (!word) return null;
+  const container = CONTAINER_WORDS.get(word);
+  if (container) {
+    assumptions.push(`${container}_as_${CONTAINERS[container]}`);
+    return UNITS[CONTAINERS[container]].aliases[0];
+  }
+  return UNITS[parseUnit(word).key].aliases[0];
+};
+
+// Parse one segment such as "a cup of milk"; null when there is no food in it
+const parseSegment = (segment) => {
+  const text = segment.toLowerCase()
+    .replace(/[½⅓⅔¼¾⅛]/g, (c) => ` ${UNICODE_FRACTIONS[c]}`)
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(LEADING_FILLER, '');
+  if (!text) return null;
+  const assumptions = [];
+  let confidence = 1;
+  let quantity = null;
+  let unitWord = null;
+  let food = text;
+
+  const leading = LEADING_RE.exec(text);
+  // An amount with nothing after it ("150g")
+  if (leading && !leading[3]) return null;
+  const trailing = leading ? null : TRAILING_RE.exec(text);
+  if (leading) {
+    const amount = readQuantity(leading[1]);
+    quantity = amount.value;
+    unitWord = leading[2] || null;
+    food = leading[3];
+    if (amount.vague) {
+      confidence -= 0.25;
+      assumptions.push('vague_quantity');
+    }
+    if (amount.range) {
+      confidence -= 0.1;
+      assumptions.push('range_averaged');
+    }
+  } else if (trailing) {
+    quantity = readQuantity(trailing[2]).value;
+    unitWord = trailing[3] || null;
+    food = trailing[1];
+    confidence -= 0.05;
+  }
+  food = cleanFood(food);
+  if (!food) return null;
+
+  if (quantity === null || !(quantity > 0)) {
+    quantity = 1;
+    confidence -= 0.3;
+    assumptions.push('quantity_assumed');
+  }
+  let unit = resolveUnit(unitWord, assumptions);
+  if (CONTAINER_WORDS.has(unitWord)) confidence -= 0.1;
+  if (!unit) {
+    // "2 eggs": a count of pieces
+    unit = UNITS.piece.aliases[0];
+    food = singularize(food);
+    confidence -= 0.1;
+    assumptions.push('unit_assumed_piece');
+  }
+  return {
+    text: segment.trim(),
+    quantity: round2(quantity),
+    unit,
+    food,
+    confidence: round2(Math.max(confidence, 0.1)),
+    assumptions,
+  };
+};
+
+// Split free text into items. Segments with no recognisable food come back in `unparsed`.
+const parseFoodText = (input) => {
+  const items = [];
+  const unparsed = [];
+  for (const segment of String(input || '').split(SPLIT_RE)) {
+    if (!segment || !segment.trim()) continue;
+    const item = parseSegment(segment);
+    if (item) items.push(item);
+    else unparsed.push(segment.trim());
+  }
+  return { items, unparsed };
+};
+
+module.exports = { parseFoodText };
@@ -0,0 +1,44 @@
+// Frequently eaten foods, for one-tap logging. Entries count as the same food when they
+// come from the same recipe, custom food or product, otherwise when their names match
+// (ignoring case and spacing). Each entry adds to its food's score by how recent it is:
+// one eaten today counts 1, one HALF_LIFE_DAYS ago counts 0.5, so a food eaten daily this
+// week outranks one eaten daily last month.
+const HALF_LIFE_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Identity of the food an entry (or favorite) is for, e.g. "recipe:3" or "name:oatmeal"
+const foodKey = ({ recipe_id, custom_food_id, product_code, food_name }) => {
+  if (recipe_id) return `recipe:${recipe_id}`;
+  if (custom_food_id) return `custom:${custom_food_id}`;
+  if (product_code) return `product:${product_code}`;
+  return `name:${String(food_name || '').trim().replace(/\s+/g, ' ').toLowerCase()}`;
+};
+
+// Group entries (newest first, with id, eaten_at and the fields foodKey reads) into foods
+// ranked by score. Each food carries its most recent entry, whose name and amount are the
+// ones to offer again.
+const rankFrequentFoods = (entries, { now = Date.now(), limit = 10 } = {}) => {
+  const foods = new Map();
+  for (const entry of entries) {
+    const key = foodKey(entry);
+    const ageDays = Math.max(0, (now - new Date(entry.eaten_at).getTime()) / DAY_MS);
+    const weight = 0.5 ** (ageDays / HALF_LIFE_DAYS);
+    const food = foods.get(key);
+    if (food) {
+      food.count += 1;
+      food.score += weight;
+    } else {
+      foods.set(key, { key, latest: entry, count: 1, score: weight });
+    }
+  }
+  return [...foods.values()]
+    .sort((a, b) => b.score - a.score || b.latest.eaten_at.localeCompare(a.latest.eaten_at))
+    .slice(0, limit)
+    .map((food) => ({ ...food, score: parseFloat(food.score.toFixed(3)) }));
+};
+
+module.exports = {
+  HALF_LIFE_DAYS,
+  foodKey,
+  rankFrequentFoods,
+};
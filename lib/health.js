@@ -0,0 +1,39 @@
+// Cached status of an upstream dependency. status() answers at once with the last result
+// and, once that is older than ttlMs, starts one background re-check, so health probes
+// never wait on the upstream API or call it more than once per TTL.
+// `check` resolves to { reachable, ok, status, error }; a throw counts as unreachable.
+const createUpstreamMonitor = ({ name, check, ttlMs = 60 * 1000, logger = console, now = Date.now }) => {
+  let current = { state: 'unknown', reachable: null, ok: null, status: null, error: null, checked_at: null };
+  let checkedAt = null;
+  let inflight = null;
+
+  const refresh = () => {
+    if (!inflight) {
+      inflight = Promise.resolve()
+        .then(check)
+        .catch((error) => ({ reachable: false, ok: false, status: null, error: error.message }))
+        .then((result) => {
+          const state = result.ok ? 'up' : 'down';
+          if (state !== current.state && current.state !== 'unknown') {
+            logger[state === 'up' ? 'info' : 'warn'](`Upstream ${name} is ${state}`, { upstream: name, error: result.error });
+          }
+          checkedAt = now();
+          current = { state, ...result, checked_at: new Date(checkedAt).toISOString() };
+          return current;
+        })
+        .finally(() => {
+          inflight = null;
+        });
+    }
+    return inflight;
+  };
+
+  const status = () => {
+    if (checkedAt === null || now() - checkedAt >= ttlMs) refresh();
+    return current;
+  };
+
+  return { status, refresh };
+};
+
+module.exports = { createUpstreamMonitor };
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+// Idempotency-Key support for POST routes (mounted after requireAuth). The first request with
+// a key runs normally and its response is stored; repeating the key with the same method,
+// path and body replays that response, marked with "Idempotent-Replayed: true", without
+// running the handler again. Keys are per user and expire after ttlMs.
+//
+// - The same key with a different body is rejected (422 IDEMPOTENCY_KEY_REUSED).
+// - A repeat while the first request is still running gets 409 IDEMPOTENCY_IN_PROGRESS;
+//   a request that never finished is taken over after inProgressTimeoutMs.
+// - Server errors (5xx) aren't stored, so those requests can simply be retried.
+
+// Visible ASCII, as for the headers of other APIs (e.g. a UUID)
+const KEY_RE = /^[\x21-\x7e]{1,255}$/;
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body === undefined ? null : req.body)}`)
+  .digest('hex');
+
+const createIdempotency = ({
+  runQuery, runExecute, makeError, logger = console, ttlMs, inProgressTimeoutMs = 60 * 1000, now = Date.now,
+}) => {
+  // Expired keys are swept at most once an hour, on the next keyed request
+  let sweepAt = 0;
+  const sweep = async () => {
+    if (now() < sweepAt) return;
+    sweepAt = now() + 60 * 60 * 1000;
+    await runExecute('DELETE FROM idempotency_keys WHERE created_at < ?', [now() - ttlMs]);
+  };
+
+  // Claim the key for this request; resolves to the stored row when someone else has it
+  const claim = async (userId, key, hash) => {
+    const { changes } = await runExecute(
+      'INSERT OR IGNORE INTO idempotency_keys (user_id, idempotency_key, request_hash, created_at) VALUES (?, ?, ?, ?)',
+      [userId, key, hash, now()]
+    );
+    if (changes > 0) return null;
+    const rows = await runQuery(
+      'SELECT request_hash, status, response, created_at FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+      [userId, key]
+    );
+    const row = rows[0];
+    if (row && row.status === null && row.request_hash === hash && now() - row.created_at > inProgressTimeoutMs) {
+      const taken = await runExecute(
+        'UPDATE idempotency_keys SET created_at = ? WHERE user_id = ? AND idempotency_key = ? AND status IS NULL AND created_at = ?',
+        [now(), userId, key, row.created_at]
+      );
+      if (taken.changes > 0) return null;
+    }
+    return row || null;
+  };
+
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+    if (!KEY_RE.test(key)) {
+      return res.status(400).json(makeError('VALIDATION_ERROR', 'Idempotency-Key must be 1 to 255 visible ASCII characters', {
+        details: { fields: ['Idempotency-Key'], reason: 'invalid' },
+      }));
+    }
+    const userId = req.user.id;
+    const hash = hashRequest(req);
+    try {
+      await sweep();
+      const existing = await claim(userId, key, hash);
+      if (existing) {
+        if (existing.request_hash !== hash) {
+          return res.status(422).json(makeError('IDEMPOTENCY_KEY_REUSED', 'This Idempotency-Key was already used for a different request', {
+            details: { fields: ['Idempotency-Key'], reason: 'reused' },
+          }));
+        }
+        if (existing.status === null) {
+          return res.status(409).json(makeError('IDEMPOTENCY_IN_PROGRESS', 'A request with this Idempotency-Key is still being processed; retry shortly'));
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.status).json(JSON.parse(existing.response));
+      }
+    } catch (e) {
+      return res.status(500).json(makeError('DB_ERROR', 'Failed to check the idempotency key', { details: e.message }));
+    }
+    // Store whatever the handler answers (or release the key if it failed) before sending it,
+    // so a retry arriving right after the response always finds it
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const settled = res.statusCode >= 500
+        ? runExecute('DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?', [userId, key])
+        : runExecute(
+          'UPDATE idempotency_keys SET status = ?, response = ? WHERE user_id = ? AND idempotency_key = ?',
+          [res.statusCode, JSON.stringify(body), userId, key]
+        );
+      settled
+        .catch((e) => logger.error('Failed to store idempotent response', { idempotency_key: key }, e))
+        .then(() => json(body));
+      return res;
+    };
+    return next();
+  };
+};
+
+module.exports = { createIdempotency };
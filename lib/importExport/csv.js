@@ -0,0 +1,60 @@
+// Minimal RFC 4180 CSV: quoted fields may contain commas, quotes ("") and line breaks.
+
+// Text that spreadsheets would run as a formula gets a leading apostrophe. So that the
+// import can take it off again, so does text that already starts with apostrophes before one.
+const FORMULA_RE = /^'*[=+\-@\t\r]/;
+const ESCAPED_FORMULA_RE = /^'+[=+\-@\t\r]/;
+
+// Undo formatField's apostrophe so exported text reads back as it was
+const unescapeField = (field) => (ESCAPED_FORMULA_RE.test(field) ? field.slice(1) : field);
+
+// Rows of fields; a leading byte order mark and blank lines are skipped
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < input.length; i += 1) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(unescapeField(field));
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(unescapeField(field));
+      if (row.some((value) => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  row.push(unescapeField(field));
+  if (row.some((value) => value !== '')) rows.push(row);
+  return rows;
+};
+
+const formatField = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  if (FORMULA_RE.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (with trailing CRLF) for a list of values
+const formatCsvLine = (values) => `${values.map(formatField).join(',')}\r\n`;
+
+module.exports = { parseCsv, formatCsvLine };
@@ -0,0 +1,202 @@
+const { NUTRIENT_KEYS } = require('../nutrients');
+const { parseUnit } = require('../units');
+const { normalizeMeal } = require('../meals');
+const { isValidDate, normalizeTimeZone, parseDateTime, zonedTimeToUtc } = require('../dates');
+const { parseCsv } = require('./csv');
+
+// Import formats:
+// - json: our export ({ items: [...] }) or a plain array of entries
+// - csv: our export, one entry per line with the EXPORT_COLUMNS headers
+// - myfitnesspal: MyFitnessPal's nutrition export (Date, Meal, Calories, Fat (g), ...),
+//   one row per meal or, when a Food column is present, per food
+const IMPORT_FORMATS = ['json', 'csv', 'myfitnesspal'];
+
+const EXPORT_COLUMNS = [
+  'date', 'eaten_at', 'meal', 'food_name', 'quantity', 'unit',
+  ...NUTRIENT_KEYS,
+  'nutrition_source', 'product_code', 'product_name', 'timezone',
+];
+
+// MyFitnessPal header (lowercased) -> nutrient. Its vitamin A/C, calcium and iron columns
+// are % of daily value rather than amounts, so they are left out.
+const MFP_NUTRIENTS = {
+  calories: 'calories',
+  'fat (g)': 'fat',
+  'saturated fat': 'saturated_fat',
+  'trans fat': 'trans_fat',
+  cholesterol: 'cholesterol',
+  'sodium (mg)': 'sodium',
+  potassium: 'potassium',
+  'carbohydrates (g)': 'carbs',
+  fiber: 'fiber',
+  sugar: 'sugar',
+  'protein (g)': 'protein',
+};
+const MFP_MEALS = { snacks: 'snack' };
+const MFP_FOOD_COLUMNS = ['food', 'food name', 'name'];
+const MFP_QUANTITY_COLUMNS = ['servings', 'quantity'];
+
+// Imported entries without a time of day are placed at noon of their date
+const noonOf = (date, timeZone) => new Date(zonedTimeToUtc(date, '12:00', timeZone)).toISOString();
+
+class ImportFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportFormatError';
+  }
+}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// "2024-05-01" or MyFitnessPal's US style "5/1/2024"
+const readDate = (value) => {
+  const text = String(value).trim();
+  const us = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+  const date = us ? `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}` : text;
+  return isValidDate(date) ? date : null;
+};
+
+const readAmount = (value) => {
+  if (isBlank(value)) return null;
+  const amount = Number(String(value).trim());
+  return Number.isFinite(amount) && amount >= 0 ? amount : undefined;
+};
+
+// Format to read `content` as: the requested one, else sniffed from the content
+const detectFormat = (content, requested) => {
+  if (requested !== undefined) {
+    if (!IMPORT_FORMATS.includes(requested)) {
+      throw new ImportFormatError(`Unknown format "${requested}", expected one of ${IMPORT_FORMATS.join(', ')}`);
+    }
+    return requested;
+  }
+  const text = String(content).replace(/^\uFEFF/, '').trim();
+  if (text.startsWith('{') || text.startsWith('[')) return 'json';
+  const header = (parseCsv(text.split(/\r?\n/, 1)[0])[0] || []).map((name) => name.trim().toLowerCase());
+  if (header.includes('food_name')) return 'csv';
+  if (['date', 'meal', 'calories'].every((name) => header.includes(name))) return 'myfitnesspal';
+  throw new ImportFormatError('Unrecognised file: expected our JSON or CSV export or a MyFitnessPal CSV export');
+};
+
+// Records (plain objects keyed by lowercased header) from a CSV file
+const readCsvRecords = (content) => {
+  const [header, ...rows] = parseCsv(content);
+  if (!header) return [];
+  const names = header.map((name) => name.trim().toLowerCase());
+  return rows.map((row) => Object.fromEntries(names.map((name, i) => [name, row[i] === undefined ? '' : row[i].trim()])));
+};
+
+const readJsonRecords = (content) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(content).replace(/^\uFEFF/, ''));
+  } catch (e) {
+    throw new ImportFormatError(`Invalid JSON: ${e.message}`);
+  }
+  const items = Array.isArray(parsed) ? parsed : parsed && parsed.items;
+  if (!Array.isArray(items)) throw new ImportFormatError('JSON must be an array of entries or an object with an items array');
+  return items.map((item) => (item && typeof item === 'object' && !Array.isArray(item) ? item : {}));
+};
+
+// One of our own entries (JSON or CSV). Returns { value } or { errors: [{ field, message }] }.
+// Rows without a timezone column are read in `timeZone`.
+const normalizeNative = (record, timeZone) => {
+  const errors = [];
+  const zone = isBlank(record.timezone) ? timeZone : normalizeTimeZone(String(record.timezone));
+  if (!zone) errors.push({ field: 'timezone', message: `Unknown time zone "${record.timezone}"` });
+  const food_name = isBlank(record.food_name) ? null : String(record.food_name).trim();
+  if (!food_name) errors.push({ field: 'food_name', message: 'Food name is required' });
+  const quantity = Number(record.quantity);
+  if (!(quantity > 0)) errors.push({ field: 'quantity', message: 'Quantity must be a positive number' });
+  const unit = isBlank(record.unit) ? null : String(record.unit).trim();
+  if (!unit || !parseUnit(unit)) errors.push({ field: 'unit', message: `Unknown unit "${unit || ''}"` });
+  const eaten = isBlank(record.eaten_at) || !zone ? null : parseDateTime(String(record.eaten_at).trim(), zone);
+  if (!isBlank(record.eaten_at) && zone && !eaten) errors.push({ field: 'eaten_at', message: 'eaten_at must be an ISO 8601 date-time' });
+  const date = isBlank(record.date) ? (eaten && eaten.date) : readDate(record.date);
+  if (!date) errors.push({ field: 'date', message: isBlank(record.date) ? 'A date or eaten_at is required' : 'date must be YYYY-MM-DD' });
+  const meal = isBlank(record.meal) ? null : normalizeMeal(String(record.meal));
+  if (!isBlank(record.meal) && !meal) errors.push({ field: 'meal', message: 'Meal label is too long' });
+  const nutrients = {};
+  for (const key of NUTRIENT_KEYS) {
+    nutrients[key] = readAmount(record[key]);
+    if (nutrients[key] === undefined) errors.push({ field: key, message: `${key} must be a non-negative number` });
+  }
+  if (errors.length > 0) return { errors };
+  const text = (value) => (isBlank(value) ? null : String(value).trim());
+  return { value: {
+    food_name,
+    quantity,
+    unit,
+    meal,
+    date,
+    eaten_at: eaten ? eaten.iso : noonOf(date, zone),
+    nutrients,
+    nutrition_source: text(record.nutrition_source) || 'import',
+    product_code: text(record.product_code),
+    product_name: text(record.product_name),
+    timezone: zone,
+  } };
+};
+
+// One MyFitnessPal row: a meal's totals (or one food) logged as servings
+const normalizeMyFitnessPal = (record, timeZone) => {
+  const errors = [];
+  const date = isBlank(record.date) ? null : readDate(record.date);
+  if (!date) errors.push({ field: 'date', message: 'Date must be YYYY-MM-DD or M/D/YYYY' });
+  const mealText = isBlank(record.meal) ? '' : String(record.meal).trim();
+  const meal = MFP_MEALS[mealText.toLowerCase()] || normalizeMeal(mealText);
+  const foodColumn = MFP_FOOD_COLUMNS.find((name) => !isBlank(record[name]));
+  const food_name = foodColumn ? String(record[foodColumn]).trim() : (mealText && `${mealText} (MyFitnessPal)`);
+  if (!food_name) errors.push({ field: 'food', message: 'A meal or food name is required' });
+  const quantityColumn = MFP_QUANTITY_COLUMNS.find((name) => !isBlank(record[name]));
+  const quantity = quantityColumn ? Number(record[quantityColumn]) : 1;
+  if (!(quantity > 0)) errors.push({ field: quantityColumn, message: 'Servings must be a positive number' });
+  const nutrients = Object.fromEntries(NUTRIENT_KEYS.map((key) => [key, null]));
+  for (const [column, key] of Object.entries(MFP_NUTRIENTS)) {
+    if (!NUTRIENT_KEYS.includes(key)) continue;
+    nutrients[key] = readAmount(record[column]);
+    if (nutrients[key] === undefined) errors.push({ field: column, message: `${column} must be a non-negative number` });
+  }
+  if (errors.length > 0) return { errors };
+  return { value: {
+    food_name,
+    quantity,
+    unit: 'serving',
+    meal,
+    date,
+    eaten_at: noonOf(date, timeZone),
+    nutrients,
+    nutrition_source: 'myfitnesspal',
+    product_code: null,
+    product_name: null,
+    timezone: timeZone,
+  } };
+};
+
+// Read every row of a file, placing times in `timeZone` unless a row names its own. Rows are
+// numbered from 1 (data rows, header excluded); each comes back as { row, value } or
+// { row, errors }. Throws ImportFormatError for unreadable files.
+const readImport = (content, format, timeZone = 'UTC') => {
+  const records = format === 'json' ? readJsonRecords(content) : readCsvRecords(content);
+  const normalize = format === 'myfitnesspal' ? normalizeMyFitnessPal : normalizeNative;
+  return records.map((record, index) => ({ row: index + 1, ...normalize(record, timeZone) }));
+};
+
+// Entries that match on day, food, amount, calories and meal are treated as the same entry
+const duplicateKey = ({ date, food_name, quantity, unit, calories, meal }) => [
+  date,
+  String(food_name).trim().toLowerCase(),
+  Math.round(Number(quantity) * 100) / 100,
+  (parseUnit(unit) || { key: String(unit).toLowerCase() }).key,
+  calories === null || calories === undefined ? '' : Math.round(calories),
+  meal ? String(meal).toLowerCase() : '',
+].join('|');
+
+module.exports = {
+  IMPORT_FORMATS,
+  EXPORT_COLUMNS,
+  ImportFormatError,
+  detectFormat,
+  readImport,
+  duplicateKey,
+};
@@ -0,0 +1,15 @@
+const { parseCsv, formatCsvLine } = require('./csv');
+const {
+  IMPORT_FORMATS, EXPORT_COLUMNS, ImportFormatError, detectFormat, readImport, duplicateKey,
+} = require('./formats');
+
+module.exports = {
+  parseCsv,
+  formatCsvLine,
+  IMPORT_FORMATS,
+  EXPORT_COLUMNS,
+  ImportFormatError,
+  detectFormat,
+  readImport,
+  duplicateKey,
+};
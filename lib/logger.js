@@ -0,0 +1,64 @@
+// Leveled structured logger. Each entry is one line: JSON by default, or "time LEVEL msg key=value"
+// with format 'text' for reading in a terminal. Messages below the configured level are
+// dropped; `level` is one of LOG_LEVELS, most to least severe.
+//
+// Calls look like console's: logger.warn('Lookup failed', { food }, error). Strings make up
+// the message, plain objects are merged into the entry's fields and an Error adds `error`
+// (and `stack` at debug level). `context()` supplies fields for the current request, such
+// as its request_id.
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const LOG_FORMATS = ['json', 'text'];
+
+const writeLine = (level, line) => {
+  (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+const toEntry = (args, withStack) => {
+  const words = [];
+  const fields = {};
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      fields.error = arg.message;
+      if (withStack) fields.stack = arg.stack;
+    } else if (arg && typeof arg === 'object') {
+      Object.assign(fields, arg);
+    } else if (arg !== undefined) {
+      words.push(String(arg));
+    }
+  }
+  return { msg: words.join(' '), fields };
+};
+
+const serialize = (entry) => {
+  try {
+    return JSON.stringify(entry);
+  } catch (e) {
+    return JSON.stringify({ time: entry.time, level: entry.level, msg: entry.msg, log_error: e.message });
+  }
+};
+
+const formatText = ({ time, level, msg, ...fields }) => [
+  time,
+  level.toUpperCase().padEnd(5),
+  msg,
+  ...Object.entries(fields).map(([key, value]) => `${key}=${typeof value === 'string' ? value : serialize(value)}`),
+].join(' ');
+
+const createLogger = ({ level = 'info', format = 'json', fields = {}, context = () => null, write = writeLine } = {}) => {
+  const threshold = LOG_LEVELS.indexOf(level);
+  const noop = () => {};
+  const log = (name, args) => {
+    const { msg, fields: extra } = toEntry(args, threshold >= LOG_LEVELS.indexOf('debug'));
+    const entry = { time: new Date().toISOString(), level: name, msg, ...fields, ...(context() || {}), ...extra };
+    write(name, format === 'text' ? formatText(entry) : serialize(entry));
+  };
+  const logger = Object.fromEntries(LOG_LEVELS.map((name, index) => [
+    name,
+    index <= threshold ? (...args) => log(name, args) : noop,
+  ]));
+  // Same settings, with extra fields on every entry
+  logger.child = (more) => createLogger({ level, format, fields: { ...fields, ...more }, context, write });
+  return logger;
+};
+
+module.exports = { createLogger, LOG_LEVELS, LOG_FORMATS };
@@ -0,0 +1,27 @@
+// Meal slots for food log entries. The standard slots sort in this order; any other
+// short label is accepted as a custom slot (e.g. "pre-workout").
+const MEAL_SLOTS = ['breakfast', 'lunch', 'dinner', 'snack'];
+const MAX_MEAL_LENGTH = 40;
+
+// Canonical meal value: standard slots are lowercased, custom labels are trimmed with
+// single spaces. Returns null for empty or over-long values.
+const normalizeMeal = (value) => {
+  if (typeof value !== 'string') return null;
+  const meal = value.trim().replace(/\s+/g, ' ');
+  if (!meal || meal.length > MAX_MEAL_LENGTH) return null;
+  return MEAL_SLOTS.includes(meal.toLowerCase()) ? meal.toLowerCase() : meal;
+};
+
+// Sort key: standard slots first in day order, then custom slots, then unassigned (null)
+const mealOrder = (meal) => {
+  if (meal === null || meal === undefined) return MEAL_SLOTS.length + 1;
+  const index = MEAL_SLOTS.indexOf(meal);
+  return index === -1 ? MEAL_SLOTS.length : index;
+};
+
+module.exports = {
+  MEAL_SLOTS,
+  MAX_MEAL_LENGTH,
+  normalizeMeal,
+  mealOrder,
+};
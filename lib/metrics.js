@@ -0,0 +1,97 @@
+// Minimal Prometheus metrics registry, rendered in the text exposition format (0.0.4).
+// Counters and histograms take label values per call; gauges are read at scrape time.
+// Registering a name twice returns the existing metric, so modules can declare what
+// they record without coordinating.
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+// Seconds; suits HTTP handlers, SQLite statements and upstream API calls alike
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (pairs) => (pairs.length > 0
+  ? `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+  : '');
+
+const formatNumber = (value) => (value === Infinity ? '+Inf' : String(value));
+
+// Label values in declaration order; missing ones are empty strings
+const labelValues = (labelNames, labels) => labelNames.map((name) => (labels[name] === undefined ? '' : String(labels[name])));
+
+const createMetrics = () => {
+  const metrics = new Map();
+  const register = (name, create) => {
+    if (!metrics.has(name)) metrics.set(name, create());
+    return metrics.get(name);
+  };
+
+  const counter = (name, help, labelNames = []) => register(name, () => {
+    const series = new Map();
+    return {
+      inc: (labels = {}, amount = 1) => {
+        const values = labelValues(labelNames, labels);
+        const key = values.join('\u0000');
+        const entry = series.get(key) || { values, value: 0 };
+        entry.value += amount;
+        series.set(key, entry);
+      },
+      render: () => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...[...series.values()].map(({ values, value }) => (
+          `${name}${formatLabels(labelNames.map((label, i) => [label, values[i]]))} ${formatNumber(value)}`
+        )),
+      ],
+    };
+  });
+
+  const histogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => register(name, () => {
+    const series = new Map();
+    const observe = (labels, seconds) => {
+      const values = labelValues(labelNames, labels);
+      const key = values.join('\u0000');
+      const entry = series.get(key) || { values, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => {
+        if (seconds <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += seconds;
+      entry.count += 1;
+      series.set(key, entry);
+    };
+    return {
+      observe,
+      // Start timing now; the returned function records the elapsed seconds (with any
+      // labels only known at the end, such as the status) and returns them
+      startTimer: (labels = {}) => {
+        const started = process.hrtime.bigint();
+        return (moreLabels = {}) => {
+          const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+          observe({ ...labels, ...moreLabels }, seconds);
+          return seconds;
+        };
+      },
+      render: () => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} histogram`,
+        ...[...series.values()].flatMap(({ values, counts, sum, count }) => {
+          const pairs = labelNames.map((label, i) => [label, values[i]]);
+          return [
+            ...buckets.map((bound, i) => `${name}_bucket${formatLabels([...pairs, ['le', formatNumber(bound)]])} ${counts[i]}`),
+            `${name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${count}`,
+            `${name}_sum${formatLabels(pairs)} ${sum}`,
+            `${name}_count${formatLabels(pairs)} ${count}`,
+          ];
+        }),
+      ],
+    };
+  });
+
+  const gauge = (name, help, collect) => register(name, () => ({
+    render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${formatNumber(collect())}`],
+  }));
+
+  const render = () => `${[...metrics.values()].flatMap((metric) => metric.render()).join('\n')}\n`;
+
+  return { counter, histogram, gauge, render };
+};
+
+module.exports = { createMetrics, CONTENT_TYPE, DEFAULT_BUCKETS };
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Migration files live in migrations/ as NNN_description.js and export
+//   up(database) / down(database)
+// async functions that receive the helpers from lib/db.js (runQuery, runExecute,
+// addColumnIfMissing). Applied versions are recorded in the schema_migrations table.
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = fs.readdirSync(dir)
+    .filter((file) => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map((file) => {
+      const { up, down } = require(path.join(dir, file));
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version: parseInt(file, 10), name: file.replace(/^\d+_/, '').replace(/\.js$/, ''), up, down };
+    });
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migrations[i - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+  return migrations;
+};
+
+const createMigrator = (database, { dir = MIGRATIONS_DIR, logger = console } = {}) => {
+  const { runQuery, runExecute } = database;
+  const migrations = loadMigrations(dir);
+
+  const ensureTable = () => runExecute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const appliedRows = async () => {
+    await ensureTable();
+    return runQuery('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  };
+
+  // Each migration and its bookkeeping row commit together, or not at all
+  const inTransaction = async (work) => {
+    await runExecute('BEGIN');
+    try {
+      await work();
+      await runExecute('COMMIT');
+    } catch (error) {
+      await runExecute('ROLLBACK');
+      throw error;
+    }
+  };
+
+  // Every known migration with its applied_at (null while pending). Versions recorded in
+  // the database without a matching file are listed as missing.
+  const status = async () => {
+    const applied = new Map((await appliedRows()).map((row) => [row.version, row]));
+    const known = migrations.map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null,
+      missing: false,
+    }));
+    const missing = [...applied.values()]
+      .filter((row) => !migrations.some((migration) => migration.version === row.version))
+      .map((row) => ({ ...row, missing: true }));
+    return [...known, ...missing].sort((a, b) => a.version - b.version);
+  };
+
+  // Apply all pending migrations in version order; resolves to the ones applied
+  const up = async () => {
+    const applied = new Set((await appliedRows()).map((row) => row.version));
+    const pending = migrations.filter((migration) => !applied.has(migration.version));
+    for (const migration of pending) {
+      await inTransaction(async () => {
+        await migration.up(database);
+        await runExecute('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      });
+      logger.info(`Applied migration ${migration.version} ${migration.name}`, { version: migration.version });
+    }
+    return pending;
+  };
+
+  // Revert the latest `steps` applied migrations, newest first; resolves to the ones reverted
+  const rollback = async (steps = 1) => {
+    const latest = (await appliedRows()).reverse().slice(0, steps);
+    const reverted = [];
+    for (const row of latest) {
+      const migration = migrations.find((m) => m.version === row.version);
+      if (!migration) throw new Error(`Cannot roll back migration ${row.version} ${row.name}: file not found`);
+      await inTransaction(async () => {
+        await migration.down(database);
+        await runExecute('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      });
+      logger.info(`Rolled back migration ${migration.version} ${migration.name}`, { version: migration.version });
+      reverted.push(migration);
+    }
+    return reverted;
+  };
+
+  return { status, up, rollback };
+};
+
+module.exports = { createMigrator, loadMigrations };
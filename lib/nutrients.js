@@ -0,0 +1,93 @@
+const catalogue = require('../data/nutrients.json');
+
+// Nutrient catalogue (data/nutrients.json). Each entry is
+//   { key, name, unit, group, off?: [Open Food Facts field aliases], from_salt?: [salt field aliases] }
+// Every key is stored as a REAL column on food_logs and generic_foods and summed in
+// the daily summary, so adding an entry there is all it takes to track a new nutrient.
+
+// Calories and macros have always been tracked; missing values count as 0 for them.
+// Everything else is null when a source doesn't report it.
+const CORE_NUTRIENTS = ['calories', 'protein', 'carbs', 'fat'];
+
+// Open Food Facts reports per-100 g amounts in grams; multiply to get the catalogue unit
+const UNIT_SCALE = { g: 1, mg: 1000, µg: 1000000, kcal: 1 };
+
+// Salt is 40% sodium by weight
+const SODIUM_PER_SALT = 0.4;
+
+for (const nutrient of catalogue) {
+  if (!/^[a-z][a-z0-9_]*$/.test(nutrient.key)) {
+    throw new Error(`Invalid nutrient key "${nutrient.key}" in data/nutrients.json`);
+  }
+  if (!(nutrient.unit in UNIT_SCALE)) {
+    throw new Error(`Unsupported unit "${nutrient.unit}" for nutrient "${nutrient.key}"`);
+  }
+}
+
+const NUTRIENTS = catalogue.map((nutrient) => ({ ...nutrient, core: CORE_NUTRIENTS.includes(nutrient.key) }));
+const NUTRIENT_KEYS = NUTRIENTS.map((nutrient) => nutrient.key);
+const EXTRA_NUTRIENTS = NUTRIENTS.filter((nutrient) => !nutrient.core);
+
+const toNumber = (v) => (v === undefined || v === null || v === '' || isNaN(Number(v)) ? null : Number(v));
+
+// First alias with a numeric value, or null
+const firstField = (source, aliases = []) => {
+  for (const alias of aliases) {
+    const value = toNumber(source[alias]);
+    if (value !== null) return value;
+  }
+  return null;
+};
+
+// Every nutrient with `off` aliases from an Open Food Facts `nutriments` object, in
+// catalogue units (energy needs kJ handling and is read by the Open Food Facts provider).
+// Defaulting a missing macro to 0 is recorded in `heuristics` as macros_missing.
+const readOffNutriments = (nutriments, heuristics = []) => {
+  const values = {};
+  for (const nutrient of NUTRIENTS.filter((entry) => entry.off)) {
+    let grams = firstField(nutriments, nutrient.off);
+    if (grams === null && nutrient.from_salt) {
+      const salt = firstField(nutriments, nutrient.from_salt);
+      grams = salt === null ? null : salt * SODIUM_PER_SALT;
+    }
+    if (grams === null && nutrient.core && !heuristics.includes('macros_missing')) heuristics.push('macros_missing');
+    if (grams === null) values[nutrient.key] = nutrient.core ? 0 : null;
+    else values[nutrient.key] = grams * UNIT_SCALE[nutrient.unit];
+  }
+  return values;
+};
+
+// Extra nutrients from an object that is already in catalogue units (a generic_foods
+// row, a dataset entry, an HTTP provider response)
+const pickExtraNutrients = (source = {}) => {
+  const values = {};
+  for (const nutrient of EXTRA_NUTRIENTS) values[nutrient.key] = toNumber(source[nutrient.key]);
+  return values;
+};
+
+// Every catalogue nutrient from an object keyed by nutrient (null when missing)
+const pickNutrients = (source = {}) => Object.fromEntries(
+  NUTRIENT_KEYS.map((key) => [key, source[key] === undefined ? null : source[key]])
+);
+
+// Tables that store one column per catalogue nutrient
+const NUTRIENT_TABLES = ['food_logs', 'generic_foods', 'custom_foods', 'recipe_ingredients', 'favorite_foods'];
+
+// Add a REAL column to the nutrient tables for every extra catalogue nutrient that
+// doesn't have one yet. Runs after the migrations, since the catalogue is configuration.
+const ensureNutrientColumns = async ({ addColumnIfMissing }) => {
+  for (const nutrient of EXTRA_NUTRIENTS) {
+    for (const table of NUTRIENT_TABLES) await addColumnIfMissing(table, nutrient.key, 'REAL');
+  }
+};
+
+module.exports = {
+  NUTRIENTS,
+  NUTRIENT_KEYS,
+  CORE_NUTRIENTS,
+  EXTRA_NUTRIENTS,
+  readOffNutriments,
+  pickExtraNutrients,
+  pickNutrients,
+  ensureNutrientColumns,
+};
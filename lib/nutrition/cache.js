@@ -0,0 +1,124 @@
+const { normalizeName } = require('./names');
+
+// SQLite-backed cache for remote nutrition lookups (table: nutrition_cache).
+//
+// - Fresh entries (younger than ttlMs) are returned without calling the loader.
+// - Stale entries (up to staleMs past expiry) are returned immediately while a
+//   background refresh runs (stale-while-revalidate).
+// - Older entries and misses call the loader; if it fails, an old entry is still
+//   better than nothing and is returned instead of the error.
+// - Concurrent loads of the same key share a single in-flight promise.
+// - "No match" results are cached too, for negativeTtlMs, so unknown foods
+//   don't hit the upstream API on every request.
+const createLookupCache = ({ runQuery, runExecute, ttlMs, staleMs, negativeTtlMs, logger = console }) => {
+  const inflight = new Map();
+  const counters = { hits: 0, staleHits: 0, misses: 0, refreshes: 0, deduplicated: 0, errors: 0 };
+
+  const read = async (key) => {
+    const rows = await runQuery('SELECT value, expires_at FROM nutrition_cache WHERE cache_key = ?', [key]);
+    if (rows.length === 0) return null;
+    return { value: JSON.parse(rows[0].value), expiresAt: rows[0].expires_at };
+  };
+
+  const write = async (key, value) => {
+    const now = Date.now();
+    await runExecute(
+      `INSERT OR REPLACE INTO nutrition_cache (cache_key, value, fetched_at, expires_at) VALUES (?, ?, ?, ?)`,
+      [key, JSON.stringify(value), now, now + (value === null ? negativeTtlMs : ttlMs)]
+    );
+  };
+
+  // Single-flight: one loader call per key at a time
+  const load = (key, loader) => {
+    if (inflight.has(key)) {
+      counters.deduplicated += 1;
+      return inflight.get(key);
+    }
+    const promise = (async () => {
+      try {
+        const value = await loader();
+        await write(key, value === undefined ? null : value);
+        return value === undefined ? null : value;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+    inflight.set(key, promise);
+    return promise;
+  };
+
+  const get = async (key, loader) => {
+    const entry = await read(key);
+    const now = Date.now();
+    if (entry && now < entry.expiresAt) {
+      counters.hits += 1;
+      return entry.value;
+    }
+    if (entry && now < entry.expiresAt + staleMs) {
+      counters.staleHits += 1;
+      if (!inflight.has(key)) {
+        counters.refreshes += 1;
+        load(key, loader).catch((error) => {
+          counters.errors += 1;
+          logger.warn('Background cache refresh failed', { cache_key: key }, error);
+        });
+      }
+      return entry.value;
+    }
+    counters.misses += 1;
+    try {
+      return await load(key, loader);
+    } catch (error) {
+      counters.errors += 1;
+      if (entry) {
+        logger.warn('Serving expired cache entry after lookup failure', { cache_key: key }, error);
+        return entry.value;
+      }
+      throw error;
+    }
+  };
+
+  const stats = async () => {
+    const rows = await runQuery('SELECT COUNT(*) as entries FROM nutrition_cache');
+    const lookups = counters.hits + counters.staleHits + counters.misses;
+    return {
+      ...counters,
+      entries: rows[0].entries,
+      inflight: inflight.size,
+      hitRate: lookups > 0 ? parseFloat(((counters.hits + counters.staleHits) / lookups).toFixed(3)) : null,
+      ttlMs,
+      staleMs,
+    };
+  };
+
+  return { get, stats };
+};
+
+// Wrap a provider so its lookups go through the cache, keyed by provider and
+// normalized food name (or product code for lookupByCode). Names that normalize to ''
+// would all share one key, so they skip the cache.
+const withCache = (provider, cache) => {
+  const wrapped = {
+    ...provider,
+    lookup: (foodName) => {
+      const name = normalizeName(foodName);
+      return name ? cache.get(`${provider.name}:search:${name}`, () => provider.lookup(foodName)) : provider.lookup(foodName);
+    },
+  };
+  if (provider.search) {
+    wrapped.search = (query, limit) => {
+      const name = normalizeName(query);
+      if (!name) return provider.search(query, limit);
+      return cache.get(`${provider.name}:candidates:${name}:${limit || ''}`, () => provider.search(query, limit));
+    };
+  }
+  if (provider.lookupByCode) {
+    wrapped.lookupByCode = (code) => cache.get(`${provider.name}:product:${String(code).trim()}`, () => provider.lookupByCode(code));
+  }
+  return wrapped;
+};
+
+module.exports = {
+  createLookupCache,
+  withCache,
+};
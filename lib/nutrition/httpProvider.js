@@ -0,0 +1,44 @@
+const axios = require('axios');
+const { pickExtraNutrients } = require('../nutrients');
+
+// Generic HTTP nutrition provider. The service at `baseUrl` must answer
+//   GET {baseUrl}/foods/search?q=<food name>
+// with 200 and { "name": "...", "per_100g": { "calories", "protein", "carbs", "fat", ...other catalogue nutrients } },
+// optionally "density" (g/ml) and "serving_g", or 404 when it doesn't know the food. Handy for pointing the app at a local stub.
+const createHttpProvider = ({ baseUrl, timeout = 5000 }) => ({
+  name: 'http',
+  lookup: async (foodName) => {
+    try {
+      const response = await axios.get(`${baseUrl.replace(/\/+$/, '')}/foods/search`, {
+        params: { q: foodName },
+        timeout,
+      });
+      const body = response.data || {};
+      if (!body.per_100g) return null;
+      const per100 = body.per_100g;
+      // Calories and macros the service leaves out count as 0, and say so
+      const missing = (key) => per100[key] === undefined || per100[key] === null || isNaN(Number(per100[key]));
+      const heuristics = [];
+      if (missing('calories')) heuristics.push('calories_missing');
+      if (['protein', 'carbs', 'fat'].some(missing)) heuristics.push('macros_missing');
+      return {
+        name: body.name || foodName,
+        per100g: {
+          calories: Number(per100.calories) || 0,
+          protein: Number(per100.protein) || 0,
+          carbs: Number(per100.carbs) || 0,
+          fat: Number(per100.fat) || 0,
+          ...pickExtraNutrients(per100),
+        },
+        heuristics,
+        density: Number(body.density) || null,
+        serving_g: Number(body.serving_g) || null,
+      };
+    } catch (e) {
+      if (e.response && e.response.status === 404) return null;
+      throw e;
+    }
+  },
+});
+
+module.exports = { createHttpProvider };
@@ -0,0 +1,200 @@
+const { createOpenFoodFactsProvider } = require('./openFoodFacts');
+const { createLocalFoodsProvider, seedGenericFoods } = require('./localFoods');
+const { createHttpProvider } = require('./httpProvider');
+const { createLookupCache, withCache } = require('./cache');
+const { withMetrics } = require('./metrics');
+
+const { normalizeName } = require('./names');
+const { withProvenance } = require('./provenance');
+const { toGrams, UnitConversionError } = require('../units');
+const { NUTRIENT_KEYS } = require('../nutrients');
+
+// A nutrition provider is { name, lookup(foodName) } where lookup resolves to
+// { name, per100g: { calories, protein, carbs, fat, ...other catalogue nutrients } }, or null
+// when it has no match. Nutrients a provider doesn't know are null (calories and macros default to 0).
+// Providers may throw on transport errors; the chain treats that like a miss.
+// A match may list `heuristics` (codes from ./provenance) used to fill gaps in its data.
+// Optional capabilities:
+//   search(query, limit) -> [{ code, name, brand, image_url, per100g, serving_size?, serving_quantity? }]
+//   lookupByCode(code)   -> same shape as a search candidate, or null
+
+const EMPTY_NUTRITION = {
+  ...Object.fromEntries(NUTRIENT_KEYS.map((key) => [key, null])),
+  source: null,
+  heuristics: [],
+  confidence: null,
+};
+
+// Build the ordered provider chain from a list of names ('openfoodfacts', 'local', 'http').
+// When a lookup cache is given, Open Food Facts lookups go through it; with a metrics
+// registry, each provider's requests are timed.
+const createProviderChain = (names, { runQuery, cache, metrics, openFoodFacts = {}, http = {} }) => names.map((name) => {
+  const measured = (provider) => (metrics ? withMetrics(provider, metrics) : provider);
+  switch (name) {
+    case 'openfoodfacts': {
+      const provider = measured(createOpenFoodFactsProvider(openFoodFacts));
+      return cache ? withCache(provider, cache) : provider;
+    }
+    case 'local':
+      return measured(createLocalFoodsProvider({ runQuery }));
+    case 'http':
+      if (!http.baseUrl) throw new Error('The http nutrition provider requires NUTRITION_HTTP_URL');
+      return measured(createHttpProvider(http));
+    default:
+      throw new Error(`Unknown nutrition provider: ${name}`);
+  }
+});
+
+// Scale per-100 g values to the logged quantity and unit. `food` is the provider match,
+// which carries density and serving/piece weights for volume and count units.
+// Throws UnitConversionError when the unit can't be resolved for this food.
+const scaleNutrition = (per100g, quantity, unit, food = {}) => {
+  const { grams, assumptions } = toGrams(quantity, unit, food);
+  const multiplier = grams / 100;
+  // Calculate final nutrition values and round to 2 decimal places; unknown nutrients stay null
+  const scaled = {};
+  for (const key of NUTRIENT_KEYS) {
+    const value = per100g[key];
+    scaled[key] = value === null || value === undefined ? null : parseFloat((value * multiplier).toFixed(2));
+  }
+  return {
+    ...scaled,
+    grams: parseFloat(grams.toFixed(2)),
+    unit_assumptions: assumptions,
+  };
+};
+
+// Relevance score for a search candidate: query words found in the name, with a
+// bonus for exact/prefix matches and complete macros, and a small penalty for long names
+const scoreCandidate = (query, candidate) => {
+  const q = normalizeName(query);
+  const name = normalizeName(candidate.name);
+  const words = q.split(' ').filter(Boolean);
+  const nameWords = new Set(name.split(' '));
+  const matched = words.filter((word) => nameWords.has(word) || nameWords.has(`${word}s`) || name.includes(word)).length;
+  let score = words.length > 0 ? (matched / words.length) * 3 : 0;
+  if (name === q) score += 2;
+  else if (name.startsWith(q)) score += 1;
+  const { calories, protein, carbs, fat } = candidate.per100g;
+  if (calories > 0 && [protein, carbs, fat].every((v) => v !== undefined && v !== null)) score += 1;
+  score -= Math.min(name.length / 100, 0.5);
+  return parseFloat(score.toFixed(3));
+};
+
+const round2 = (v) => (v === null || v === undefined ? null : parseFloat(Number(v).toFixed(2)));
+
+// Nutrition lookup that walks the providers in order and uses the first match.
+// When every provider misses or fails the values are null and source is null.
+// A match that can't express the unit (e.g. "pieces" without a known piece weight)
+// falls through to the next provider; if none can, the UnitConversionError is thrown.
+const createNutritionService = ({ providers, logger = console }) => {
+  const getNutritionData = async (foodName, quantity, unit) => {
+    let unitError = null;
+    for (const provider of providers) {
+      let match;
+      try {
+        match = await provider.lookup(foodName);
+      } catch (error) {
+        logger.error('Nutrition provider lookup failed', { provider: provider.name, food: foodName }, error);
+        continue;
+      }
+      if (!match) {
+        logger.debug('Nutrition provider had no match', { provider: provider.name, food: foodName });
+        continue;
+      }
+      try {
+        const scaled = scaleNutrition(match.per100g, quantity, unit, match);
+        logger.debug('Nutrition data found', { provider: provider.name, food: foodName, match: match.name });
+        return { ...withProvenance(scaled, match), source: provider.name };
+      } catch (error) {
+        if (!(error instanceof UnitConversionError)) throw error;
+        logger.warn('Nutrition provider match has no usable unit conversion', { provider: provider.name, food: foodName, match: match.name }, error);
+        unitError = unitError || error;
+      }
+    }
+    if (unitError) throw unitError;
+    logger.warn('No nutrition provider could resolve food', { food: foodName });
+    return { ...EMPTY_NUTRITION };
+  };
+  // Ranked candidates from every provider that supports search. A failing provider
+  // is skipped; results from the others are still returned.
+  const searchFoods = async (query, limit = 10) => {
+    const results = await Promise.all(providers.filter((provider) => provider.search).map(async (provider) => {
+      try {
+        const candidates = await provider.search(query, 20);
+        return candidates.map((candidate) => ({ ...candidate, source: provider.name }));
+      } catch (error) {
+        logger.error('Nutrition provider search failed', { provider: provider.name, query }, error);
+        return [];
+      }
+    }));
+    const seen = new Set();
+    return results
+      .flat()
+      .filter((candidate) => {
+        // Code-less candidates are told apart by name; the raw one when nothing is left of it
+        const key = candidate.code || `${candidate.source}:${normalizeName(candidate.name) || String(candidate.name).trim()}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map((candidate) => ({
+        code: candidate.code,
+        product_name: candidate.name,
+        brand: candidate.brand,
+        image_url: candidate.image_url,
+        source: candidate.source,
+        per_100g: {
+          calories: round2(candidate.per100g.calories),
+          protein: round2(candidate.per100g.protein),
+          carbs: round2(candidate.per100g.carbs),
+          fat: round2(candidate.per100g.fat),
+        },
+        score: scoreCandidate(query, candidate),
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  };
+
+  // A specific product by code from the first provider that knows it, or null
+  const findProduct = async (code) => {
+    for (const provider of providers.filter((p) => p.lookupByCode)) {
+      try {
+        const product = await provider.lookupByCode(code);
+        if (product) return { ...product, source: provider.name };
+      } catch (error) {
+        logger.error('Nutrition provider product lookup failed', { provider: provider.name, code }, error);
+      }
+    }
+    return null;
+  };
+
+  // Nutrition for a known product scaled to the logged quantity; null when the code is unknown.
+  // Throws UnitConversionError when the unit can't be resolved for the product.
+  const getNutritionForProduct = async (code, quantity, unit) => {
+    const product = await findProduct(code);
+    if (!product) return null;
+    return {
+      ...withProvenance(scaleNutrition(product.per100g, quantity, unit, product), product),
+      source: product.source,
+      product_code: product.code || code,
+      product_name: product.name,
+    };
+  };
+
+  return {
+    providers: providers.map((provider) => provider.name),
+    getNutritionData,
+    searchFoods,
+    findProduct,
+    getNutritionForProduct,
+  };
+};
+
+module.exports = {
+  createLookupCache,
+  createProviderChain,
+  createNutritionService,
+  scaleNutrition,
+  seedGenericFoods,
+};
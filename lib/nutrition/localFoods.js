@@ -0,0 +1,80 @@
+const genericFoods = require('../../data/generic-foods.json');
+const { normalizeName } = require('./names');
+const { EXTRA_NUTRIENTS, pickExtraNutrients } = require('../nutrients');
+
+const EXTRA_KEYS = EXTRA_NUTRIENTS.map((nutrient) => nutrient.key);
+
+// Load the bundled generic-foods dataset into the generic_foods table. Safe to run on
+// every startup: rows are keyed by name and refreshed from the JSON file.
+// per_100g may carry any catalogue nutrient (data/nutrients.json) in its catalogue unit.
+const seedGenericFoods = async (runExecute) => {
+  const columns = ['name', 'aliases', 'calories', 'protein', 'carbs', 'fat', 'density', 'piece_g', 'serving_g', ...EXTRA_KEYS];
+  const updates = columns.slice(1).map((column) => `${column} = excluded.${column}`).join(', ');
+  for (const food of genericFoods) {
+    const { calories, protein, carbs, fat } = food.per_100g;
+    const extras = pickExtraNutrients(food.per_100g);
+    await runExecute(
+      `INSERT INTO generic_foods (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+      ON CONFLICT(name) DO UPDATE SET ${updates}`,
+      [food.name, food.aliases.map(normalizeName).join(','), calories, protein, carbs, fat,
+        food.density ?? null, food.piece_g ?? null, food.serving_g ?? null, ...EXTRA_KEYS.map((key) => extras[key])]
+    );
+  }
+};
+
+// Offline provider for common staples, queried from the generic_foods table.
+// Matching order: exact name or alias, then the longest food name contained in
+// the query ("boiled brown rice" -> "brown rice"), then a name containing the query.
+// Anything but an exact match is flagged as a search_match.
+const toCandidate = (row) => ({
+  code: null,
+  name: row.name,
+  brand: null,
+  image_url: null,
+  per100g: { calories: row.calories, protein: row.protein, carbs: row.carbs, fat: row.fat, ...pickExtraNutrients(row) },
+  // Used by unit conversion for volume and count units
+  density: row.density,
+  piece_g: row.piece_g,
+  serving_g: row.serving_g,
+});
+
+const createLocalFoodsProvider = ({ runQuery }) => ({
+  name: 'local',
+  // Generic foods whose name or aliases contain the query
+  search: async (query, limit = 20) => {
+    const q = normalizeName(query);
+    if (!q) return [];
+    const rows = await runQuery(
+      'SELECT * FROM generic_foods WHERE name LIKE ? OR aliases LIKE ? ORDER BY length(name) LIMIT ?',
+      [`%${q}%`, `%${q}%`, limit]
+    );
+    return rows.map(toCandidate);
+  },
+  lookup: async (foodName) => {
+    const q = normalizeName(foodName);
+    if (!q) return null;
+    const singular = q.endsWith('s') ? q.slice(0, -1) : q;
+    const toResult = (rows, heuristics = ['search_match']) => (rows.length === 0 ? null : { ...toCandidate(rows[0]), heuristics });
+    const exact = await runQuery(
+      `SELECT * FROM generic_foods
+      WHERE name IN (?, ?) OR (',' || aliases || ',') LIKE ? OR (',' || aliases || ',') LIKE ?
+      LIMIT 1`,
+      [q, singular, `%,${q},%`, `%,${singular},%`]
+    );
+    if (exact.length > 0) return toResult(exact, []);
+    const contained = await runQuery(
+      `SELECT * FROM generic_foods WHERE (' ' || ? || ' ') LIKE ('% ' || name || ' %') ORDER BY length(name) DESC LIMIT 1`,
+      [q]
+    );
+    if (contained.length > 0) return toResult(contained);
+    return toResult(await runQuery(
+      'SELECT * FROM generic_foods WHERE name LIKE ? ORDER BY length(name) LIMIT 1',
+      [`%${q}%`]
+    ));
+  },
+});
+
+module.exports = {
+  seedGenericFoods,
+  createLocalFoodsProvider,
+};
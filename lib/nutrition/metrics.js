@@ -0,0 +1,33 @@
+// Record the latency and failures of a provider's lookup/search/lookupByCode calls.
+// Wrapped inside the lookup cache, so only real upstream requests are measured.
+const withMetrics = (provider, metrics) => {
+  const duration = metrics.histogram(
+    'nutrition_provider_request_duration_seconds',
+    'Nutrition provider request duration by provider, operation and outcome (hit, miss, error)',
+    ['provider', 'operation', 'outcome']
+  );
+  const failures = metrics.counter(
+    'nutrition_provider_failures_total',
+    'Nutrition provider requests that failed (network errors, timeouts, bad responses)',
+    ['provider', 'operation']
+  );
+  const timed = (operation, call) => async (...args) => {
+    const end = duration.startTimer({ provider: provider.name, operation });
+    try {
+      const result = await call(...args);
+      const found = Array.isArray(result) ? result.length > 0 : Boolean(result);
+      end({ outcome: found ? 'hit' : 'miss' });
+      return result;
+    } catch (error) {
+      end({ outcome: 'error' });
+      failures.inc({ provider: provider.name, operation });
+      throw error;
+    }
+  };
+  const wrapped = { ...provider, lookup: timed('lookup', provider.lookup) };
+  if (provider.search) wrapped.search = timed('search', provider.search);
+  if (provider.lookupByCode) wrapped.lookupByCode = timed('lookup_by_code', provider.lookupByCode);
+  return wrapped;
+};
+
+module.exports = { withMetrics };
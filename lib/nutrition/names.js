@@ -0,0 +1,11 @@
+// Lowercase, collapse whitespace and drop punctuation so "Bananas!" and " bananas" compare equal.
+// Letters and digits of any script are kept ("Борщ" -> "борщ"); a name of only punctuation
+// normalizes to ''.
+const normalizeName = (value) => String(value || '')
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+module.exports = { normalizeName };
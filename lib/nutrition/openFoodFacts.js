@@ -0,0 +1,119 @@
+const axios = require('axios');
+const { readOffNutriments } = require('../nutrients');
+
+const DEFAULT_BASE_URL = 'https://world.openfoodfacts.org';
+
+// Helper to safely read numbers
+const n = (v) => (v === undefined || v === null || isNaN(Number(v)) ? undefined : Number(v));
+
+// Per-100 g calories and catalogue nutrients from an Open Food Facts `nutriments` object.
+// Guesses and defaults are recorded in `heuristics` (codes from ./provenance).
+const normalizeNutriments = (nutriments, heuristics = []) => {
+  const kcalField = n(nutriments['energy-kcal_100g']) ?? n(nutriments['energy-kcal']);
+  const kjField = n(nutriments['energy-kj_100g']) ?? n(nutriments['energy-kj']);
+  // Energy without a unit is usually kJ
+  const energyField = n(nutriments['energy_100g']) ?? n(nutriments['energy']);
+  // Calories (kcal), preferring an explicit kcal value, then kJ converted (1 kcal = 4.184 kJ)
+  let kcal;
+  if (kcalField !== undefined && kcalField > 0) {
+    kcal = kcalField;
+  } else if (kjField !== undefined && kjField > 0) {
+    kcal = kjField / 4.184;
+    heuristics.push('energy_from_kj');
+  } else if (energyField !== undefined && energyField > 0) {
+    kcal = energyField / 4.184;
+    heuristics.push('energy_assumed_kj');
+  } else {
+    kcal = 0;
+    if ([kcalField, kjField, energyField].every((v) => v === undefined)) heuristics.push('calories_missing');
+  }
+  // Protein, carbs, fat and the rest of the catalogue via their field aliases
+  return {
+    calories: kcal,
+    ...readOffNutriments(nutriments, heuristics),
+  };
+};
+
+const PRODUCT_FIELDS = 'code,product_name,brands,image_small_url,image_url,nutriments,serving_size,serving_quantity';
+
+const hasNutriments = (product) => product.nutriments && Object.keys(product.nutriments).length > 0;
+
+// Search candidate / product shape shared by all providers
+const toCandidate = (product) => {
+  const heuristics = [];
+  return {
+    code: product.code || null,
+    name: product.product_name || null,
+    brand: product.brands ? product.brands.split(',')[0].trim() : null,
+    image_url: product.image_small_url || product.image_url || null,
+    per100g: normalizeNutriments(product.nutriments, heuristics),
+    heuristics,
+    // Label serving, e.g. "30 g"; serving_quantity is its weight in grams when known
+    serving_size: product.serving_size || null,
+    serving_quantity: n(product.serving_quantity) ?? null,
+  };
+};
+
+// Nutrition provider backed by the Open Food Facts search API (completely free!)
+const createOpenFoodFactsProvider = ({ baseUrl = DEFAULT_BASE_URL, timeout = 10000 } = {}) => ({
+  name: 'openfoodfacts',
+  // Candidate products for a free-text query (only ones with nutrition data)
+  search: async (query, limit = 20) => {
+    const searchResponse = await axios.get(`${baseUrl}/api/v2/search`, {
+      params: {
+        q: query,
+        fields: PRODUCT_FIELDS,
+        page_size: limit,
+        json: 1
+      },
+      timeout,
+    });
+    return (searchResponse.data.products || [])
+      .filter((product) => product.product_name && hasNutriments(product))
+      .map(toCandidate);
+  },
+  // A single product by barcode, or null when Open Food Facts doesn't know it
+  lookupByCode: async (code) => {
+    try {
+      const response = await axios.get(`${baseUrl}/api/v2/product/${encodeURIComponent(code)}`, {
+        params: { fields: PRODUCT_FIELDS },
+        timeout,
+      });
+      const product = response.data && response.data.product;
+      if (!product || response.data.status === 0 || !hasNutriments(product)) return null;
+      return toCandidate({ code, ...product });
+    } catch (e) {
+      if (e.response && e.response.status === 404) return null;
+      throw e;
+    }
+  },
+  lookup: async (foodName) => {
+    // Search for food in Open Food Facts database
+    const searchResponse = await axios.get(`${baseUrl}/api/v2/search`, {
+      params: {
+        q: foodName,
+        fields: PRODUCT_FIELDS,
+        page_size: 5, // Get top 5 matches
+        json: 1
+      },
+      timeout,
+    });
+    const products = searchResponse.data.products || [];
+    // Get the first product that has nutrition data
+    const selectedProduct = products.find(hasNutriments);
+    if (!selectedProduct) return null;
+    const candidate = toCandidate(selectedProduct);
+    return {
+      ...candidate,
+      name: selectedProduct.product_name || foodName,
+      // The top search result is a guess at what was eaten
+      heuristics: [...candidate.heuristics, 'search_match'],
+    };
+  },
+});
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  normalizeNutriments,
+  createOpenFoodFactsProvider,
+};
@@ -0,0 +1,53 @@
+const { NUTRIENT_KEYS } = require('../nutrients');
+
+// Provenance for logged nutrition: what was matched, the per-100 g values it was scaled
+// from, the grams used, and the heuristics that filled gaps along the way. Each heuristic
+// has an impact on how far the values can be trusted:
+//   none    exact, e.g. a unit conversion
+//   medium  a reasonable guess that can be off by tens of percent
+//   low     a value is missing and was counted as 0
+const HEURISTICS = {
+  energy_from_kj: { impact: 'none', description: 'Energy was given in kJ and converted to kcal' },
+  energy_assumed_kj: { impact: 'medium', description: 'Energy was given without a unit and assumed to be kJ' },
+  calories_missing: { impact: 'low', description: 'The source has no energy value, so calories were counted as 0' },
+  macros_missing: { impact: 'low', description: 'The source is missing protein, carbs or fat, so they were counted as 0' },
+  search_match: { impact: 'medium', description: 'Matched by searching the food name; the match may not be what was eaten' },
+  density_assumed_water: { impact: 'medium', description: 'Volume was converted to weight as if the food were water' },
+  piece_as_serving: { impact: 'medium', description: 'One piece was taken to weigh one serving' },
+  serving_from_label: { impact: 'medium', description: 'The serving weight was read from the label text' },
+};
+
+// Overall confidence: low if any value was defaulted or two guesses stack up, medium for a
+// single guess, otherwise high. Unknown codes count as guesses. (Entries corrected by hand
+// through PATCH /api/food-log/:id/nutrition are 'manual' instead.)
+const confidenceFor = (heuristics) => {
+  const impacts = heuristics.map((code) => (HEURISTICS[code] ? HEURISTICS[code].impact : 'medium'));
+  const guesses = impacts.filter((impact) => impact === 'medium').length;
+  if (impacts.includes('low') || guesses >= 2) return 'low';
+  return guesses === 1 ? 'medium' : 'high';
+};
+
+const round2 = (v) => (v === null || v === undefined ? null : parseFloat(Number(v).toFixed(2)));
+
+// Scaled nutrition (from scaleNutrition) plus provenance. `match` is what it was scaled from:
+// { name, code?, per100g?, heuristics? }; extra heuristics come from the caller (e.g. how
+// the match was found).
+const withProvenance = (scaled, match, extra = []) => {
+  const { unit_assumptions: unitAssumptions = [], ...values } = scaled;
+  const heuristics = [...new Set([...(match.heuristics || []), ...extra, ...unitAssumptions])];
+  return {
+    ...values,
+    unit_assumptions: unitAssumptions,
+    match_name: match.name || null,
+    match_code: match.code || null,
+    per_100g: match.per100g ? Object.fromEntries(NUTRIENT_KEYS.map((key) => [key, round2(match.per100g[key])])) : null,
+    heuristics,
+    confidence: confidenceFor(heuristics),
+  };
+};
+
+module.exports = {
+  HEURISTICS,
+  confidenceFor,
+  withProvenance,
+};
@@ -0,0 +1,35 @@
+// Fixed-window request limiter: at most `limit` requests per `windowMs` from one client IP.
+// Every response gets RateLimit-Limit / RateLimit-Remaining headers; over the limit the
+// request is handed to onLimited(req, res, retryAfterSeconds) instead of the next handler.
+const createRateLimiter = ({ limit, windowMs = 60 * 1000, onLimited, now = Date.now }) => {
+  const windows = new Map();
+  let sweepAt = now() + windowMs;
+
+  return (req, res, next) => {
+    const time = now();
+    // Drop finished windows once per window so idle clients don't accumulate
+    if (time >= sweepAt) {
+      for (const [key, entry] of windows) {
+        if (entry.resetAt <= time) windows.delete(key);
+      }
+      sweepAt = time + windowMs;
+    }
+    const key = req.ip;
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= time) {
+      entry = { count: 0, resetAt: time + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count += 1;
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(limit - entry.count, 0)));
+    if (entry.count > limit) {
+      const retryAfter = Math.ceil((entry.resetAt - time) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return onLimited(req, res, retryAfter);
+    }
+    return next();
+  };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,108 @@
+const { NUTRIENT_KEYS, CORE_NUTRIENTS, pickNutrients } = require('./nutrients');
+const { scaleNutrition } = require('./nutrition');
+const { assertValidUnit, UnitConversionError } = require('./units');
+
+// Custom foods and recipes expressed as "foods" the unit conversion understands:
+//   { name, per100g, serving_g?, density? }  when the weight is known, or
+//   { name, perServing }                     when only per-serving values exist
+// (a per-serving custom food without a serving weight, or a recipe of unknown weight).
+
+const round2 = (v) => (v === null || v === undefined ? null : parseFloat(Number(v).toFixed(2)));
+
+const mapNutrients = (values, fn) => Object.fromEntries(
+  NUTRIENT_KEYS.map((key) => [key, values[key] === null || values[key] === undefined ? null : fn(values[key])])
+);
+
+// Sum of nutrient values; an extra nutrient stays null unless at least one row reports it
+const sumNutrients = (rows) => {
+  const totals = {};
+  for (const key of NUTRIENT_KEYS) {
+    const reported = rows.filter((row) => row[key] !== null && row[key] !== undefined);
+    totals[key] = reported.length === 0 && !CORE_NUTRIENTS.includes(key)
+      ? null
+      : reported.reduce((sum, row) => sum + row[key], 0);
+  }
+  return totals;
+};
+
+// custom_foods row -> food
+const customFoodAsFood = (row) => {
+  const values = pickNutrients(row);
+  const base = { name: row.name, density: row.density, serving_g: row.serving_g };
+  if (row.basis === '100g') return { ...base, per100g: values };
+  if (row.serving_g > 0) return { ...base, per100g: mapNutrients(values, (v) => (v * 100) / row.serving_g) };
+  return { name: row.name, perServing: values };
+};
+
+// Total weight of a recipe: the cooked weight when given, else the sum of the ingredient
+// weights (null if any ingredient couldn't be converted to grams)
+const recipeWeight = (recipe, ingredients) => {
+  if (recipe.total_weight_g > 0) return recipe.total_weight_g;
+  if (ingredients.length === 0 || ingredients.some((i) => !(i.grams > 0))) return null;
+  return ingredients.reduce((sum, i) => sum + i.grams, 0);
+};
+
+// recipes row + its recipe_ingredients rows -> food
+const recipeAsFood = (recipe, ingredients) => {
+  const totals = sumNutrients(ingredients);
+  const weight = recipeWeight(recipe, ingredients);
+  if (weight) {
+    return { name: recipe.name, per100g: mapNutrients(totals, (v) => (v * 100) / weight), serving_g: weight / recipe.servings };
+  }
+  return { name: recipe.name, perServing: mapNutrients(totals, (v) => v / recipe.servings) };
+};
+
+// Nutrition for a quantity of a custom food or recipe, same shape as scaleNutrition.
+// Per-serving-only foods can only be logged in count units.
+const scaleFood = (food, quantity, unit) => {
+  if (food.per100g) return scaleNutrition(food.per100g, quantity, unit, food);
+  const parsed = assertValidUnit(unit);
+  if (parsed.dimension !== 'count') {
+    throw new UnitConversionError('UNIT_NOT_RESOLVABLE', `"${food.name}" only has per-serving nutrition; log it in servings`, {
+      unit,
+      dimension: parsed.dimension,
+    });
+  }
+  const qty = Number(quantity);
+  return {
+    ...mapNutrients(food.perServing, (v) => round2(v * qty)),
+    grams: null,
+    unit_assumptions: parsed.key === 'piece' ? ['piece_as_serving'] : [],
+  };
+};
+
+// Total, per-serving and (when the weight is known) per-100 g nutrition of a recipe
+const recipeNutrition = (recipe, ingredients) => {
+  const total = sumNutrients(ingredients);
+  const weight = recipeWeight(recipe, ingredients);
+  return {
+    weight_g: round2(weight),
+    total: mapNutrients(total, round2),
+    per_serving: mapNutrients(total, (v) => round2(v / recipe.servings)),
+    per_100g: weight ? mapNutrients(total, (v) => round2((v * 100) / weight)) : null,
+  };
+};
+
+// Per-100 g and per-serving views of a custom food's nutrition (null when not derivable)
+const customFoodNutrition = (row) => {
+  const values = pickNutrients(row);
+  if (row.basis === '100g') {
+    return {
+      per_100g: mapNutrients(values, round2),
+      per_serving: row.serving_g > 0 ? mapNutrients(values, (v) => round2((v * row.serving_g) / 100)) : null,
+    };
+  }
+  return {
+    per_100g: row.serving_g > 0 ? mapNutrients(values, (v) => round2((v * 100) / row.serving_g)) : null,
+    per_serving: mapNutrients(values, round2),
+  };
+};
+
+module.exports = {
+  sumNutrients,
+  customFoodAsFood,
+  recipeAsFood,
+  scaleFood,
+  recipeNutrition,
+  customFoodNutrition,
+};
@@ -0,0 +1,17 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context ({ request_id }) that follows the request through awaits and
+// callbacks, so response envelopes and log lines can carry the request ID without it
+// being passed around.
+const storage = new AsyncLocalStorage();
+
+const runWithRequestContext = (context, fn) => storage.run(context, fn);
+
+const currentRequestContext = () => storage.getStore() || null;
+
+const currentRequestId = () => {
+  const context = storage.getStore();
+  return context ? context.request_id : null;
+};
+
+module.exports = { runWithRequestContext, currentRequestContext, currentRequestId };
@@ -0,0 +1,122 @@
+// Unit conversion for logged quantities.
+//
+// Every unit resolves to grams, the basis all nutrition data is stored in:
+// - mass units convert directly,
+// - volume units go through the food's density (g/ml),
+// - count units ("piece", "serving") use the food's piece or serving weight.
+
+class UnitConversionError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'UnitConversionError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Canonical units with their aliases; factors are grams (mass) or millilitres (volume)
+const UNITS = {
+  g: { dimension: 'mass', factor: 1, aliases: ['g', 'gram', 'grams', 'gr', 'gm'] },
+  kg: { dimension: 'mass', factor: 1000, aliases: ['kg', 'kgs', 'kilogram', 'kilograms', 'kilo', 'kilos'] },
+  mg: { dimension: 'mass', factor: 0.001, aliases: ['mg', 'milligram', 'milligrams'] },
+  oz: { dimension: 'mass', factor: 28.349523125, aliases: ['oz', 'ounce', 'ounces'] },
+  lb: { dimension: 'mass', factor: 453.59237, aliases: ['lb', 'lbs', 'pound', 'pounds'] },
+  ml: { dimension: 'volume', factor: 1, aliases: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres', 'cc'] },
+  l: { dimension: 'volume', factor: 1000, aliases: ['l', 'liter', 'liters', 'litre', 'litres'] },
+  tsp: { dimension: 'volume', factor: 4.92892159375, aliases: ['tsp', 'tsps', 'teaspoon', 'teaspoons'] },
+  tbsp: { dimension: 'volume', factor: 14.78676478125, aliases: ['tbsp', 'tbsps', 'tablespoon', 'tablespoons', 'tbs'] },
+  cup: { dimension: 'volume', factor: 240, aliases: ['cup', 'cups'] },
+  fl_oz: { dimension: 'volume', factor: 29.5735295625, aliases: ['fl oz', 'floz', 'fl. oz', 'fl. oz.', 'fluid ounce', 'fluid ounces'] },
+  piece: { dimension: 'count', factor: 1, aliases: ['piece', 'pieces', 'pc', 'pcs', 'item', 'items', 'each', 'whole'] },
+  serving: { dimension: 'count', factor: 1, aliases: ['serving', 'servings', 'portion', 'portions', 'serve', 'serves'] },
+};
+
+const ALIASES = new Map();
+for (const [key, def] of Object.entries(UNITS)) {
+  for (const alias of def.aliases) ALIASES.set(alias, key);
+}
+
+// Canonical unit for user input ("Tablespoons" -> tbsp), or null when unknown
+const parseUnit = (unit) => {
+  const normalized = String(unit || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  const key = ALIASES.get(normalized) || ALIASES.get(normalized.replace(/\.$/, ''));
+  return key ? { key, ...UNITS[key] } : null;
+};
+
+const supportedUnits = () => Object.keys(UNITS);
+
+const assertValidUnit = (unit) => {
+  const parsed = parseUnit(unit);
+  if (!parsed) {
+    throw new UnitConversionError('INVALID_UNIT', `Unknown unit "${unit}"`, { unit, supported: supportedUnits() });
+  }
+  return parsed;
+};
+
+// Grams described by an Open Food Facts style serving label, e.g. "30 g", "1 cup (240 ml)",
+// "2 biscuits (25g)", "8 fl oz" (a volume, unlike "1 oz")
+const parseServingSize = (servingSize, density) => {
+  if (!servingSize) return null;
+  const matches = [...String(servingSize).toLowerCase().matchAll(/(\d+(?:[.,]\d+)?)\s*(fl\.?\s*oz|kg|mg|g|ml|cl|dl|l|oz)\b/g)];
+  if (matches.length === 0) return null;
+  // Prefer the metric amount, usually listed last and parenthesised ("1 cup (240 ml)", "8 fl oz (250 ml)")
+  const metric = matches.filter(([, , unitText]) => !unitText.endsWith('oz'));
+  const [, amountText, unitText] = (metric.length > 0 ? metric : matches).pop();
+  const amount = parseFloat(amountText.replace(',', '.'));
+  const perUnit = { kg: 1000, g: 1, mg: 0.001, oz: UNITS.oz.factor };
+  const perMl = { l: 1000, dl: 100, cl: 10, ml: 1 };
+  if (perUnit[unitText] !== undefined) return amount * perUnit[unitText];
+  const ml = unitText.startsWith('fl') ? UNITS.fl_oz.factor : perMl[unitText];
+  return amount * ml * (density || 1);
+};
+
+// Convert a quantity to grams. `food` may carry:
+//   density          g per ml, for volume units (defaults to water, 1 g/ml, and says so in `assumptions`)
+//   piece_g          weight of one piece, for "piece"
+//   serving_g        weight of one serving, for "serving" (and "piece" when piece_g is missing)
+//   serving_quantity / serving_size   Open Food Facts serving data, used like serving_g
+//                    (a weight parsed from the serving_size text says so in `assumptions`)
+// Returns { grams, unit, assumptions: [] }.
+const toGrams = (quantity, unit, food = {}) => {
+  const parsed = assertValidUnit(unit);
+  const qty = Number(quantity);
+  if (!Number.isFinite(qty) || qty < 0) {
+    throw new UnitConversionError('INVALID_QUANTITY', 'Quantity must be a non-negative number', { quantity });
+  }
+  const assumptions = [];
+  if (parsed.dimension === 'mass') {
+    return { grams: qty * parsed.factor, unit: parsed.key, assumptions };
+  }
+  if (parsed.dimension === 'volume') {
+    let density = Number(food.density);
+    if (!(density > 0)) {
+      density = 1;
+      assumptions.push('density_assumed_water');
+    }
+    return { grams: qty * parsed.factor * density, unit: parsed.key, assumptions };
+  }
+  const servingGrams = Number(food.serving_g) > 0
+    ? Number(food.serving_g)
+    : (Number(food.serving_quantity) > 0 ? Number(food.serving_quantity) : parseServingSize(food.serving_size, food.density));
+  const usesPiece = parsed.key === 'piece' && Number(food.piece_g) > 0;
+  const countGrams = usesPiece ? Number(food.piece_g) : servingGrams;
+  if (!(countGrams > 0)) {
+    throw new UnitConversionError('UNIT_NOT_RESOLVABLE', `No ${parsed.key} size is known for this food; log it by weight or volume instead`, {
+      unit,
+      dimension: 'count',
+    });
+  }
+  if (parsed.key === 'piece' && !usesPiece) assumptions.push('piece_as_serving');
+  if (!usesPiece && !(Number(food.serving_g) > 0) && !(Number(food.serving_quantity) > 0)) assumptions.push('serving_from_label');
+  return { grams: qty * countGrams, unit: parsed.key, assumptions };
+};
+
+module.exports = {
+  UNITS,
+  UnitConversionError,
+  parseUnit,
+  supportedUnits,
+  assertValidUnit,
+  parseServingSize,
+  toGrams,
+};
@@ -0,0 +1,97 @@
+// Baseline schema. Databases created before migrations existed already have some of
+// these tables and columns, so this one step is written to be safe to run over them.
+// Later migrations can assume it has been applied.
+
+const up = async ({ runExecute, addColumnIfMissing }) => {
+  await runExecute(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      email TEXT NOT NULL UNIQUE,
+      password TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await runExecute(`
+    CREATE TABLE IF NOT EXISTS food_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      food_name TEXT NOT NULL,
+      quantity REAL NOT NULL,
+      unit TEXT NOT NULL,
+      calories REAL,
+      protein REAL,
+      carbs REAL,
+      fat REAL,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      date DATE DEFAULT (DATE('now')),
+      FOREIGN KEY(user_id) REFERENCES users(id)
+    )
+  `);
+  await addColumnIfMissing('food_logs', 'updated_at', 'DATETIME');
+  await addColumnIfMissing('food_logs', 'deleted_at', 'DATETIME');
+  // Name of the nutrition provider that produced the stored values (null if none matched)
+  await addColumnIfMissing('food_logs', 'nutrition_source', 'TEXT');
+  // Exact product picked by the user (search result) instead of a free-text match
+  await addColumnIfMissing('food_logs', 'product_code', 'TEXT');
+  await addColumnIfMissing('food_logs', 'product_name', 'TEXT');
+  await runExecute('CREATE INDEX IF NOT EXISTS idx_food_logs_user_date ON food_logs(user_id, date)');
+  // Tokens invalidated through logout, kept until they would have expired anyway
+  await runExecute(`
+    CREATE TABLE IF NOT EXISTS revoked_tokens (
+      jti TEXT PRIMARY KEY,
+      expires_at DATETIME NOT NULL
+    )
+  `);
+  // Daily targets; a new row per change so past days keep the goal that applied then
+  await runExecute(`
+    CREATE TABLE IF NOT EXISTS nutrition_goals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      effective_from DATE NOT NULL,
+      calories REAL,
+      protein REAL,
+      carbs REAL,
+      fat REAL,
+      protein_pct REAL,
+      carbs_pct REAL,
+      fat_pct REAL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, effective_from),
+      FOREIGN KEY(user_id) REFERENCES users(id)
+    )
+  `);
+  // Cached remote lookups (JSON value, epoch-millisecond timestamps)
+  await runExecute(`
+    CREATE TABLE IF NOT EXISTS nutrition_cache (
+      cache_key TEXT PRIMARY KEY,
+      value TEXT,
+      fetched_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    )
+  `);
+  // Bundled per-100 g values for common staples, used by the offline "local" provider
+  await runExecute(`
+    CREATE TABLE IF NOT EXISTS generic_foods (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      aliases TEXT NOT NULL DEFAULT '',
+      calories REAL NOT NULL,
+      protein REAL NOT NULL,
+      carbs REAL NOT NULL,
+      fat REAL NOT NULL
+    )
+  `);
+  // Density (g/ml) and piece/serving weights for volume and count units
+  await addColumnIfMissing('generic_foods', 'density', 'REAL');
+  await addColumnIfMissing('generic_foods', 'piece_g', 'REAL');
+  await addColumnIfMissing('generic_foods', 'serving_g', 'REAL');
+};
+
+const down = async ({ runExecute }) => {
+  for (const table of ['generic_foods', 'nutrition_cache', 'nutrition_goals', 'revoked_tokens', 'food_logs', 'users']) {
+    await runExecute(`DROP TABLE IF EXISTS ${table}`);
+  }
+};
+
+module.exports = { up, down };
@@ -0,0 +1,16 @@
+// Meal slot (breakfast, lunch, dinner, snack or a custom label) and the time the food
+// was eaten, which can differ from the insertion `timestamp`.
+
+const up = async ({ runExecute }) => {
+  await runExecute('ALTER TABLE food_logs ADD COLUMN meal TEXT');
+  await runExecute('ALTER TABLE food_logs ADD COLUMN eaten_at DATETIME');
+  // Existing entries were eaten when they were logged; same ISO format the API writes
+  await runExecute(`UPDATE food_logs SET eaten_at = strftime('%Y-%m-%dT%H:%M:%fZ', timestamp) WHERE eaten_at IS NULL`);
+};
+
+const down = async ({ runExecute }) => {
+  await runExecute('ALTER TABLE food_logs DROP COLUMN eaten_at');
+  await runExecute('ALTER TABLE food_logs DROP COLUMN meal');
+};
+
+module.exports = { up, down };
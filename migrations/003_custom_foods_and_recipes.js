@@ -0,0 +1,72 @@
+// User-defined foods and multi-ingredient recipes. Nutrient columns beyond calories and
+// macros are added from the nutrient catalogue after the migrations run.
+
+const up = async ({ runExecute }) => {
+  // Nutrition as the user entered it: per 100 g (basis '100g') or per serving ('serving')
+  await runExecute(`
+    CREATE TABLE custom_foods (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      brand TEXT,
+      basis TEXT NOT NULL DEFAULT '100g',
+      serving_g REAL,
+      density REAL,
+      calories REAL,
+      protein REAL,
+      carbs REAL,
+      fat REAL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+    )
+  `);
+  await runExecute('CREATE INDEX idx_custom_foods_user ON custom_foods(user_id)');
+  await runExecute(`
+    CREATE TABLE recipes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      servings REAL NOT NULL DEFAULT 1,
+      total_weight_g REAL,
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+    )
+  `);
+  await runExecute('CREATE INDEX idx_recipes_user ON recipes(user_id)');
+  // One row per ingredient with its nutrition for the given amount, computed when saved
+  await runExecute(`
+    CREATE TABLE recipe_ingredients (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recipe_id INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      custom_food_id INTEGER,
+      product_code TEXT,
+      name TEXT NOT NULL,
+      quantity REAL NOT NULL,
+      unit TEXT NOT NULL,
+      grams REAL,
+      calories REAL,
+      protein REAL,
+      carbs REAL,
+      fat REAL,
+      FOREIGN KEY(recipe_id) REFERENCES recipes(id),
+      FOREIGN KEY(custom_food_id) REFERENCES custom_foods(id)
+    )
+  `);
+  await runExecute('CREATE INDEX idx_recipe_ingredients_recipe ON recipe_ingredients(recipe_id)');
+  await runExecute('ALTER TABLE food_logs ADD COLUMN custom_food_id INTEGER');
+  await runExecute('ALTER TABLE food_logs ADD COLUMN recipe_id INTEGER');
+};
+
+const down = async ({ runExecute }) => {
+  await runExecute('ALTER TABLE food_logs DROP COLUMN recipe_id');
+  await runExecute('ALTER TABLE food_logs DROP COLUMN custom_food_id');
+  await runExecute('DROP TABLE IF EXISTS recipe_ingredients');
+  await runExecute('DROP TABLE IF EXISTS recipes');
+  await runExecute('DROP TABLE IF EXISTS custom_foods');
+};
+
+module.exports = { up, down };
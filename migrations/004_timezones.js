@@ -0,0 +1,21 @@
+// Time zones: each user has a configured IANA zone, and each entry records the zone its day
+// was resolved in. Days are read as eaten_at ranges in the requested zone, so eaten_at gets
+// an index of its own.
+
+const up = async ({ runExecute }) => {
+  await runExecute("ALTER TABLE users ADD COLUMN timezone TEXT NOT NULL DEFAULT 'UTC'");
+  await runExecute('ALTER TABLE food_logs ADD COLUMN timezone TEXT');
+  // Entries so far were filed by UTC day (DATE('now') and toISOString on the server)
+  await runExecute(`UPDATE food_logs SET eaten_at = strftime('%Y-%m-%dT%H:%M:%fZ', timestamp) WHERE eaten_at IS NULL`);
+  await runExecute(`UPDATE food_logs SET date = substr(eaten_at, 1, 10) WHERE date IS NULL`);
+  await runExecute(`UPDATE food_logs SET timezone = 'UTC' WHERE timezone IS NULL`);
+  await runExecute('CREATE INDEX idx_food_logs_user_eaten_at ON food_logs(user_id, eaten_at)');
+};
+
+const down = async ({ runExecute }) => {
+  await runExecute('DROP INDEX IF EXISTS idx_food_logs_user_eaten_at');
+  await runExecute('ALTER TABLE food_logs DROP COLUMN timezone');
+  await runExecute('ALTER TABLE users DROP COLUMN timezone');
+};
+
+module.exports = { up, down };
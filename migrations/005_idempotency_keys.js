@@ -0,0 +1,25 @@
+// Responses to requests sent with an Idempotency-Key header, so a retried request (e.g. an
+// entry logged offline and replayed) gets the original response instead of running twice.
+// A row without a status is a request still being processed.
+
+const up = async ({ runExecute }) => {
+  await runExecute(`
+    CREATE TABLE idempotency_keys (
+      user_id INTEGER NOT NULL,
+      idempotency_key TEXT NOT NULL,
+      request_hash TEXT NOT NULL,
+      status INTEGER,
+      response TEXT,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (user_id, idempotency_key),
+      FOREIGN KEY(user_id) REFERENCES users(id)
+    )
+  `);
+  await runExecute('CREATE INDEX idx_idempotency_keys_created_at ON idempotency_keys(created_at)');
+};
+
+const down = async ({ runExecute }) => {
+  await runExecute('DROP TABLE IF EXISTS idempotency_keys');
+};
+
+module.exports = { up, down };
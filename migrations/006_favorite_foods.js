@@ -0,0 +1,36 @@
+// Favorite foods: a food the user starred, with the amount they usually have and the
+// nutrition for that amount, so logging it again needs no lookup. food_key identifies the
+// food the same way the frequent-foods list does (see lib/frequentFoods.js). Nutrient
+// columns beyond calories and macros are added from the nutrient catalogue after the
+// migrations run.
+
+const up = async ({ runExecute }) => {
+  await runExecute(`
+    CREATE TABLE favorite_foods (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      food_key TEXT NOT NULL,
+      food_name TEXT NOT NULL,
+      quantity REAL NOT NULL,
+      unit TEXT NOT NULL,
+      calories REAL,
+      protein REAL,
+      carbs REAL,
+      fat REAL,
+      nutrition_source TEXT,
+      product_code TEXT,
+      product_name TEXT,
+      custom_food_id INTEGER,
+      recipe_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+    )
+  `);
+  await runExecute('CREATE UNIQUE INDEX idx_favorite_foods_user_key ON favorite_foods(user_id, food_key)');
+};
+
+const down = async ({ runExecute }) => {
+  await runExecute('DROP TABLE IF EXISTS favorite_foods');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,42 @@
+// Body weight and water intake logs. Like food_logs, each row stores its instant as a UTC
+// ISO string plus the calendar day and IANA zone it was logged in; days are read as
+// instant ranges in the requested zone. Weights are stored in kg and water in ml.
+
+const up = async ({ runExecute }) => {
+  await runExecute(`
+    CREATE TABLE weight_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      weight_kg REAL NOT NULL,
+      measured_at DATETIME NOT NULL,
+      date TEXT NOT NULL,
+      timezone TEXT NOT NULL,
+      note TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+    )
+  `);
+  await runExecute('CREATE INDEX idx_weight_logs_user_measured_at ON weight_logs(user_id, measured_at)');
+  await runExecute(`
+    CREATE TABLE water_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      amount_ml REAL NOT NULL,
+      drunk_at DATETIME NOT NULL,
+      date TEXT NOT NULL,
+      timezone TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME,
+      FOREIGN KEY(user_id) REFERENCES users(id)
+    )
+  `);
+  await runExecute('CREATE INDEX idx_water_logs_user_drunk_at ON water_logs(user_id, drunk_at)');
+};
+
+const down = async ({ runExecute }) => {
+  await runExecute('DROP TABLE IF EXISTS water_logs');
+  await runExecute('DROP TABLE IF EXISTS weight_logs');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// Where each entry's nutrition came from: the matched food's name and code, the per-100 g
+// values it was scaled from (JSON), the grams used, the heuristics that filled gaps (JSON
+// array of codes, see lib/nutrition/provenance.js) and the confidence they add up to.
+// Favorites keep the same so repeating one carries it over. nutrition_override (JSON)
+// records a manual correction of an entry's values. Entries logged before this have no
+// provenance and a null confidence.
+
+const PROVENANCE_COLUMNS = [
+  ['match_name', 'TEXT'],
+  ['match_code', 'TEXT'],
+  ['basis_per_100g', 'TEXT'],
+  ['grams', 'REAL'],
+  ['heuristics', 'TEXT'],
+  ['confidence', 'TEXT'],
+];
+
+const up = async ({ runExecute }) => {
+  for (const table of ['food_logs', 'favorite_foods']) {
+    for (const [column, type] of PROVENANCE_COLUMNS) await runExecute(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
+  await runExecute('ALTER TABLE food_logs ADD COLUMN nutrition_override TEXT');
+  // Cached lookups predate the heuristics; refetch them so new entries get theirs
+  await runExecute('DELETE FROM nutrition_cache');
+};
+
+const down = async ({ runExecute }) => {
+  await runExecute('ALTER TABLE food_logs DROP COLUMN nutrition_override');
+  for (const table of ['favorite_foods', 'food_logs']) {
+    for (const [column] of [...PROVENANCE_COLUMNS].reverse()) await runExecute(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+};
+
+module.exports = { up, down };
@@ -0,0 +1,12 @@
+// Favorites keep the manual correction of the entry they were starred from, so entries
+// logged from them say what was overridden rather than only that confidence is 'manual'.
+
+const up = async ({ runExecute }) => {
+  await runExecute('ALTER TABLE favorite_foods ADD COLUMN nutrition_override TEXT');
+};
+
+const down = async ({ runExecute }) => {
+  await runExecute('ALTER TABLE favorite_foods DROP COLUMN nutrition_override');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// Schema migration CLI:
+//   node scripts/migrate.js up            apply pending migrations (npm run migrate)
+//   node scripts/migrate.js status        list applied and pending migrations (npm run migrate:status)
+//   node scripts/migrate.js rollback [n]  revert the latest n migrations, default 1 (npm run migrate:rollback)
+require('dotenv').config();
+const { loadConfig } = require('../lib/config');
+const { createLogger } = require('../lib/logger');
+const { createDatabase } = require('../lib/db');
+const { createMigrator } = require('../lib/migrations');
+const { ensureNutrientColumns } = require('../lib/nutrients');
+
+const main = async (command = 'up', arg) => {
+  const config = loadConfig();
+  const logger = createLogger(config.logging);
+  const database = createDatabase(config.database.path, { logger });
+  const migrator = createMigrator(database, { logger });
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrator.up();
+        await ensureNutrientColumns(database);
+        console.log(applied.length > 0 ? `${applied.length} migration(s) applied.` : 'Database is up to date.');
+        break;
+      }
+      case 'status': {
+        const rows = await migrator.status();
+        for (const row of rows) {
+          const state = row.missing ? 'missing file' : (row.applied_at ? `applied ${row.applied_at}` : 'pending');
+          console.log(`${String(row.version).padStart(3, '0')} ${row.name.padEnd(30)} ${state}`);
+        }
+        if (rows.length === 0) console.log('No migrations found.');
+        break;
+      }
+      case 'rollback': {
+        const steps = arg === undefined ? 1 : Number(arg);
+        if (!Number.isInteger(steps) || steps < 1) throw new Error('rollback expects a positive number of steps');
+        const reverted = await migrator.rollback(steps);
+        if (reverted.length === 0) console.log('Nothing to roll back.');
+        break;
+      }
+      default:
+        throw new Error(`Unknown command "${command}" (expected up, status or rollback)`);
+    }
+  } finally {
+    await database.close();
+  }
+};
+
+main(process.argv[2], process.argv[3]).catch((err) => {
+  console.error('Migration failed:', err.message);
+  process.exit(1);
+});
@@ -1,19 +1,61 @@
 const express = require('express');
-const sqlite3 = require('sqlite3').verbose();
 const cors = require('cors');
 const path = require('path');
 const axios = require('axios');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const {
+  isValidDate, normalizeTimeZone, parseDateTime, dateInZone, todayIn, dayRange, sameTimeOnDate, addDays, daysBetween, bucketStart,
+  listBuckets,
+} = require('./lib/dates');
+const { createLookupCache, createProviderChain, createNutritionService, seedGenericFoods } = require('./lib/nutrition');
+const { withProvenance } = require('./lib/nutrition/provenance');
+const { cleanBarcode, isValidGtin } = require('./lib/barcode');
+const { UNITS, parseUnit, supportedUnits, UnitConversionError } = require('./lib/units');
+const { NUTRIENTS, NUTRIENT_KEYS, CORE_NUTRIENTS, pickNutrients, ensureNutrientColumns } = require('./lib/nutrients');
+const { customFoodAsFood, recipeAsFood, scaleFood, recipeNutrition, customFoodNutrition } = require('./lib/recipes');
+const { MEAL_SLOTS, MAX_MEAL_LENGTH, normalizeMeal, mealOrder } = require('./lib/meals');
+const { parseFoodText } = require('./lib/foodParser');
+const { foodKey, rankFrequentFoods } = require('./lib/frequentFoods');
+const { estimateEnergy } = require('./lib/energy');
+const { createDatabase } = require('./lib/db');
+const { createMigrator } = require('./lib/migrations');
+const { createAssistant, createConversationStore } = require('./lib/assistant');
+const {
+  IMPORT_FORMATS, EXPORT_COLUMNS, ImportFormatError, formatCsvLine, detectFormat, readImport, duplicateKey,
+} = require('./lib/importExport');
+const { loadConfig } = require('./lib/config');
+const { createLogger } = require('./lib/logger');
+const { createRateLimiter } = require('./lib/rateLimit');
+const { createIdempotency } = require('./lib/idempotency');
+const { createMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { createUpstreamMonitor } = require('./lib/health');
+const { runWithRequestContext, currentRequestContext, currentRequestId } = require('./lib/requestContext');
 require('dotenv').config();
+// Every setting comes from lib/config; invalid values stop the server before it starts
+let config;
+try {
+  config = loadConfig();
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+// JSON log lines; those written while handling a request carry its request_id
+const logger = createLogger({ ...config.logging, context: currentRequestContext });
+const metrics = createMetrics();
+if (config.auth.jwtSecretGenerated) {
+  logger.warn('JWT_SECRET is not set; using a temporary secret. Sessions will not survive a restart.');
+}
 const app = express();
-const PORT = process.env.PORT || 3000;
-const HOST = process.env.HOST || '0.0.0.0';
-// Standardized success/error helpers
+// Standardized success/error helpers; request_id matches the X-Request-Id response header
 const makeError = (code, message, options = {}) => ({
   success: false,
   error: code,
   message,
   details: options.details || null,
   meta: options.meta || null,
+  request_id: currentRequestId(),
   timestamp: new Date().toISOString(),
 });
 const makeSuccess = (message, data = {}, meta = null) => ({
@@ -21,253 +63,2321 @@ const makeSuccess = (message, data = {}, meta = null) => ({
   message,
   data,
   meta,
+  request_id: currentRequestId(),
   timestamp: new Date().toISOString(),
 });
+// Request IDs, access log and HTTP metrics. A caller-supplied X-Request-Id is kept when it
+// looks like an ID, so a request can be traced across services; otherwise one is generated.
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+// Probes and scrapes are only logged at debug level
+const QUIET_PATHS = ['/health', '/health/live', '/health/ready', '/metrics'];
+const httpDuration = metrics.histogram(
+  'http_request_duration_seconds',
+  'HTTP request duration by method, matched route and status',
+  ['method', 'route', 'status']
+);
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  const end = httpDuration.startTimer({ method: req.method });
+  res.on('finish', () => {
+    // The route pattern ("/api/food-log/:id"), not the URL, keeps the label set small
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const seconds = end({ route, status: res.statusCode });
+    logger[QUIET_PATHS.includes(req.path) ? 'debug' : 'info']('Request completed', {
+      request_id: req.id,
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      duration_ms: Math.round(seconds * 1000 * 10) / 10,
+    });
+  });
+  runWithRequestContext({ request_id: req.id }, next);
+});
 // Middleware
-app.use(cors());
+app.set('trust proxy', config.server.trustProxy);
+app.use(cors({ origin: config.cors.origin }));
+if (config.rateLimit.perMinute > 0) {
+  app.use('/api', createRateLimiter({
+    limit: config.rateLimit.perMinute,
+    onLimited: (req, res, retryAfter) => res.status(429).json(makeError('RATE_LIMITED', 'Too many requests, please slow down', {
+      details: { limit: config.rateLimit.perMinute, window: '1m', retry_after: retryAfter },
+    })),
+  }));
+}
+// Imports carry a whole file in the body; registered first so the default limit doesn't apply
+app.use('/api/import', express.json({ limit: '10mb' }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'frontend', 'build')));
-// Initialize SQLite Database
-const db = new sqlite3.Database('./nutrition.db', (err) => {
-  if (err) {
-    console.error('Error opening database:', err.message);
-  } else {
-    console.log('Connected to SQLite database.');
-    // Ensure sequential execution of setup queries
-    db.serialize(() => {
-      // Create tables if they don't exist
-      db.run(`
-        CREATE TABLE IF NOT EXISTS users (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          name TEXT NOT NULL,
-          email TEXT NOT NULL UNIQUE,
-          password TEXT NOT NULL,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      db.run(`
-        CREATE TABLE IF NOT EXISTS food_logs (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          user_id INTEGER,
-          food_name TEXT NOT NULL,
-          quantity REAL NOT NULL,
-          unit TEXT NOT NULL,
-          calories REAL,
-          protein REAL,
-          carbs REAL,
-          fat REAL,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          date DATE DEFAULT (DATE('now')),
-          FOREIGN KEY(user_id) REFERENCES users(id)
-        )
-      `);
-    });
+// Initialize SQLite Database; the schema is brought up to date by the migrations at startup
+const database = createDatabase(config.database.path, { logger, metrics });
+const { runQuery, runExecute, eachRow } = database;
+const nutritionCache = createLookupCache({
+  runQuery,
+  runExecute,
+  ...config.nutrition.cache,
+  logger,
+});
+const nutritionService = createNutritionService({
+  providers: createProviderChain(config.nutrition.providers, {
+    runQuery,
+    cache: nutritionCache,
+    metrics,
+    openFoodFacts: { baseUrl: config.openFoodFacts.baseUrl, timeout: config.openFoodFacts.timeoutMs },
+    http: { baseUrl: config.nutrition.http.baseUrl, timeout: config.nutrition.http.timeoutMs },
+  }),
+  logger,
+});
+const { getNutritionData, getNutritionForProduct } = nutritionService;
+// Replays of requests sent with an Idempotency-Key (e.g. entries queued offline) get the
+// stored response instead of creating the entry twice
+const idempotent = createIdempotency({ runQuery, runExecute, makeError, logger, ttlMs: config.idempotency.ttlMs });
+// Public representation of a user row (never expose the password hash)
+const toPublicUser = (row) => ({
+  id: row.id,
+  name: row.name,
+  email: row.email,
+  timezone: row.timezone,
+  created_at: row.created_at,
+});
+const timeZoneError = (value) => makeError('VALIDATION_ERROR', `Unknown time zone "${value}", expected an IANA name such as Europe/Berlin`, {
+  details: { fields: ['timezone'], reason: 'invalid' },
+});
+const issueToken = (userId) => jwt.sign(
+  { sub: String(userId) },
+  config.auth.jwtSecret,
+  { expiresIn: config.auth.jwtExpiresIn, jwtid: crypto.randomUUID() }
+);
+// Auth middleware: expects "Authorization: Bearer <token>" and sets req.user / req.auth.
+// Also sets req.timeZone, the zone days are resolved in: the request's (X-Timezone header
+// or ?tz=), else the user's configured one.
+const requireAuth = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json(makeError('UNAUTHORIZED', 'Authentication required'));
+  }
+  let payload;
+  try {
+    payload = jwt.verify(token, config.auth.jwtSecret);
+  } catch (e) {
+    return res.status(401).json(makeError('UNAUTHORIZED', 'Invalid or expired token'));
   }
+  try {
+    const revoked = await runQuery('SELECT 1 FROM revoked_tokens WHERE jti = ?', [payload.jti]);
+    if (revoked.length > 0) {
+      return res.status(401).json(makeError('UNAUTHORIZED', 'Session has been logged out'));
+    }
+    const users = await runQuery('SELECT * FROM users WHERE id = ?', [Number(payload.sub)]);
+    if (users.length === 0) {
+      return res.status(401).json(makeError('UNAUTHORIZED', 'User no longer exists'));
+    }
+    req.user = toPublicUser(users[0]);
+    req.auth = { jti: payload.jti, exp: payload.exp };
+    const requested = req.get('X-Timezone') || req.query.tz;
+    if (requested !== undefined && !normalizeTimeZone(requested)) return res.status(400).json(timeZoneError(requested));
+    req.timeZone = normalizeTimeZone(requested) || req.user.timezone || 'UTC';
+    return next();
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to verify session', { details: e.message }));
+  }
+};
+// Open Food Facts connectivity, checked in the background at most once per
+// OPENFOODFACTS_HEALTH_TTL_SECONDS; health endpoints and metrics report the cached result
+const usesOpenFoodFacts = config.nutrition.providers.includes('openfoodfacts');
+const openFoodFactsMonitor = createUpstreamMonitor({
+  name: 'openfoodfacts',
+  ttlMs: config.openFoodFacts.healthTtlMs,
+  logger,
+  check: async () => {
+    try {
+      const resp = await axios.get(`${config.openFoodFacts.baseUrl}/api/v2/search`, {
+        params: {
+          categories_tags: 'fruits',
+          fields: 'product_name,nutriments',
+          page_size: 1
+        },
+        timeout: config.openFoodFacts.healthTimeoutMs,
+      });
+      return { reachable: true, ok: resp.status >= 200 && resp.status < 300, status: resp.status, error: null };
+    } catch (e) {
+      // Consider reachable if we got a response, even if not 2xx
+      return { reachable: Boolean(e.response), ok: false, status: e.response?.status || null, error: e.message };
+    }
+  },
 });
-// Utility: run DB query returning promise
-const runQuery = (sql, params = []) => new Promise((resolve, reject) => {
-  db.all(sql, params, (err, rows) => {
-    if (err) return reject(err);
-    resolve(rows);
+const openFoodFactsStatus = () => (usesOpenFoodFacts ? openFoodFactsMonitor.status() : { state: 'unused' });
+const checkDatabase = async () => {
+  try {
+    await runQuery('SELECT 1 as ok');
+    return 'ok';
+  } catch (e) {
+    return 'error';
+  }
+};
+// Health checks (HEALTH_CHECK_ENABLED=false removes them):
+//   /health/live  - the process is up; for liveness probes
+//   /health/ready - the database answers. Open Food Facts being down only degrades the
+//                   service (the other providers still answer), so it doesn't fail readiness
+//   /health       - everything, including the nutrition cache stats
+if (config.healthCheck.enabled) {
+  app.get('/health/live', (req, res) => res.status(200).json(makeSuccess('Service is alive', {
+    status: 'ok',
+    uptime_seconds: Math.round(process.uptime()),
+  })));
+  app.get('/health/ready', async (req, res) => {
+    const checks = { db: await checkDatabase(), openFoodFacts: openFoodFactsStatus() };
+    if (checks.db !== 'ok') {
+      return res.status(503).json(makeError('NOT_READY', 'Service is not ready', { details: checks }));
+    }
+    return res.status(200).json(makeSuccess('Service is ready', {
+      status: checks.openFoodFacts.state === 'down' ? 'degraded' : 'ready',
+      checks,
+    }));
+  });
+  app.get('/health', async (req, res) => {
+    let cacheStats = null;
+    try {
+      cacheStats = await nutritionCache.stats();
+    } catch (e) {
+      cacheStats = { error: e.message };
+    }
+    return res.status(200).json(makeSuccess('Service health status', {
+      server: 'ok',
+      db: await checkDatabase(),
+      openFoodFacts: openFoodFactsStatus(),
+      nutritionProviders: nutritionService.providers,
+      nutritionCache: cacheStats,
+    }));
+  });
+}
+// Prometheus metrics (METRICS_ENABLED=false removes the endpoint): HTTP, database and
+// nutrition provider timings are recorded where they happen; these are read per scrape
+metrics.gauge('process_uptime_seconds', 'Seconds since the server process started', () => process.uptime());
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+metrics.gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', () => process.memoryUsage().heapUsed);
+if (usesOpenFoodFacts) {
+  metrics.gauge('openfoodfacts_up', 'Whether the last Open Food Facts health check succeeded (1) or not (0)', () => {
+    const { state } = openFoodFactsMonitor.status();
+    return state === 'unknown' ? NaN : Number(state === 'up');
+  });
+}
+if (config.metrics.enabled) {
+  app.get('/metrics', (req, res) => {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    return res.status(200).send(metrics.render());
   });
+}
+// Round to 2 decimal places
+const round2 = (v) => parseFloat(v.toFixed(2));
+// All catalogue nutrients from a per-100 g or scaled nutrition object, rounded; unknown ones stay null
+const roundNutrients = (values) => Object.fromEntries(NUTRIENT_KEYS.map((key) => [
+  key,
+  values[key] === null || values[key] === undefined ? null : round2(values[key]),
+]));
+// food_logs nutrient columns, in catalogue order, for INSERT / UPDATE statements
+const NUTRIENT_COLUMNS = NUTRIENT_KEYS.join(', ');
+const nutrientParams = (nutrition) => NUTRIENT_KEYS.map((key) => nutrition[key] ?? null);
+// Provenance columns (food_logs and favorite_foods); the per-100 g basis, heuristics and manual
+// override are JSON. The override travels with the confidence so a copied 'manual' keeps its record.
+const PROVENANCE_KEYS = ['match_name', 'match_code', 'basis_per_100g', 'grams', 'heuristics', 'confidence', 'nutrition_override'];
+const PROVENANCE_COLUMNS = PROVENANCE_KEYS.join(', ');
+const provenanceParams = (nutrition) => [
+  nutrition.match_name ?? null,
+  nutrition.match_code ?? null,
+  nutrition.per_100g ? JSON.stringify(nutrition.per_100g) : null,
+  nutrition.grams ?? null,
+  nutrition.heuristics ? JSON.stringify(nutrition.heuristics) : null,
+  nutrition.confidence ?? null,
+  nutrition.nutrition_override ? JSON.stringify(nutrition.nutrition_override) : null,
+];
+const parseJsonColumn = (value) => (value === null || value === undefined ? null : JSON.parse(value));
+// Register a new user account
+app.post('/api/auth/register', async (req, res) => {
+  const { name, email, password, timezone } = req.body || {};
+  if (!name || !email || !password) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'Missing required fields', {
+      details: { fields: ['name', 'email', 'password'], reason: 'required' },
+    }));
+  }
+  const normalizedEmail = String(email).trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'Invalid email address', {
+      details: { fields: ['email'], reason: 'format' },
+    }));
+  }
+  if (String(password).length < 8) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'Password must be at least 8 characters', {
+      details: { fields: ['password'], reason: 'min_length', min: 8 },
+    }));
+  }
+  if (timezone !== undefined && !normalizeTimeZone(timezone)) return res.status(400).json(timeZoneError(timezone));
+  try {
+    const existing = await runQuery('SELECT id FROM users WHERE email = ?', [normalizedEmail]);
+    if (existing.length > 0) {
+      return res.status(409).json(makeError('EMAIL_TAKEN', 'An account with this email already exists'));
+    }
+    const hash = await bcrypt.hash(String(password), 10);
+    const result = await runExecute(
+      'INSERT INTO users (name, email, password, timezone) VALUES (?, ?, ?, ?)',
+      [String(name).trim(), normalizedEmail, hash, timezone === undefined ? 'UTC' : normalizeTimeZone(timezone)]
+    );
+    const rows = await runQuery('SELECT * FROM users WHERE id = ?', [result.lastID]);
+    return res.status(201).json(makeSuccess('Account created successfully', {
+      token: issueToken(result.lastID),
+      user: toPublicUser(rows[0]),
+    }));
+  } catch (e) {
+    logger.error('Database error', e);
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to create account', { details: e.message }));
+  }
+});
+// Log in with email and password
+app.post('/api/auth/login', async (req, res) => {
+  const { email, password } = req.body || {};
+  if (!email || !password) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'Missing required fields', {
+      details: { fields: ['email', 'password'], reason: 'required' },
+    }));
+  }
+  try {
+    const rows = await runQuery('SELECT * FROM users WHERE email = ?', [String(email).trim().toLowerCase()]);
+    const user = rows[0];
+    // Same response for unknown email and wrong password to avoid leaking which accounts exist
+    if (!user || !(await bcrypt.compare(String(password), user.password))) {
+      return res.status(401).json(makeError('INVALID_CREDENTIALS', 'Invalid email or password'));
+    }
+    return res.status(200).json(makeSuccess('Logged in successfully', {
+      token: issueToken(user.id),
+      user: toPublicUser(user),
+    }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to log in', { details: e.message }));
+  }
 });
-const runExecute = (sql, params = []) => new Promise((resolve, reject) => {
-  db.run(sql, params, function (err) {
-    if (err) return reject(err);
-    resolve({ changes: this.changes, lastID: this.lastID });
+// Log out: revoke the current token
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await runExecute(
+      'INSERT OR IGNORE INTO revoked_tokens (jti, expires_at) VALUES (?, ?)',
+      [req.auth.jti, new Date(req.auth.exp * 1000).toISOString()]
+    );
+    // Opportunistically drop revocations for tokens that have expired on their own
+    await runExecute('DELETE FROM revoked_tokens WHERE expires_at < ?', [new Date().toISOString()]);
+    return res.status(200).json(makeSuccess('Logged out successfully'));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to log out', { details: e.message }));
+  }
+});
+// Current user
+app.get('/api/me', requireAuth, (req, res) => {
+  return res.status(200).json(makeSuccess('Current user fetched', { user: req.user }));
+});
+// Update the current user's settings: `timezone` (IANA name) decides where their days start
+app.put('/api/me', requireAuth, async (req, res) => {
+  const { timezone } = req.body || {};
+  if (timezone === undefined) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'Nothing to update', {
+      details: { fields: ['timezone'], reason: 'at_least_one_required' },
+    }));
+  }
+  if (!normalizeTimeZone(timezone)) return res.status(400).json(timeZoneError(timezone));
+  try {
+    await runExecute('UPDATE users SET timezone = ? WHERE id = ?', [normalizeTimeZone(timezone), req.user.id]);
+    const rows = await runQuery('SELECT * FROM users WHERE id = ?', [req.user.id]);
+    return res.status(200).json(makeSuccess('User updated successfully', { user: toPublicUser(rows[0]) }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to update user', { details: e.message }));
+  }
+});
+// Search foods: ranked candidates from the nutrition providers
+app.get('/api/foods/search', requireAuth, async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  if (q.length < 2) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'Query must be at least 2 characters', {
+      details: { fields: ['q'], reason: 'min_length', min: 2 },
+    }));
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 25) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'limit must be an integer between 1 and 25', {
+      details: { fields: ['limit'], reason: 'range', min: 1, max: 25 },
+    }));
+  }
+  try {
+    const items = await nutritionService.searchFoods(q, limit);
+    return res.status(200).json(makeSuccess('Food search results', { items }, { query: q, count: items.length }));
+  } catch (e) {
+    return res.status(502).json(makeError('UPSTREAM_ERROR', 'Food search failed', { details: e.message }));
+  }
+});
+const unitError = (unit) => makeError('VALIDATION_ERROR', `Unknown unit "${unit}"`, {
+  details: { fields: ['unit'], reason: 'unsupported', supported: supportedUnits() },
+});
+// Unit known, but not convertible to grams for the matched food (e.g. pieces of an unknown size)
+const unitConversionError = (e) => makeError(e.code, e.message, { details: e.details });
+const barcodeError = (code) => makeError('VALIDATION_ERROR', 'Invalid barcode, expected an EAN-8, UPC-A, EAN-13 or GTIN-14 with a valid check digit', {
+  details: { fields: ['barcode'], reason: 'checksum', barcode: code },
+});
+// Look up a product by barcode (cached through the nutrition providers)
+app.get('/api/foods/barcode/:code', requireAuth, async (req, res) => {
+  const code = cleanBarcode(req.params.code);
+  if (!isValidGtin(code)) return res.status(400).json(barcodeError(req.params.code));
+  try {
+    const product = await nutritionService.findProduct(code);
+    if (!product) {
+      return res.status(404).json(makeError('PRODUCT_NOT_FOUND', 'No product with nutrition data found for this barcode', {
+        details: { barcode: code },
+      }));
+    }
+    return res.status(200).json(makeSuccess('Product fetched', {
+      code: product.code || code,
+      product_name: product.name,
+      brand: product.brand,
+      image_url: product.image_url,
+      source: product.source,
+      per_100g: roundNutrients(product.per100g),
+      serving_size: product.serving_size || null,
+      serving_quantity: product.serving_quantity ?? null,
+    }));
+  } catch (e) {
+    return res.status(502).json(makeError('UPSTREAM_ERROR', 'Barcode lookup failed', { details: e.message }));
+  }
+});
+// ----- Custom foods and recipes -----
+const CUSTOM_FOOD_BASES = { per_100g: '100g', per_serving: 'serving' };
+const toCustomFood = (row) => ({
+  id: row.id,
+  name: row.name,
+  brand: row.brand,
+  basis: row.basis === '100g' ? 'per_100g' : 'per_serving',
+  serving_g: row.serving_g,
+  density: row.density,
+  ...customFoodNutrition(row),
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+});
+const findCustomFood = async (id, userId) => {
+  const rows = await runQuery('SELECT * FROM custom_foods WHERE id = ? AND user_id = ?', [id, userId]);
+  return rows[0] || null;
+};
+// Optional positive number field; returns the number, null when absent, or undefined when invalid
+const optionalPositive = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  return Number(value) > 0 ? Number(value) : undefined;
+};
+// Validate a custom food body: name plus nutrition either per_100g or per_serving.
+// Returns { error } with an envelope or { value } with the custom_foods columns.
+const parseCustomFood = (body) => {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  const given = Object.keys(CUSTOM_FOOD_BASES).filter((key) => body[key] !== undefined && body[key] !== null);
+  if (!name || given.length === 0) {
+    return { error: makeError('VALIDATION_ERROR', 'Missing required fields', {
+      details: { fields: ['name', 'per_100g'], reason: 'required', alternatives: { per_100g: ['per_serving'] } },
+    }) };
+  }
+  if (given.length > 1 || typeof body[given[0]] !== 'object') {
+    return { error: makeError('VALIDATION_ERROR', 'Give nutrition as either a per_100g or a per_serving object', {
+      details: { fields: given, reason: 'invalid' },
+    }) };
+  }
+  const basisKey = given[0];
+  const values = body[basisKey];
+  const unknown = Object.keys(values).filter((key) => !NUTRIENT_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return { error: makeError('VALIDATION_ERROR', 'Unknown nutrients', {
+      details: { fields: unknown.map((key) => `${basisKey}.${key}`), reason: 'unknown_nutrient', supported: NUTRIENT_KEYS },
+    }) };
+  }
+  const invalidFields = [];
+  const nutrients = {};
+  for (const key of NUTRIENT_KEYS) {
+    const value = values[key];
+    if (value === undefined || value === null || value === '') {
+      if (key === 'calories') invalidFields.push(`${basisKey}.calories`);
+      // Calories are required; macros left out are taken as 0, other nutrients as unknown
+      nutrients[key] = CORE_NUTRIENTS.includes(key) ? 0 : null;
+    } else if (!(Number(value) >= 0)) {
+      invalidFields.push(`${basisKey}.${key}`);
+    } else {
+      nutrients[key] = Number(value);
+    }
+  }
+  const servingG = optionalPositive(body.serving_g);
+  const density = optionalPositive(body.density);
+  if (servingG === undefined) invalidFields.push('serving_g');
+  if (density === undefined) invalidFields.push('density');
+  if (invalidFields.length > 0) {
+    return { error: makeError('VALIDATION_ERROR', 'Nutrition values must be non-negative numbers (calories required); serving_g and density must be positive', {
+      details: { fields: invalidFields, reason: 'invalid' },
+    }) };
+  }
+  return { value: {
+    name,
+    brand: typeof body.brand === 'string' && body.brand.trim() ? body.brand.trim() : null,
+    basis: CUSTOM_FOOD_BASES[basisKey],
+    serving_g: servingG,
+    density,
+    ...nutrients,
+  } };
+};
+const CUSTOM_FOOD_COLUMNS = ['name', 'brand', 'basis', 'serving_g', 'density', ...NUTRIENT_KEYS];
+// List custom foods (?q= filters by name)
+app.get('/api/custom-foods', requireAuth, async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  try {
+    const rows = await runQuery(
+      'SELECT * FROM custom_foods WHERE user_id = ? AND name LIKE ? ORDER BY name COLLATE NOCASE',
+      [req.user.id, `%${q}%`]
+    );
+    return res.status(200).json(makeSuccess('Custom foods fetched', { items: rows.map(toCustomFood) }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to fetch custom foods', { details: e.message }));
+  }
+});
+// Create a custom food
+app.post('/api/custom-foods', requireAuth, async (req, res) => {
+  const { error, value } = parseCustomFood(req.body || {});
+  if (error) return res.status(400).json(error);
+  try {
+    const result = await runExecute(
+      `INSERT INTO custom_foods (user_id, ${CUSTOM_FOOD_COLUMNS.join(', ')}) VALUES (?, ${CUSTOM_FOOD_COLUMNS.map(() => '?').join(', ')})`,
+      [req.user.id, ...CUSTOM_FOOD_COLUMNS.map((column) => value[column])]
+    );
+    const created = await findCustomFood(result.lastID, req.user.id);
+    return res.status(201).json(makeSuccess('Custom food created successfully', { item: toCustomFood(created) }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to create custom food', { details: e.message }));
+  }
+});
+// Get one custom food
+app.get('/api/custom-foods/:id', requireAuth, async (req, res) => {
+  try {
+    const row = await findCustomFood(req.params.id, req.user.id);
+    if (!row) return res.status(404).json(makeError('NOT_FOUND', 'Custom food not found'));
+    return res.status(200).json(makeSuccess('Custom food fetched', { item: toCustomFood(row) }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to fetch custom food', { details: e.message }));
+  }
+});
+// Replace a custom food; recipe ingredients that use it are recalculated
+app.put('/api/custom-foods/:id', requireAuth, async (req, res) => {
+  const { error, value } = parseCustomFood(req.body || {});
+  if (error) return res.status(400).json(error);
+  try {
+    const row = await findCustomFood(req.params.id, req.user.id);
+    if (!row) return res.status(404).json(makeError('NOT_FOUND', 'Custom food not found'));
+    const food = customFoodAsFood({ ...row, ...value });
+    const ingredients = await runQuery('SELECT * FROM recipe_ingredients WHERE custom_food_id = ?', [row.id]);
+    // Work out every affected ingredient first so a failing one leaves everything unchanged
+    const updates = [];
+    for (const ingredient of ingredients) {
+      try {
+        updates.push({ id: ingredient.id, name: value.name, ...scaleFood(food, ingredient.quantity, ingredient.unit) });
+      } catch (e) {
+        if (!(e instanceof UnitConversionError)) throw e;
+        return res.status(422).json(makeError(e.code, `Recipe ingredient "${ingredient.name}" (${ingredient.quantity} ${ingredient.unit}) could no longer be calculated: ${e.message}`, {
+          details: { ...e.details, recipe_id: ingredient.recipe_id, ingredient_id: ingredient.id },
+        }));
+      }
+    }
+    await runExecute(
+      `UPDATE custom_foods SET ${CUSTOM_FOOD_COLUMNS.map((column) => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...CUSTOM_FOOD_COLUMNS.map((column) => value[column]), row.id]
+    );
+    for (const update of updates) {
+      await runExecute(
+        `UPDATE recipe_ingredients SET name = ?, grams = ?, ${NUTRIENT_KEYS.map((key) => `${key} = ?`).join(', ')} WHERE id = ?`,
+        [update.name, update.grams, ...nutrientParams(update), update.id]
+      );
+    }
+    const updated = await findCustomFood(row.id, req.user.id);
+    return res.status(200).json(makeSuccess('Custom food updated successfully', {
+      item: toCustomFood(updated),
+      recalculated_ingredients: updates.length,
+    }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to update custom food', { details: e.message }));
+  }
+});
+// Delete a custom food that no recipe uses (logged entries keep their values)
+app.delete('/api/custom-foods/:id', requireAuth, async (req, res) => {
+  try {
+    const row = await findCustomFood(req.params.id, req.user.id);
+    if (!row) return res.status(404).json(makeError('NOT_FOUND', 'Custom food not found'));
+    const usedBy = await runQuery('SELECT DISTINCT recipe_id FROM recipe_ingredients WHERE custom_food_id = ?', [row.id]);
+    if (usedBy.length > 0) {
+      return res.status(409).json(makeError('CUSTOM_FOOD_IN_USE', 'Custom food is used by recipes; remove it from them first', {
+        details: { recipe_ids: usedBy.map((r) => r.recipe_id) },
+      }));
+    }
+    await runExecute('DELETE FROM custom_foods WHERE id = ?', [row.id]);
+    return res.status(200).json(makeSuccess('Custom food deleted successfully', { id: row.id }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to delete custom food', { details: e.message }));
+  }
+});
+const toRecipe = (recipe, ingredients) => ({
+  id: recipe.id,
+  name: recipe.name,
+  servings: recipe.servings,
+  total_weight_g: recipe.total_weight_g,
+  notes: recipe.notes,
+  ingredients: ingredients.map((ingredient) => ({
+    id: ingredient.id,
+    position: ingredient.position,
+    custom_food_id: ingredient.custom_food_id,
+    product_code: ingredient.product_code,
+    name: ingredient.name,
+    quantity: ingredient.quantity,
+    unit: ingredient.unit,
+    grams: ingredient.grams,
+    nutrition: roundNutrients(ingredient),
+  })),
+  nutrition: recipeNutrition(recipe, ingredients),
+  created_at: recipe.created_at,
+  updated_at: recipe.updated_at,
+});
+// A recipe owned by the user with its ingredients, or null
+const findRecipe = async (id, userId) => {
+  const rows = await runQuery('SELECT * FROM recipes WHERE id = ? AND user_id = ?', [id, userId]);
+  if (rows.length === 0) return null;
+  const ingredients = await runQuery('SELECT * FROM recipe_ingredients WHERE recipe_id = ? ORDER BY position', [rows[0].id]);
+  return { recipe: rows[0], ingredients };
+};
+// Validate a recipe body. Each ingredient is a custom_food_id or a product_code with a
+// quantity and unit. Returns { error } with an envelope or { value }.
+const parseRecipe = (body) => {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || !Array.isArray(body.ingredients) || body.ingredients.length === 0) {
+    return { error: makeError('VALIDATION_ERROR', 'A recipe needs a name and at least one ingredient', {
+      details: { fields: ['name', 'ingredients'], reason: 'required' },
+    }) };
+  }
+  const servings = body.servings === undefined ? 1 : optionalPositive(body.servings);
+  const totalWeight = optionalPositive(body.total_weight_g);
+  const invalidFields = [];
+  if (!servings) invalidFields.push('servings');
+  if (totalWeight === undefined) invalidFields.push('total_weight_g');
+  const ingredients = body.ingredients.map((ingredient, i) => {
+    const item = ingredient || {};
+    const hasFood = item.custom_food_id !== undefined && item.custom_food_id !== null;
+    const hasProduct = typeof item.product_code === 'string' && item.product_code.trim() !== '';
+    if (hasFood === hasProduct) invalidFields.push(`ingredients[${i}].custom_food_id`);
+    if (!(Number(item.quantity) > 0)) invalidFields.push(`ingredients[${i}].quantity`);
+    if (!parseUnit(item.unit)) invalidFields.push(`ingredients[${i}].unit`);
+    return {
+      custom_food_id: hasFood ? Number(item.custom_food_id) : null,
+      product_code: hasProduct ? item.product_code.trim() : null,
+      quantity: Number(item.quantity),
+      unit: String(item.unit || '').trim(),
+    };
   });
+  if (invalidFields.length > 0) {
+    return { error: makeError('VALIDATION_ERROR', 'Invalid recipe fields; each ingredient needs either custom_food_id or product_code, a positive quantity and a known unit', {
+      details: { fields: invalidFields, reason: 'invalid', supported_units: supportedUnits() },
+    }) };
+  }
+  return { value: {
+    name,
+    servings,
+    total_weight_g: totalWeight,
+    notes: typeof body.notes === 'string' && body.notes.trim() ? body.notes.trim() : null,
+    ingredients,
+  } };
+};
+// Nutrition snapshot for each ingredient. Returns { status, error } when an ingredient
+// can't be found or its unit can't be converted, else { rows }.
+const resolveIngredients = async (ingredients, userId) => {
+  const rows = [];
+  for (const [i, ingredient] of ingredients.entries()) {
+    let name;
+    let nutrition;
+    try {
+      if (ingredient.custom_food_id !== null) {
+        const food = await findCustomFood(ingredient.custom_food_id, userId);
+        if (!food) {
+          return { status: 400, error: makeError('VALIDATION_ERROR', `Custom food ${ingredient.custom_food_id} not found`, {
+            details: { fields: [`ingredients[${i}].custom_food_id`], reason: 'not_found' },
+          }) };
+        }
+        name = food.name;
+        nutrition = scaleFood(customFoodAsFood(food), ingredient.quantity, ingredient.unit);
+      } else {
+        nutrition = await getNutritionForProduct(ingredient.product_code, ingredient.quantity, ingredient.unit);
+        if (!nutrition) {
+          return { status: 404, error: makeError('PRODUCT_NOT_FOUND', `No product with nutrition data found for code ${ingredient.product_code}`, {
+            details: { fields: [`ingredients[${i}].product_code`], product_code: ingredient.product_code },
+          }) };
+        }
+        name = nutrition.product_name || ingredient.product_code;
+      }
+    } catch (e) {
+      if (!(e instanceof UnitConversionError)) throw e;
+      return { status: 422, error: makeError(e.code, `Ingredient ${i + 1}: ${e.message}`, { details: { ...e.details, fields: [`ingredients[${i}].unit`] } }) };
+    }
+    rows.push({ ...ingredient, position: i, name, grams: nutrition.grams, ...pickNutrients(nutrition) });
+  }
+  return { rows };
+};
+// Replace a recipe's ingredient rows; run it in the same transaction as the recipe's own write
+const saveIngredients = async (recipeId, rows) => {
+  await runExecute('DELETE FROM recipe_ingredients WHERE recipe_id = ?', [recipeId]);
+  for (const row of rows) {
+    await runExecute(
+      `INSERT INTO recipe_ingredients (recipe_id, position, custom_food_id, product_code, name, quantity, unit, grams, ${NUTRIENT_COLUMNS})
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${NUTRIENT_KEYS.map(() => '?').join(', ')})`,
+      [recipeId, row.position, row.custom_food_id, row.product_code, row.name, row.quantity, row.unit, row.grams, ...nutrientParams(row)]
+    );
+  }
+};
+// List recipes with their nutrition
+app.get('/api/recipes', requireAuth, async (req, res) => {
+  try {
+    const recipes = await runQuery('SELECT * FROM recipes WHERE user_id = ? ORDER BY name COLLATE NOCASE', [req.user.id]);
+    const ingredients = await runQuery(
+      `SELECT ri.* FROM recipe_ingredients ri JOIN recipes r ON r.id = ri.recipe_id
+      WHERE r.user_id = ? ORDER BY ri.recipe_id, ri.position`,
+      [req.user.id]
+    );
+    const items = recipes.map((recipe) => toRecipe(recipe, ingredients.filter((i) => i.recipe_id === recipe.id)));
+    return res.status(200).json(makeSuccess('Recipes fetched', { items }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to fetch recipes', { details: e.message }));
+  }
 });
-// Health check: verify Open Food Facts API connectivity
-app.get('/health', async (req, res) => {
-  let offStatus = { reachable: false, ok: false, status: null, error: null };
-  try {
-    // Test Open Food Facts API (completely free, no API key required)
-    const url = 'https://world.openfoodfacts.org/api/v2/search';
-    const resp = await axios.get(url, {
-      params: { 
-        categories_tags: 'fruits',
-        fields: 'product_name,nutriments',
-        page_size: 1
-      },
-      timeout: 4000,
+// Create a recipe; ingredient nutrition is looked up and stored with it
+app.post('/api/recipes', requireAuth, async (req, res) => {
+  const { error, value } = parseRecipe(req.body || {});
+  if (error) return res.status(400).json(error);
+  try {
+    const resolved = await resolveIngredients(value.ingredients, req.user.id);
+    if (resolved.error) return res.status(resolved.status).json(resolved.error);
+    const recipeId = await database.transaction(async () => {
+      const result = await runExecute(
+        'INSERT INTO recipes (user_id, name, servings, total_weight_g, notes) VALUES (?, ?, ?, ?, ?)',
+        [req.user.id, value.name, value.servings, value.total_weight_g, value.notes]
+      );
+      await saveIngredients(result.lastID, resolved.rows);
+      return result.lastID;
     });
-    offStatus.reachable = true;
-    offStatus.status = resp.status;
-    offStatus.ok = resp.status >= 200 && resp.status < 300;
+    const { recipe, ingredients } = await findRecipe(recipeId, req.user.id);
+    return res.status(201).json(makeSuccess('Recipe created successfully', { item: toRecipe(recipe, ingredients) }));
   } catch (e) {
-    offStatus.status = e.response?.status || null;
-    offStatus.error = e.message;
-    // Consider reachable if we got a response, even if not 2xx
-    if (e.response) offStatus.reachable = true;
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to create recipe', { details: e.message }));
   }
-  // quick DB check
-  let dbOk = true;
+});
+// Get one recipe with ingredients and total / per-serving nutrition
+app.get('/api/recipes/:id', requireAuth, async (req, res) => {
   try {
-    await runQuery('SELECT 1 as ok');
+    const found = await findRecipe(req.params.id, req.user.id);
+    if (!found) return res.status(404).json(makeError('NOT_FOUND', 'Recipe not found'));
+    return res.status(200).json(makeSuccess('Recipe fetched', { item: toRecipe(found.recipe, found.ingredients) }));
   } catch (e) {
-    dbOk = false;
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to fetch recipe', { details: e.message }));
+  }
+});
+// Replace a recipe and its ingredients
+app.put('/api/recipes/:id', requireAuth, async (req, res) => {
+  const { error, value } = parseRecipe(req.body || {});
+  if (error) return res.status(400).json(error);
+  try {
+    const found = await findRecipe(req.params.id, req.user.id);
+    if (!found) return res.status(404).json(makeError('NOT_FOUND', 'Recipe not found'));
+    const resolved = await resolveIngredients(value.ingredients, req.user.id);
+    if (resolved.error) return res.status(resolved.status).json(resolved.error);
+    await database.transaction(async () => {
+      await runExecute(
+        'UPDATE recipes SET name = ?, servings = ?, total_weight_g = ?, notes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [value.name, value.servings, value.total_weight_g, value.notes, found.recipe.id]
+      );
+      await saveIngredients(found.recipe.id, resolved.rows);
+    });
+    const { recipe, ingredients } = await findRecipe(found.recipe.id, req.user.id);
+    return res.status(200).json(makeSuccess('Recipe updated successfully', { item: toRecipe(recipe, ingredients) }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to update recipe', { details: e.message }));
+  }
+});
+// Delete a recipe (logged entries keep their values)
+app.delete('/api/recipes/:id', requireAuth, async (req, res) => {
+  try {
+    const found = await findRecipe(req.params.id, req.user.id);
+    if (!found) return res.status(404).json(makeError('NOT_FOUND', 'Recipe not found'));
+    await database.transaction(async () => {
+      await runExecute('DELETE FROM recipe_ingredients WHERE recipe_id = ?', [found.recipe.id]);
+      await runExecute('DELETE FROM recipes WHERE id = ?', [found.recipe.id]);
+    });
+    return res.status(200).json(makeSuccess('Recipe deleted successfully', { id: found.recipe.id }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to delete recipe', { details: e.message }));
   }
-  return res.status(200).json(makeSuccess('Service health status', {
-    server: 'ok',
-    db: dbOk ? 'ok' : 'error',
-    openFoodFacts: offStatus,
-  }));
 });
-// Helper to safely read numbers
-const n = (v) => (v === undefined || v === null || isNaN(Number(v)) ? undefined : Number(v));
-// Helper to get nutrition data from Open Food Facts API (completely free!)
-const getNutritionData = async (foodName, quantity, unit) => {
-  try {
-    console.log(`Searching for nutrition data for: ${foodName}`);
-    // Search for food in Open Food Facts database
-    const searchResponse = await axios.get('https://world.openfoodfacts.org/api/v2/search', {
-      params: {
-        q: foodName,
-        fields: 'product_name,nutriments',
-        page_size: 5, // Get top 5 matches
-        json: 1
+// Nutrition for logging a custom food or recipe; null when it doesn't exist.
+// Throws UnitConversionError when the unit can't be resolved.
+const getNutritionForSaved = async ({ custom_food_id, recipe_id }, quantity, unit, userId) => {
+  if (recipe_id) {
+    const found = await findRecipe(recipe_id, userId);
+    if (!found) return null;
+    const saved = recipeAsFood(found.recipe, found.ingredients);
+    return {
+      ...withProvenance(scaleFood(saved, quantity, unit), saved),
+      source: 'recipe',
+      recipe_id: found.recipe.id,
+      name: found.recipe.name,
+    };
+  }
+  const food = await findCustomFood(custom_food_id, userId);
+  if (!food) return null;
+  const saved = customFoodAsFood(food);
+  return {
+    ...withProvenance(scaleFood(saved, quantity, unit), saved),
+    source: 'custom_food',
+    custom_food_id: food.id,
+    name: food.name,
+  };
+};
+// Optional meal slot; returns an error envelope or null
+const mealError = (meal) => {
+  if (meal === undefined || meal === null || normalizeMeal(meal)) return null;
+  return makeError('VALIDATION_ERROR', `Invalid meal, expected one of ${MEAL_SLOTS.join(', ')} or a custom label of up to ${MAX_MEAL_LENGTH} characters`, {
+    details: { fields: ['meal'], reason: 'invalid', standard: MEAL_SLOTS, max_length: MAX_MEAL_LENGTH },
+  });
+};
+// Optional date-time field (eaten_at, measured_at, ...); returns an error envelope or null
+const dateTimeError = (name, value) => {
+  if (value === undefined || parseDateTime(value)) return null;
+  return makeError('VALIDATION_ERROR', `Invalid ${name}, expected an ISO 8601 date-time such as 2024-05-01T19:30:00+02:00`, {
+    details: { fields: [name], reason: 'format' },
+  });
+};
+const eatenAtError = (eatenAt) => dateTimeError('eaten_at', eatenAt);
+// A date-time field's instant and day in timeZone, defaulting to now
+const resolveInstant = (value, timeZone) => (value === undefined
+  ? { iso: new Date().toISOString(), date: todayIn(timeZone) }
+  : parseDateTime(value, timeZone));
+// Validate a food log entry (the POST body, or one item of a batch). Returns { error }
+// with an envelope or { value } with the normalized fields; its day is resolved in timeZone.
+const parseFoodLogInput = (body, timeZone) => {
+  const { food_name, quantity, unit, barcode, custom_food_id, recipe_id, favorite_id, from_entry_id } = body || {};
+  const named = food_name || body.product_code || barcode || custom_food_id || recipe_id || favorite_id || from_entry_id;
+  if (!named || !quantity || !unit) {
+    return { error: makeError('VALIDATION_ERROR', 'Missing required fields', {
+      details: {
+        fields: ['food_name', 'quantity', 'unit'],
+        reason: 'required',
+        alternatives: { food_name: ['product_code', 'barcode', 'custom_food_id', 'recipe_id', 'favorite_id', 'from_entry_id'] },
       },
-      timeout: 10000,
+    }) };
+  }
+  if (!parseUnit(unit)) return { error: unitError(unit) };
+  if (!(Number(quantity) > 0)) {
+    return { error: makeError('VALIDATION_ERROR', 'Quantity must be a positive number', {
+      details: { fields: ['quantity'], reason: 'invalid' },
+    }) };
+  }
+  if (barcode && !isValidGtin(barcode)) return { error: barcodeError(barcode) };
+  const invalidTiming = mealError(body.meal) || eatenAtError(body.eaten_at);
+  if (invalidTiming) return { error: invalidTiming };
+  const product_code = barcode ? cleanBarcode(barcode) : body.product_code;
+  return { value: {
+    food_name,
+    quantity,
+    unit,
+    product_code: product_code ? String(product_code).trim() : null,
+    custom_food_id,
+    recipe_id,
+    favorite_id,
+    from_entry_id,
+    meal: body.meal === undefined || body.meal === null ? null : normalizeMeal(body.meal),
+    eaten: resolveInstant(body.eaten_at, timeZone),
+    timezone: timeZone,
+  } };
+};
+// Nutrition as stored on a food log entry or favorite, in the shape the lookups return
+const storedNutrition = (row) => ({
+  ...pickNutrients(row),
+  source: row.nutrition_source,
+  product_code: row.product_code,
+  product_name: row.product_name,
+  custom_food_id: row.custom_food_id,
+  recipe_id: row.recipe_id,
+  match_name: row.match_name,
+  match_code: row.match_code,
+  per_100g: parseJsonColumn(row.basis_per_100g),
+  grams: row.grams,
+  heuristics: parseJsonColumn(row.heuristics),
+  confidence: row.confidence,
+  nutrition_override: parseJsonColumn(row.nutrition_override),
+});
+// Stored nutrition (for row.quantity row.unit) scaled to another amount of the same food.
+// Null when the amounts can't be compared without knowing the food, e.g. grams and cups.
+const rescaleStoredNutrition = (row, quantity, unit) => {
+  const from = parseUnit(row.unit);
+  const to = parseUnit(unit);
+  if (!from || !to || !(row.quantity > 0) || from.dimension !== to.dimension) return null;
+  if (from.dimension === 'count' && from.key !== to.key) return null;
+  const factor = (Number(quantity) * to.factor) / (row.quantity * from.factor);
+  const nutrition = storedNutrition(row);
+  for (const key of NUTRIENT_KEYS) {
+    if (nutrition[key] !== null) nutrition[key] = round2(nutrition[key] * factor);
+  }
+  if (nutrition.grams !== null) nutrition.grams = round2(nutrition.grams * factor);
+  // The calculated values an override replaced are for the old amount too
+  const override = nutrition.nutrition_override;
+  if (override) {
+    override.previous = Object.fromEntries(Object.entries(override.previous)
+      .map(([key, value]) => [key, value === null ? null : round2(value * factor)]));
+  }
+  return nutrition;
+};
+const findFavorite = async (id, userId) => {
+  const rows = await runQuery('SELECT * FROM favorite_foods WHERE id = ? AND user_id = ?', [id, userId]);
+  return rows[0] || null;
+};
+// Nutrition for a validated entry: from the favorite or earlier entry it repeats, the custom
+// food, recipe or product it names, else from the provider chain. Returns { status, error }
+// when the named item doesn't exist. Throws UnitConversionError when the unit can't be resolved.
+const resolveFoodLogNutrition = async (input, userId) => {
+  const { food_name, quantity, unit, product_code, custom_food_id, recipe_id, favorite_id, from_entry_id } = input;
+  if (favorite_id || from_entry_id) {
+    const stored = favorite_id ? await findFavorite(favorite_id, userId) : await findFoodLog(from_entry_id, userId);
+    if (!stored) {
+      return { status: 404, error: makeError('NOT_FOUND', favorite_id ? 'Favorite not found' : 'Food log entry not found') };
+    }
+    // The new entry takes the stored food's name unless it was given one
+    input.food_name = food_name || stored.food_name;
+    // Reuse the stored nutrition rather than looking the food up again
+    const nutrition = rescaleStoredNutrition(stored, quantity, unit);
+    if (nutrition) return { nutrition };
+    return resolveFoodLogNutrition({
+      ...input,
+      favorite_id: null,
+      from_entry_id: null,
+      product_code: stored.product_code,
+      custom_food_id: stored.custom_food_id,
+      recipe_id: stored.recipe_id,
+    }, userId);
+  }
+  if (custom_food_id || recipe_id) {
+    const nutrition = await getNutritionForSaved({ custom_food_id, recipe_id }, quantity, unit, userId);
+    if (!nutrition) {
+      return { status: 404, error: makeError('NOT_FOUND', recipe_id ? 'Recipe not found' : 'Custom food not found') };
+    }
+    return { nutrition };
+  }
+  if (product_code) {
+    const nutrition = await getNutritionForProduct(product_code, quantity, unit);
+    if (!nutrition) {
+      return { status: 404, error: makeError('PRODUCT_NOT_FOUND', 'No product with nutrition data found for this code', {
+        details: { product_code },
+      }) };
+    }
+    return { nutrition };
+  }
+  // Fetch nutritional data from the provider chain
+  return { nutrition: await getNutritionData(food_name, quantity, unit) };
+};
+const insertFoodLog = (userId, input, nutrition) => runExecute(
+  `INSERT INTO food_logs (user_id, food_name, quantity, unit, ${NUTRIENT_COLUMNS}, nutrition_source, product_code, product_name,
+    custom_food_id, recipe_id, ${PROVENANCE_COLUMNS}, meal, eaten_at, date, timezone)
+  VALUES (?, ?, ?, ?, ${NUTRIENT_KEYS.map(() => '?').join(', ')}, ?, ?, ?, ?, ?, ${PROVENANCE_KEYS.map(() => '?').join(', ')}, ?, ?, ?, ?)`,
+  [userId, input.food_name || nutrition.product_name || nutrition.name, input.quantity, input.unit, ...nutrientParams(nutrition),
+    nutrition.source, nutrition.product_code || null, nutrition.product_name || null,
+    nutrition.custom_food_id || null, nutrition.recipe_id || null, ...provenanceParams(nutrition),
+    input.meal, input.eaten.iso, input.eaten.date, input.timezone]
+);
+// Add a food log entry. With product_code (or a scanned barcode), custom_food_id or
+// recipe_id the nutrition comes from that exact item and food_name defaults to its name.
+// favorite_id or from_entry_id repeat a favorite or an earlier entry with its stored nutrition.
+app.post('/api/food-log', requireAuth, idempotent, async (req, res) => {
+  const { error, value } = parseFoodLogInput(req.body || {}, req.timeZone);
+  if (error) return res.status(400).json(error);
+  try {
+    const resolved = await resolveFoodLogNutrition(value, req.user.id);
+    if (resolved.error) return res.status(resolved.status).json(resolved.error);
+    const { nutrition } = resolved;
+    const result = await insertFoodLog(req.user.id, value, nutrition);
+    return res.status(201).json(makeSuccess('Food log created successfully', { 
+      id: result.lastID,
+      meal: value.meal,
+      eaten_at: value.eaten.iso,
+      date: value.eaten.date,
+      nutrition: nutrition
+    }));
+  } catch (e) {
+    if (e instanceof UnitConversionError) return res.status(422).json(unitConversionError(e));
+    logger.error('Database error', e);
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to create food log', { details: e.message }));
+  }
+});
+const MAX_PARSE_TEXT_LENGTH = 1000;
+const MAX_BATCH_ITEMS = 50;
+// Split free text ("2 eggs, 150g rice and a cup of milk") into items with quantity, unit,
+// food and a 0-1 confidence, for the client to confirm before saving through /batch
+app.post('/api/food-log/parse', requireAuth, (req, res) => {
+  const { text } = req.body || {};
+  if (typeof text !== 'string' || !text.trim() || text.length > MAX_PARSE_TEXT_LENGTH) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', `Text must be a non-empty string of at most ${MAX_PARSE_TEXT_LENGTH} characters`, {
+      details: { fields: ['text'], reason: 'invalid' },
+    }));
+  }
+  const { items, unparsed } = parseFoodText(text);
+  return res.status(200).json(makeSuccess('Food text parsed', { items, unparsed }, { count: items.length }));
+});
+// Validate, look up and insert several entries; all are saved or none. Resolves to
+// { items } or, when an item is invalid or can't be resolved, { status, error } with its index.
+const logFoodBatch = async (userId, bodies, timeZone) => {
+  const withIndex = (error, index) => ({ ...error, details: { ...error.details, index } });
+  const inputs = [];
+  for (const [index, body] of bodies.entries()) {
+    const { error, value } = parseFoodLogInput(body || {}, timeZone);
+    if (error) return { status: 400, error: withIndex(error, index) };
+    inputs.push(value);
+  }
+  // Look everything up first so a failing item leaves nothing half-saved
+  const nutritions = [];
+  for (const [index, input] of inputs.entries()) {
+    let resolved;
+    try {
+      resolved = await resolveFoodLogNutrition(input, userId);
+    } catch (e) {
+      if (!(e instanceof UnitConversionError)) throw e;
+      return { status: 422, error: withIndex(makeError(e.code, `Item ${index + 1}: ${e.message}`, { details: e.details }), index) };
+    }
+    if (resolved.error) return { status: resolved.status, error: withIndex(resolved.error, index) };
+    nutritions.push(resolved.nutrition);
+  }
+  const ids = await database.transaction(async () => {
+    const inserted = [];
+    for (const [index, input] of inputs.entries()) {
+      inserted.push((await insertFoodLog(userId, input, nutritions[index])).lastID);
+    }
+    return inserted;
+  });
+  return {
+    items: inputs.map((input, index) => ({
+      id: ids[index],
+      food_name: input.food_name || nutritions[index].product_name || nutritions[index].name,
+      quantity: input.quantity,
+      unit: input.unit,
+      meal: input.meal,
+      eaten_at: input.eaten.iso,
+      date: input.eaten.date,
+      nutrition: nutritions[index],
+    })),
+  };
+};
+// Log several entries at once; all are saved or none. Each item takes the same fields as
+// POST /api/food-log; top-level meal and eaten_at apply to items that don't set their own.
+app.post('/api/food-log/batch', requireAuth, idempotent, async (req, res) => {
+  const { items, meal, eaten_at } = req.body || {};
+  if (!Array.isArray(items) || items.length === 0 || items.length > MAX_BATCH_ITEMS) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', `items must be an array of 1 to ${MAX_BATCH_ITEMS} entries`, {
+      details: { fields: ['items'], reason: 'invalid' },
+    }));
+  }
+  try {
+    const result = await logFoodBatch(req.user.id, items.map((item) => ({ meal, eaten_at, ...(item || {}) })), req.timeZone);
+    if (result.error) return res.status(result.status).json(result.error);
+    return res.status(201).json(makeSuccess('Food logs created successfully', { items: result.items }, { count: result.items.length }));
+  } catch (e) {
+    logger.error('Database error', e);
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to create food logs', { details: e.message }));
+  }
+});
+// Copy a day's entries, or one meal's, to another date at the same times of day. Copies keep
+// the stored nutrition instead of looking the foods up again; all are saved or none.
+app.post('/api/food-log/copy', requireAuth, idempotent, async (req, res) => {
+  const { from_date, to_date, meal } = req.body || {};
+  if (!isValidDate(from_date) || !isValidDate(to_date)) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'from_date and to_date are required, as YYYY-MM-DD', {
+      details: { fields: ['from_date', 'to_date'], reason: 'format' },
+    }));
+  }
+  const invalidMeal = mealError(meal);
+  if (invalidMeal) return res.status(400).json(invalidMeal);
+  const { start, end } = dayRange(from_date, from_date, req.timeZone);
+  const conditions = ['user_id = ?', 'eaten_at >= ?', 'eaten_at < ?', 'deleted_at IS NULL'];
+  const params = [req.user.id, start, end];
+  if (meal !== undefined && meal !== null) {
+    conditions.push('meal = ?');
+    params.push(normalizeMeal(meal));
+  }
+  try {
+    const rows = await runQuery(`SELECT * FROM food_logs WHERE ${conditions.join(' AND ')} ORDER BY eaten_at, id`, params);
+    if (rows.length === 0) {
+      return res.status(404).json(makeError('NOT_FOUND', meal ? `No ${normalizeMeal(meal)} entries on ${from_date}` : `No entries on ${from_date}`));
+    }
+    const copies = rows.map((row) => {
+      const iso = sameTimeOnDate(row.eaten_at, to_date, req.timeZone);
+      return {
+        source: row,
+        input: {
+          food_name: row.food_name,
+          quantity: row.quantity,
+          unit: row.unit,
+          meal: row.meal,
+          eaten: { iso, date: dateInZone(iso, req.timeZone) },
+          timezone: req.timeZone,
+        },
+      };
     });
-    if (!searchResponse.data.products || searchResponse.data.products.length === 0) {
-      console.warn(`Open Food Facts API returned no matches for: "${foodName}"`);
-      return { calories: null, protein: null, carbs: null, fat: null };
-    }
-    // Get the first product that has nutrition data
-    let selectedProduct = null;
-    for (const product of searchResponse.data.products) {
-      if (product.nutriments && Object.keys(product.nutriments).length > 0) {
-        selectedProduct = product;
-        break;
+    const ids = await database.transaction(async () => {
+      const inserted = [];
+      for (const { source, input } of copies) {
+        inserted.push((await insertFoodLog(req.user.id, input, storedNutrition(source))).lastID);
       }
+      return inserted;
+    });
+    const items = copies.map(({ source, input }, index) => ({
+      id: ids[index],
+      copied_from: source.id,
+      food_name: input.food_name,
+      quantity: input.quantity,
+      unit: input.unit,
+      meal: input.meal,
+      eaten_at: input.eaten.iso,
+      date: input.eaten.date,
+    }));
+    return res.status(201).json(makeSuccess('Food logs copied successfully', { items }, { count: items.length }));
+  } catch (e) {
+    logger.error('Database error', e);
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to copy food logs', { details: e.message }));
+  }
+});
+// List food logs
+const FOOD_LOG_SORTS = {
+  eaten_at: 'eaten_at',
+  food_name: 'food_name COLLATE NOCASE',
+  // Missing values sort as the lowest amount
+  ...Object.fromEntries(CORE_NUTRIENTS.map((key) => [key, `IFNULL(${key}, -1)`])),
+};
+const DEFAULT_FOOD_LOG_LIMIT = 50;
+const MAX_FOOD_LOG_LIMIT = 200;
+const MAX_SEARCH_LENGTH = 100;
+const queryError = (field, message, extra = {}) => makeError('VALIDATION_ERROR', message, {
+  details: { fields: [field], reason: 'invalid', ...extra },
+});
+// Opaque cursor: the sort it belongs to plus the last row's sort value and id
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    return cursor && Number.isInteger(cursor.id) ? cursor : null;
+  } catch (e) {
+    return null;
+  }
+};
+// Validate the food log list query. Returns { error } or { value } with the WHERE clause
+// (without the cursor), its params, the sort and the decoded cursor.
+const parseFoodLogQuery = (query, timeZone) => {
+  const { from, to, q, meal, min_calories, max_calories, missing_nutrition, cursor } = query;
+  const sort = query.sort || 'eaten_at';
+  const order = query.order || (sort === 'food_name' ? 'asc' : 'desc');
+  const limit = query.limit === undefined ? DEFAULT_FOOD_LOG_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_FOOD_LOG_LIMIT) {
+    return { error: queryError('limit', `limit must be an integer from 1 to ${MAX_FOOD_LOG_LIMIT}`, { max: MAX_FOOD_LOG_LIMIT }) };
+  }
+  if (!FOOD_LOG_SORTS[sort]) {
+    return { error: queryError('sort', 'Invalid sort', { reason: 'enum', allowed: Object.keys(FOOD_LOG_SORTS) }) };
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: queryError('order', 'order must be asc or desc', { reason: 'enum', allowed: ['asc', 'desc'] }) };
+  }
+  const invalidDate = dateParamError('from', from) || dateParamError('to', to);
+  if (invalidDate) return { error: invalidDate };
+  if (from && to && from > to) return { error: queryError('from', 'from must not be after to', { fields: ['from', 'to'], reason: 'range' }) };
+  const conditions = ['user_id = ?', 'deleted_at IS NULL'];
+  const params = [];
+  if (from) {
+    conditions.push('eaten_at >= ?');
+    params.push(dayRange(from, from, timeZone).start);
+  }
+  if (to) {
+    conditions.push('eaten_at < ?');
+    params.push(dayRange(to, to, timeZone).end);
+  }
+  if (q !== undefined) {
+    if (typeof q !== 'string' || q.length > MAX_SEARCH_LENGTH) {
+      return { error: queryError('q', `q must be at most ${MAX_SEARCH_LENGTH} characters`) };
     }
-    if (!selectedProduct) {
-      console.warn(`No product with nutrition data found for: "${foodName}"`);
-      return { calories: null, protein: null, carbs: null, fat: null };
-    }
-    const nutriments = selectedProduct.nutriments || {};
-    console.log(`Found nutrition data for: ${selectedProduct.product_name}`);
-    // Build calories (kcal) with robust fallbacks and kJ->kcal conversion (1 kcal = 4.184 kJ)
-    let kcal = n(nutriments['energy-kcal_100g'])
-      ?? n(nutriments['energy-kcal'])
-      ?? n(nutriments['energy_100g']) // often kJ
-      ?? n(nutriments['energy']);
-    // If we only have energy in kJ, convert to kcal
-    if ((kcal === undefined || kcal === 0) && (n(nutriments['energy-kj_100g']) ?? n(nutriments['energy-kj'])) !== undefined) {
-      const kj = n(nutriments['energy-kj_100g']) ?? n(nutriments['energy-kj']);
-      if (kj !== undefined) kcal = kj / 4.184;
-    }
-    // If energy_100g is actually in kJ (common), convert
-    if (kcal !== undefined && kcal > 0 && n(nutriments['energy-kcal_100g']) === undefined && n(nutriments['energy-kcal']) === undefined) {
-      // Heuristic: if no kcal fields but we have energy, assume it's kJ
-      // Convert kJ to kcal
-      kcal = kcal / 4.184;
-    }
-    // Protein, carbs, fat with fallbacks
-    const proteinPer100 = n(nutriments['proteins_100g']) ?? n(nutriments['proteins']) ?? n(nutriments['protein_100g']) ?? n(nutriments['protein']) ?? 0;
-    const carbsPer100 = n(nutriments['carbohydrates_100g']) ?? n(nutriments['carbohydrates']) ?? n(nutriments['carbs_100g']) ?? n(nutriments['carbs']) ?? 0;
-    const fatPer100 = n(nutriments['fat_100g']) ?? n(nutriments['fat']) ?? n(nutriments['fats_100g']) ?? n(nutriments['fats']) ?? 0;
-    const caloriesPer100 = (kcal === undefined || isNaN(kcal)) ? 0 : kcal;
-    // Calculate nutrition values based on user's quantity and unit
-    let multiplier = 1;
-    const qty = parseFloat(quantity) || 0;
-    const unitLower = String(unit || '').toLowerCase();
-    // Convert different units to grams for calculation
-    if (unitLower.includes('g') || unitLower === 'grams' || unitLower === 'gram') {
-      multiplier = qty / 100;
-    } else if (unitLower.includes('kg') || unitLower === 'kilograms' || unitLower === 'kilogram') {
-      multiplier = (qty * 1000) / 100;
-    } else if (unitLower.includes('oz') || unitLower === 'ounces' || unitLower === 'ounce') {
-      multiplier = (qty * 28.35) / 100;
-    } else if (unitLower.includes('lb') || unitLower.includes('pound')) {
-      multiplier = (qty * 453.592) / 100;
-    } else if (unitLower.includes('ml')) {
-      // assume density ~ water 1g/ml as a reasonable fallback
-      multiplier = qty / 100;
-    } else if (unitLower.includes('l') || unitLower === 'liter' || unitLower === 'litre') {
-      multiplier = (qty * 1000) / 100;
+    if (q.trim()) {
+      conditions.push("food_name LIKE ? ESCAPE '\\'");
+      params.push(`%${q.trim().replace(/[\\%_]/g, (c) => `\\${c}`)}%`);
+    }
+  }
+  if (meal !== undefined) {
+    // "none" lists entries without a meal slot
+    if (meal === 'none') {
+      conditions.push('meal IS NULL');
+    } else if (normalizeMeal(meal)) {
+      conditions.push('meal = ?');
+      params.push(normalizeMeal(meal));
     } else {
-      // For other units (pieces, servings, cups, etc.), assume qty represents servings
-      // and use a reasonable serving size (e.g., 100g per serving)
-      multiplier = qty;
-    }
-    // Calculate final nutrition values and round to 2 decimal places
-    const finalNutrition = {
-      calories: parseFloat((caloriesPer100 * multiplier).toFixed(2)),
-      protein: parseFloat((proteinPer100 * multiplier).toFixed(2)),
-      carbs: parseFloat((carbsPer100 * multiplier).toFixed(2)),
-      fat: parseFloat((fatPer100 * multiplier).toFixed(2)),
+      return { error: mealError(meal) };
+    }
+  }
+  const calories = {};
+  for (const [name, value] of [['min_calories', min_calories], ['max_calories', max_calories]]) {
+    if (value === undefined) continue;
+    calories[name] = Number(value);
+    if (value === '' || !Number.isFinite(calories[name]) || calories[name] < 0) {
+      return { error: queryError(name, `${name} must be a non-negative number`) };
+    }
+  }
+  if (calories.min_calories > calories.max_calories) {
+    return { error: queryError('min_calories', 'min_calories must not exceed max_calories', { fields: ['min_calories', 'max_calories'], reason: 'range' }) };
+  }
+  if (calories.min_calories !== undefined) {
+    conditions.push('calories >= ?');
+    params.push(calories.min_calories);
+  }
+  if (calories.max_calories !== undefined) {
+    conditions.push('calories <= ?');
+    params.push(calories.max_calories);
+  }
+  if (missing_nutrition !== undefined) {
+    if (!['true', 'false'].includes(missing_nutrition)) {
+      return { error: queryError('missing_nutrition', 'missing_nutrition must be true or false') };
+    }
+    // Entries no provider had data for have no calories
+    conditions.push(missing_nutrition === 'true' ? 'calories IS NULL' : 'calories IS NOT NULL');
+  }
+  let after = null;
+  if (cursor !== undefined) {
+    after = decodeCursor(cursor);
+    if (!after || after.sort !== sort || after.order !== order) {
+      return { error: queryError('cursor', 'Invalid cursor for this sort; start again without one') };
+    }
+  }
+  return { value: { conditions, params, sort, order, limit, after } };
+};
+// List the user's entries, newest first by default. Cursor-paginated: pass meta.next_cursor
+// back as `cursor` (with the same filters and sort) for the next page.
+app.get('/api/food-log', requireAuth, async (req, res) => {
+  const { error, value } = parseFoodLogQuery(req.query, req.timeZone);
+  if (error) return res.status(400).json(error);
+  const { conditions, params, sort, order, limit, after } = value;
+  const expression = FOOD_LOG_SORTS[sort];
+  const where = conditions.join(' AND ');
+  const pageConditions = [...conditions];
+  const pageParams = [...params];
+  if (after) {
+    const op = order === 'desc' ? '<' : '>';
+    pageConditions.push(`(${expression} ${op} ? OR (${expression} = ? AND id ${op} ?))`);
+    pageParams.push(after.value, after.value, after.id);
+  }
+  try {
+    // One extra row tells whether another page follows
+    const rows = await runQuery(
+      `SELECT *, ${expression} AS sort_value FROM food_logs WHERE ${pageConditions.join(' AND ')}
+      ORDER BY ${expression} ${order}, id ${order} LIMIT ?`,
+      [req.user.id, ...pageParams, limit + 1]
+    );
+    const counts = await runQuery(`SELECT COUNT(*) AS total FROM food_logs WHERE ${where}`, [req.user.id, ...params]);
+    const hasMore = rows.length > limit;
+    const items = rows.slice(0, limit).map(({ sort_value: sortValue, ...row }) => toFoodLog(row));
+    const last = hasMore ? rows[limit - 1] : null;
+    return res.status(200).json(makeSuccess('Food logs fetched', { items }, {
+      total: counts[0].total,
+      count: items.length,
+      limit,
+      sort,
+      order,
+      has_more: hasMore,
+      next_cursor: last ? encodeCursor({ sort, order, value: last.sort_value, id: last.id }) : null,
+    }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to fetch food logs', { details: e.message }));
+  }
+});
+// Look up a food log entry owned by the current user (including soft-deleted ones)
+const findFoodLog = async (id, userId) => {
+  const rows = await runQuery('SELECT * FROM food_logs WHERE id = ? AND user_id = ?', [id, userId]);
+  return rows[0] || null;
+};
+// food_logs row as returned by the API, with its JSON columns parsed
+const toFoodLog = (row) => ({
+  ...row,
+  basis_per_100g: parseJsonColumn(row.basis_per_100g),
+  heuristics: parseJsonColumn(row.heuristics),
+  nutrition_override: parseJsonColumn(row.nutrition_override),
+});
+// Update a food log entry; nutrition is recalculated when food, quantity or unit change.
+// meal (null clears it) and eaten_at can be changed on their own.
+app.put('/api/food-log/:id', requireAuth, async (req, res) => {
+  const { food_name, quantity, unit, meal, eaten_at } = req.body || {};
+  if (food_name === undefined && quantity === undefined && unit === undefined && meal === undefined && eaten_at === undefined) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'Nothing to update', {
+      details: { fields: ['food_name', 'quantity', 'unit', 'meal', 'eaten_at'], reason: 'at_least_one_required' },
+    }));
+  }
+  if ((food_name !== undefined && !String(food_name).trim())
+    || (unit !== undefined && !String(unit).trim())
+    || (quantity !== undefined && !(Number(quantity) > 0))) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'Invalid field values', {
+      details: { fields: ['food_name', 'quantity', 'unit'], reason: 'invalid' },
+    }));
+  }
+  if (unit !== undefined && !parseUnit(unit)) return res.status(400).json(unitError(unit));
+  const invalidTiming = mealError(meal) || eatenAtError(eaten_at);
+  if (invalidTiming) return res.status(400).json(invalidTiming);
+  try {
+    const entry = await findFoodLog(req.params.id, req.user.id);
+    if (!entry || entry.deleted_at) {
+      return res.status(404).json(makeError('NOT_FOUND', 'Food log entry not found'));
+    }
+    const next = {
+      food_name: food_name !== undefined ? String(food_name).trim() : entry.food_name,
+      quantity: quantity !== undefined ? Number(quantity) : entry.quantity,
+      unit: unit !== undefined ? String(unit).trim() : entry.unit,
     };
-    console.log(`Calculated nutrition for ${qty} ${unit} of ${foodName}:`, finalNutrition);
-    return finalNutrition;
-  } catch (error) {
-    console.error('Error fetching from Open Food Facts API:', error.message);
-    // Return null values but don't fail the request
-    return { calories: null, protein: null, carbs: null, fat: null };
-  }
-};
-// Add a food log entry
-app.post('/api/food-log', async (req, res) => {
-  const { food_name, quantity, unit } = req.body || {};
-  if (!food_name || !quantity || !unit) {
-    return res.status(400).json(makeError('VALIDATION_ERROR', 'Missing required fields', {
-      details: { fields: ['food_name', 'quantity', 'unit'], reason: 'required' },
+    const changed = next.food_name !== entry.food_name || next.quantity !== entry.quantity || next.unit !== entry.unit;
+    const eaten = eaten_at !== undefined
+      ? { ...parseDateTime(eaten_at, req.timeZone), timezone: req.timeZone }
+      : { iso: entry.eaten_at, date: entry.date, timezone: entry.timezone };
+    let nextMeal = entry.meal;
+    if (meal !== undefined) nextMeal = meal === null ? null : normalizeMeal(meal);
+    let nutrition = storedNutrition(entry);
+    if (changed) {
+      // Keep the picked product, custom food or recipe while only the amount changes;
+      // renaming the food drops it
+      const sameFood = next.food_name === entry.food_name;
+      let linkedNutrition = null;
+      if (sameFood && (entry.custom_food_id || entry.recipe_id)) {
+        linkedNutrition = await getNutritionForSaved(entry, next.quantity, next.unit, req.user.id);
+      } else if (sameFood && entry.product_code) {
+        linkedNutrition = await getNutritionForProduct(entry.product_code, next.quantity, next.unit);
+      }
+      nutrition = linkedNutrition || await getNutritionData(next.food_name, next.quantity, next.unit);
+    }
+    // Recalculated values replace a manual override
+    await runExecute(
+      `UPDATE food_logs SET food_name = ?, quantity = ?, unit = ?, ${NUTRIENT_KEYS.map((key) => `${key} = ?`).join(', ')},
+        nutrition_source = ?, product_code = ?, product_name = ?, custom_food_id = ?, recipe_id = ?,
+        ${PROVENANCE_KEYS.map((key) => `${key} = ?`).join(', ')},
+        meal = ?, eaten_at = ?, date = ?, timezone = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [next.food_name, next.quantity, next.unit, ...nutrientParams(nutrition),
+        nutrition.source, nutrition.product_code || null, nutrition.product_name || null,
+        nutrition.custom_food_id || null, nutrition.recipe_id || null, ...provenanceParams(nutrition),
+        nextMeal, eaten.iso, eaten.date, eaten.timezone, entry.id]
+    );
+    const updated = await findFoodLog(entry.id, req.user.id);
+    return res.status(200).json(makeSuccess('Food log updated successfully', { item: toFoodLog(updated), recalculated: changed }));
+  } catch (e) {
+    if (e instanceof UnitConversionError) return res.status(422).json(unitConversionError(e));
+    logger.error('Database error', e);
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to update food log', { details: e.message }));
+  }
+});
+// Correct an entry's nutrition by hand, e.g. from the package label: any catalogue nutrients
+// (a number >= 0; null marks an extra nutrient unknown) and an optional note. The override is
+// recorded in nutrition_override with the values it replaced, and confidence becomes 'manual'.
+app.patch('/api/food-log/:id/nutrition', requireAuth, async (req, res) => {
+  const body = req.body || {};
+  const fields = NUTRIENT_KEYS.filter((key) => body[key] !== undefined);
+  if (fields.length === 0) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'Nothing to update', {
+      details: { fields: NUTRIENT_KEYS, reason: 'at_least_one_required' },
+    }));
+  }
+  const invalid = fields.filter((key) => (body[key] === null
+    ? CORE_NUTRIENTS.includes(key)
+    : typeof body[key] !== 'number' || !Number.isFinite(body[key]) || body[key] < 0));
+  if (invalid.length > 0) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'Nutrient values must be non-negative numbers', {
+      details: { fields: invalid, reason: 'invalid' },
+    }));
+  }
+  const { note } = body;
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', `note must be a string of at most ${MAX_NOTE_LENGTH} characters`, {
+      details: { fields: ['note'], reason: 'invalid' },
     }));
   }
   try {
-    // Fetch nutritional data from Open Food Facts
-    const nutrition = await getNutritionData(food_name, quantity, unit);
+    const entry = await findFoodLog(req.params.id, req.user.id);
+    if (!entry || entry.deleted_at) {
+      return res.status(404).json(makeError('NOT_FOUND', 'Food log entry not found'));
+    }
+    // A later correction adds to the earlier one; `previous` keeps the calculated values
+    const earlier = parseJsonColumn(entry.nutrition_override);
+    const override = {
+      overridden_at: new Date().toISOString(),
+      fields: [...new Set([...(earlier ? earlier.fields : []), ...fields])],
+      previous: { ...Object.fromEntries(fields.map((key) => [key, entry[key]])), ...(earlier ? earlier.previous : {}) },
+      previous_confidence: earlier ? earlier.previous_confidence : entry.confidence,
+      note: note === undefined && earlier ? earlier.note : (typeof note === 'string' && note.trim()) || null,
+    };
+    await runExecute(
+      `UPDATE food_logs SET ${fields.map((key) => `${key} = ?`).join(', ')}, confidence = 'manual', nutrition_override = ?,
+        updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...fields.map((key) => (body[key] === null ? null : round2(body[key]))), JSON.stringify(override), entry.id]
+    );
+    const updated = await findFoodLog(entry.id, req.user.id);
+    return res.status(200).json(makeSuccess('Food log nutrition updated successfully', { item: toFoodLog(updated) }));
+  } catch (e) {
+    logger.error('Database error', e);
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to update food log nutrition', { details: e.message }));
+  }
+});
+// Soft-delete a food log entry so it can be restored later
+app.delete('/api/food-log/:id', requireAuth, async (req, res) => {
+  try {
+    const entry = await findFoodLog(req.params.id, req.user.id);
+    if (!entry || entry.deleted_at) {
+      return res.status(404).json(makeError('NOT_FOUND', 'Food log entry not found'));
+    }
+    await runExecute('UPDATE food_logs SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?', [entry.id]);
+    return res.status(200).json(makeSuccess('Food log deleted successfully', { id: entry.id }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to delete food log', { details: e.message }));
+  }
+});
+// Restore a soft-deleted food log entry
+app.post('/api/food-log/:id/restore', requireAuth, async (req, res) => {
+  try {
+    const entry = await findFoodLog(req.params.id, req.user.id);
+    if (!entry) {
+      return res.status(404).json(makeError('NOT_FOUND', 'Food log entry not found'));
+    }
+    if (!entry.deleted_at) {
+      return res.status(409).json(makeError('NOT_DELETED', 'Food log entry is not deleted'));
+    }
+    await runExecute('UPDATE food_logs SET deleted_at = NULL WHERE id = ?', [entry.id]);
+    const restored = await findFoodLog(entry.id, req.user.id);
+    return res.status(200).json(makeSuccess('Food log restored successfully', { item: toFoodLog(restored) }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to restore food log', { details: e.message }));
+  }
+});
+const toFavorite = (row) => ({
+  id: row.id,
+  food_name: row.food_name,
+  quantity: row.quantity,
+  unit: row.unit,
+  ...pickNutrients(row),
+  nutrition_source: row.nutrition_source,
+  product_code: row.product_code,
+  product_name: row.product_name,
+  custom_food_id: row.custom_food_id,
+  recipe_id: row.recipe_id,
+  confidence: row.confidence,
+  heuristics: parseJsonColumn(row.heuristics),
+  nutrition_override: parseJsonColumn(row.nutrition_override),
+  created_at: row.created_at,
+});
+// List favorite foods
+app.get('/api/favorites', requireAuth, async (req, res) => {
+  try {
+    const rows = await runQuery('SELECT * FROM favorite_foods WHERE user_id = ? ORDER BY food_name COLLATE NOCASE', [req.user.id]);
+    return res.status(200).json(makeSuccess('Favorites fetched', { items: rows.map(toFavorite) }, { count: rows.length }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to fetch favorites', { details: e.message }));
+  }
+});
+// Star a food: { food_log_id } takes the food, amount and nutrition of that entry; otherwise
+// the body names a food as for POST /api/food-log and its nutrition is looked up once
+app.post('/api/favorites', requireAuth, async (req, res) => {
+  const body = req.body || {};
+  let parsed = null;
+  if (body.food_log_id === undefined) {
+    parsed = parseFoodLogInput(body, req.timeZone);
+    if (parsed.error) return res.status(400).json(parsed.error);
+  }
+  try {
+    let favorite;
+    if (parsed) {
+      const resolved = await resolveFoodLogNutrition(parsed.value, req.user.id);
+      if (resolved.error) return res.status(resolved.status).json(resolved.error);
+      const { nutrition } = resolved;
+      favorite = {
+        food_name: parsed.value.food_name || nutrition.product_name || nutrition.name,
+        quantity: Number(parsed.value.quantity),
+        unit: parsed.value.unit,
+        nutrition,
+      };
+    } else {
+      const entry = await findFoodLog(body.food_log_id, req.user.id);
+      if (!entry || entry.deleted_at) {
+        return res.status(404).json(makeError('NOT_FOUND', 'Food log entry not found'));
+      }
+      favorite = { food_name: entry.food_name, quantity: entry.quantity, unit: entry.unit, nutrition: storedNutrition(entry) };
+    }
+    const { nutrition } = favorite;
+    const key = foodKey({ ...nutrition, food_name: favorite.food_name });
+    const existing = await runQuery('SELECT id FROM favorite_foods WHERE user_id = ? AND food_key = ?', [req.user.id, key]);
+    if (existing.length > 0) {
+      return res.status(409).json(makeError('ALREADY_FAVORITE', 'This food is already a favorite', {
+        details: { id: existing[0].id },
+      }));
+    }
     const result = await runExecute(
-      `INSERT INTO food_logs (food_name, quantity, unit, calories, protein, carbs, fat) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [food_name, quantity, unit, nutrition.calories, nutrition.protein, nutrition.carbs, nutrition.fat]
+      `INSERT INTO favorite_foods (user_id, food_key, food_name, quantity, unit, ${NUTRIENT_COLUMNS}, nutrition_source, product_code,
+        product_name, custom_food_id, recipe_id, ${PROVENANCE_COLUMNS})
+      VALUES (?, ?, ?, ?, ?, ${NUTRIENT_KEYS.map(() => '?').join(', ')}, ?, ?, ?, ?, ?, ${PROVENANCE_KEYS.map(() => '?').join(', ')})`,
+      [req.user.id, key, favorite.food_name, favorite.quantity, favorite.unit, ...nutrientParams(nutrition), nutrition.source,
+        nutrition.product_code || null, nutrition.product_name || null, nutrition.custom_food_id || null, nutrition.recipe_id || null,
+        ...provenanceParams(nutrition)]
     );
-    return res.status(201).json(makeSuccess('Food log created successfully', { 
-      id: result.lastID,
-      nutrition: nutrition
+    const created = await findFavorite(result.lastID, req.user.id);
+    return res.status(201).json(makeSuccess('Favorite added successfully', { item: toFavorite(created) }));
+  } catch (e) {
+    if (e instanceof UnitConversionError) return res.status(422).json(unitConversionError(e));
+    logger.error('Database error', e);
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to add favorite', { details: e.message }));
+  }
+});
+// Unstar a food
+app.delete('/api/favorites/:id', requireAuth, async (req, res) => {
+  try {
+    const favorite = await findFavorite(req.params.id, req.user.id);
+    if (!favorite) {
+      return res.status(404).json(makeError('NOT_FOUND', 'Favorite not found'));
+    }
+    await runExecute('DELETE FROM favorite_foods WHERE id = ?', [favorite.id]);
+    return res.status(200).json(makeSuccess('Favorite removed successfully', { id: favorite.id }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to remove favorite', { details: e.message }));
+  }
+});
+const MAX_FREQUENT_FOODS = 50;
+const MAX_FREQUENT_DAYS = 365;
+// Foods the user logs most, weighted towards recent days (see lib/frequentFoods.js). Each
+// item carries the latest entry's name and amount, and its entry_id for logging it again
+// with from_entry_id; favorite_id is set when the food is starred.
+app.get('/api/foods/frequent', requireAuth, async (req, res) => {
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  const days = req.query.days === undefined ? 90 : Number(req.query.days);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_FREQUENT_FOODS) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', `limit must be an integer between 1 and ${MAX_FREQUENT_FOODS}`, {
+      details: { fields: ['limit'], reason: 'range', min: 1, max: MAX_FREQUENT_FOODS },
+    }));
+  }
+  if (!Number.isInteger(days) || days < 1 || days > MAX_FREQUENT_DAYS) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', `days must be an integer between 1 and ${MAX_FREQUENT_DAYS}`, {
+      details: { fields: ['days'], reason: 'range', min: 1, max: MAX_FREQUENT_DAYS },
+    }));
+  }
+  try {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const entries = await runQuery(
+      `SELECT id, food_name, quantity, unit, calories, protein, carbs, fat, nutrition_source, product_code, custom_food_id, recipe_id, eaten_at
+      FROM food_logs WHERE user_id = ? AND eaten_at >= ? AND deleted_at IS NULL ORDER BY eaten_at DESC, id DESC`,
+      [req.user.id, since]
+    );
+    const favorites = await runQuery('SELECT id, food_key FROM favorite_foods WHERE user_id = ?', [req.user.id]);
+    const favoriteIds = new Map(favorites.map((row) => [row.food_key, row.id]));
+    const items = rankFrequentFoods(entries, { limit }).map(({ key, latest, count, score }) => ({
+      entry_id: latest.id,
+      food_name: latest.food_name,
+      quantity: latest.quantity,
+      unit: latest.unit,
+      calories: latest.calories,
+      protein: latest.protein,
+      carbs: latest.carbs,
+      fat: latest.fat,
+      nutrition_source: latest.nutrition_source,
+      product_code: latest.product_code,
+      custom_food_id: latest.custom_food_id,
+      recipe_id: latest.recipe_id,
+      count,
+      last_eaten_at: latest.eaten_at,
+      score,
+      favorite_id: favoriteIds.get(key) || null,
     }));
+    return res.status(200).json(makeSuccess('Frequent foods fetched', { items }, { count: items.length, days }));
   } catch (e) {
-    console.error('Database error:', e.message);
-    return res.status(500).json(makeError('DB_ERROR', 'Failed to create food log', { details: e.message }));
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to fetch frequent foods', { details: e.message }));
   }
 });
-// List food logs
-app.get('/api/food-log', async (req, res) => {
+// Validate an optional YYYY-MM-DD query parameter; returns an error envelope or null
+const dateParamError = (name, value) => {
+  if (value === undefined || isValidDate(value)) return null;
+  return makeError('VALIDATION_ERROR', `Invalid ${name}, expected YYYY-MM-DD`, {
+    details: { fields: [name], reason: 'format' },
+  });
+};
+const GOAL_NUTRIENTS = ['calories', 'protein', 'carbs', 'fat'];
+// kcal per gram, used to turn macro percentages into gram targets
+const KCAL_PER_GRAM = { protein: 4, carbs: 4, fat: 9 };
+const toGoal = (row) => (row ? {
+  effective_from: row.effective_from,
+  calories: row.calories,
+  protein: row.protein,
+  carbs: row.carbs,
+  fat: row.fat,
+  macro_percentages: row.protein_pct === null ? null : {
+    protein: row.protein_pct,
+    carbs: row.carbs_pct,
+    fat: row.fat_pct,
+  },
+} : null);
+// Goal that was active on a given day: the latest one that took effect on or before it
+const findGoalForDate = async (userId, date) => {
+  const rows = await runQuery(
+    'SELECT * FROM nutrition_goals WHERE user_id = ? AND effective_from <= ? ORDER BY effective_from DESC LIMIT 1',
+    [userId, date]
+  );
+  return toGoal(rows[0]);
+};
+// consumed / target / remaining / percent per nutrient; target fields are null without a goal
+const buildProgress = (totals, goal) => {
+  const progress = {};
+  for (const key of GOAL_NUTRIENTS) {
+    const consumed = round2(totals[key] || 0);
+    const target = goal && goal[key] !== null && goal[key] !== undefined ? goal[key] : null;
+    progress[key] = {
+      consumed,
+      target,
+      remaining: target === null ? null : round2(target - consumed),
+      percent: target ? round2((consumed / target) * 100) : null,
+      over: target === null ? false : consumed > target,
+    };
+  }
+  return progress;
+};
+// Get goals: the one active on ?date (default today) plus the full history
+app.get('/api/goals', requireAuth, async (req, res) => {
+  const invalid = dateParamError('date', req.query.date);
+  if (invalid) return res.status(400).json(invalid);
   try {
-    const rows = await runQuery('SELECT * FROM food_logs ORDER BY timestamp DESC LIMIT 100');
-    return res.status(200).json(makeSuccess('Food logs fetched', { items: rows }));
+    const goal = await findGoalForDate(req.user.id, req.query.date || todayIn(req.timeZone));
+    const history = await runQuery(
+      'SELECT * FROM nutrition_goals WHERE user_id = ? ORDER BY effective_from DESC',
+      [req.user.id]
+    );
+    return res.status(200).json(makeSuccess('Goals fetched', { goal, history: history.map(toGoal) }));
   } catch (e) {
-    return res.status(500).json(makeError('DB_ERROR', 'Failed to fetch food logs', { details: e.message }));
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to fetch goals', { details: e.message }));
+  }
+});
+// Set goals from effective_from (default today) onwards. Either gram targets for
+// protein/carbs/fat, or macro_percentages that are converted using the calorie target.
+app.put('/api/goals', requireAuth, async (req, res) => {
+  const body = req.body || {};
+  const effectiveFrom = body.effective_from || todayIn(req.timeZone);
+  const invalid = dateParamError('effective_from', effectiveFrom);
+  if (invalid) return res.status(400).json(invalid);
+  const invalidFields = [];
+  const goal = {};
+  for (const key of GOAL_NUTRIENTS) {
+    if (body[key] === undefined || body[key] === null || body[key] === '') {
+      goal[key] = null;
+    } else if (!(Number(body[key]) >= 0)) {
+      invalidFields.push(key);
+    } else {
+      goal[key] = Number(body[key]);
+    }
+  }
+  let pct = null;
+  if (body.macro_percentages) {
+    pct = {};
+    for (const key of Object.keys(KCAL_PER_GRAM)) {
+      const value = Number(body.macro_percentages[key]);
+      if (!(value >= 0 && value <= 100)) invalidFields.push(`macro_percentages.${key}`);
+      pct[key] = value;
+    }
+  }
+  if (invalidFields.length > 0) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'Goal values must be non-negative numbers', {
+      details: { fields: invalidFields, reason: 'invalid' },
+    }));
+  }
+  if (pct) {
+    const total = pct.protein + pct.carbs + pct.fat;
+    if (Math.abs(total - 100) > 0.5) {
+      return res.status(400).json(makeError('VALIDATION_ERROR', 'Macro percentages must add up to 100', {
+        details: { fields: ['macro_percentages'], reason: 'sum', total },
+      }));
+    }
+    if (goal.calories === null) {
+      return res.status(400).json(makeError('VALIDATION_ERROR', 'A calorie target is required with macro percentages', {
+        details: { fields: ['calories'], reason: 'required' },
+      }));
+    }
+    for (const key of Object.keys(KCAL_PER_GRAM)) {
+      goal[key] = round2((goal.calories * pct[key]) / 100 / KCAL_PER_GRAM[key]);
+    }
+  }
+  if (GOAL_NUTRIENTS.every((key) => goal[key] === null)) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'At least one target is required', {
+      details: { fields: GOAL_NUTRIENTS, reason: 'at_least_one_required' },
+    }));
+  }
+  try {
+    await runExecute(
+      `INSERT OR REPLACE INTO nutrition_goals (user_id, effective_from, calories, protein, carbs, fat, protein_pct, carbs_pct, fat_pct)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [req.user.id, effectiveFrom, goal.calories, goal.protein, goal.carbs, goal.fat,
+        pct ? pct.protein : null, pct ? pct.carbs : null, pct ? pct.fat : null]
+    );
+    const saved = await findGoalForDate(req.user.id, effectiveFrom);
+    return res.status(200).json(makeSuccess('Goals saved successfully', { goal: saved }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to save goals', { details: e.message }));
   }
 });
-// Get daily summary
-app.get('/api/daily-summary', async (req, res) => {
+// Entries grouped by meal slot with calorie/macro subtotals. Standard slots come first in
+// day order, then custom slots, then entries without a meal (meal: null); foods are chronological.
+const groupByMeal = (foods) => {
+  const groups = new Map();
+  for (const food of [...foods].reverse()) {
+    if (!groups.has(food.meal)) {
+      groups.set(food.meal, { meal: food.meal, totals: { calories: 0, protein: 0, carbs: 0, fat: 0 }, food_count: 0, foods: [] });
+    }
+    const group = groups.get(food.meal);
+    for (const key of Object.keys(group.totals)) group.totals[key] += food[key] || 0;
+    group.food_count += 1;
+    group.foods.push(food);
+  }
+  return [...groups.values()]
+    .map((group) => ({
+      ...group,
+      totals: Object.fromEntries(Object.entries(group.totals).map(([key, value]) => [key, round2(value)])),
+    }))
+    .sort((a, b) => mealOrder(a.meal) - mealOrder(b.meal) || a.foods[0].eaten_at.localeCompare(b.foods[0].eaten_at));
+};
+// Get daily summary (?date=YYYY-MM-DD, defaults to today)
+app.get('/api/daily-summary', requireAuth, async (req, res) => {
+  const invalid = dateParamError('date', req.query.date);
+  if (invalid) return res.status(400).json(invalid);
   try {
-    const today = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+    const day = req.query.date || todayIn(req.timeZone);
+    const { start, end } = dayRange(day, day, req.timeZone);
+    // Every catalogue nutrient is summed; COUNT(column) tells how many entries reported it
     const rows = await runQuery(
       `SELECT 
-        SUM(calories) as total_calories,
-        SUM(protein) as total_protein,
-        SUM(carbs) as total_carbs,
-        SUM(fat) as total_fat,
+        ${NUTRIENT_KEYS.map((key) => `SUM(${key}) as total_${key}, COUNT(${key}) as reported_${key}`).join(',\n        ')},
         COUNT(*) as food_count
-      FROM food_logs WHERE date = ?`,
-      [today]
-    );
-    const foodItems = await runQuery(
-      `SELECT food_name as name, quantity, unit, calories, protein, carbs, fat FROM food_logs WHERE date = ? ORDER BY timestamp DESC`,
-      [today]
+      FROM food_logs WHERE user_id = ? AND eaten_at >= ? AND eaten_at < ? AND deleted_at IS NULL`,
+      [req.user.id, start, end]
     );
-    const summary = rows[0] || {};
+    const foodItems = (await runQuery(
+      `SELECT id, food_name as name, quantity, unit, calories, protein, carbs, fat, nutrition_source, product_code, product_name, confidence, heuristics, meal, eaten_at FROM food_logs WHERE user_id = ? AND eaten_at >= ? AND eaten_at < ? AND deleted_at IS NULL ORDER BY eaten_at DESC, id DESC`,
+      [req.user.id, start, end]
+    )).map((item) => ({ ...item, heuristics: parseJsonColumn(item.heuristics) }));
+    const totals = rows[0] || {};
+    const summary = {
+      total_calories: totals.total_calories,
+      total_protein: totals.total_protein,
+      total_carbs: totals.total_carbs,
+      total_fat: totals.total_fat,
+      food_count: totals.food_count,
+    };
+    const goal = await findGoalForDate(req.user.id, day);
+    summary.date = day;
+    summary.timezone = req.timeZone;
+    summary.goal = goal;
+    summary.nutrients = buildProgress({
+      calories: summary.total_calories,
+      protein: summary.total_protein,
+      carbs: summary.total_carbs,
+      fat: summary.total_fat,
+    }, goal);
+    // Full catalogue; `reported` < food_count means some entries had no value for it
+    summary.all_nutrients = NUTRIENTS.map((nutrient) => ({
+      key: nutrient.key,
+      name: nutrient.name,
+      unit: nutrient.unit,
+      group: nutrient.group,
+      amount: totals[`total_${nutrient.key}`] === null ? null : round2(totals[`total_${nutrient.key}`]),
+      reported: totals[`reported_${nutrient.key}`],
+    }));
+    summary.meals = groupByMeal(foodItems);
     summary.foods = foodItems;
+    const water = await runQuery(
+      'SELECT SUM(amount_ml) AS total_ml, COUNT(*) AS entry_count FROM water_logs WHERE user_id = ? AND drunk_at >= ? AND drunk_at < ?',
+      [req.user.id, start, end]
+    );
+    summary.water = { total_ml: round2(water[0].total_ml || 0), entry_count: water[0].entry_count };
     return res.status(200).json(makeSuccess('Daily summary fetched', summary));
   } catch (e) {
     return res.status(500).json(makeError('DB_ERROR', 'Failed to fetch daily summary', { details: e.message }));
   }
 });
-// Mock chat endpoint
-app.post('/api/chat', (req, res) => {
-  const { message } = req.body;
-  res.json({ response: `I received your message: "${message}". I am a mock assistant.` });
+const SUMMARY_GRANULARITIES = ['day', 'week', 'month'];
+const MAX_RANGE_DAYS = 1830;
+// Totals and per-logged-day averages for a set of per-day rows
+const aggregateDays = (days) => {
+  const totals = { calories: 0, protein: 0, carbs: 0, fat: 0 };
+  let entryCount = 0;
+  for (const day of days) {
+    totals.calories += day.calories || 0;
+    totals.protein += day.protein || 0;
+    totals.carbs += day.carbs || 0;
+    totals.fat += day.fat || 0;
+    entryCount += day.entry_count;
+  }
+  const averages = {};
+  for (const key of Object.keys(totals)) {
+    averages[key] = days.length > 0 ? round2(totals[key] / days.length) : 0;
+    totals[key] = round2(totals[key]);
+  }
+  return { totals, averages, logged_days: days.length, entry_count: entryCount };
+};
+// Per-day totals for entries, with days taken in the given zone; a day with no entries has no row
+const totalsByDay = (entries, timeZone) => {
+  const days = new Map();
+  for (const entry of entries) {
+    const date = dateInZone(entry.eaten_at, timeZone);
+    if (!days.has(date)) days.set(date, { date, calories: null, protein: null, carbs: null, fat: null, entry_count: 0 });
+    const day = days.get(date);
+    for (const key of ['calories', 'protein', 'carbs', 'fat']) {
+      if (entry[key] !== null) day[key] = (day[key] || 0) + entry[key];
+    }
+    day.entry_count += 1;
+  }
+  return [...days.values()];
+};
+// Calorie and macro totals over a date range, bucketed by day, week (Monday start) or month
+app.get('/api/summary/range', requireAuth, async (req, res) => {
+  const { from, to } = req.query;
+  const granularity = req.query.granularity || 'day';
+  if (!from || !to) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'Missing required query parameters', {
+      details: { fields: ['from', 'to'], reason: 'required' },
+    }));
+  }
+  const invalid = dateParamError('from', from) || dateParamError('to', to);
+  if (invalid) return res.status(400).json(invalid);
+  if (!SUMMARY_GRANULARITIES.includes(granularity)) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'Invalid granularity', {
+      details: { fields: ['granularity'], reason: 'enum', allowed: SUMMARY_GRANULARITIES },
+    }));
+  }
+  if (from > to || daysBetween(from, to) >= MAX_RANGE_DAYS) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', `Date range must be ordered and span at most ${MAX_RANGE_DAYS} days`, {
+      details: { fields: ['from', 'to'], reason: 'range', max_days: MAX_RANGE_DAYS },
+    }));
+  }
+  try {
+    const { start, end } = dayRange(from, to, req.timeZone);
+    const entries = await runQuery(
+      `SELECT eaten_at, calories, protein, carbs, fat
+      FROM food_logs
+      WHERE user_id = ? AND deleted_at IS NULL AND eaten_at >= ? AND eaten_at < ?`,
+      [req.user.id, start, end]
+    );
+    const days = totalsByDay(entries, req.timeZone);
+    const byBucket = new Map();
+    for (const day of days) {
+      const key = bucketStart(day.date, granularity);
+      if (!byBucket.has(key)) byBucket.set(key, []);
+      byBucket.get(key).push(day);
+    }
+    const starts = listBuckets(from, to, granularity);
+    const buckets = starts.map((start, i) => {
+      const nextStart = starts[i + 1];
+      const end = nextStart ? addDays(nextStart, -1) : to;
+      return {
+        bucket: start,
+        from: start < from ? from : start,
+        to: end > to ? to : end,
+        ...aggregateDays(byBucket.get(start) || []),
+      };
+    });
+    return res.status(200).json(makeSuccess('Range summary fetched', {
+      from,
+      to,
+      granularity,
+      timezone: req.timeZone,
+      total_days: daysBetween(from, to) + 1,
+      summary: aggregateDays(days),
+      buckets,
+    }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to fetch range summary', { details: e.message }));
+  }
+});
+// Body weight and water intake. Weights are stored in kg and water in ml; either may be
+// sent in any mass or volume unit (e.g. lb, cup, fl_oz) and is converted on the way in.
+const MIN_WEIGHT_KG = 20;
+const MAX_WEIGHT_KG = 500;
+const MAX_WATER_ML = 5000;
+const MAX_NOTE_LENGTH = 200;
+// Amount in grams (mass) or ml (volume) for a unit of the given dimension; returns
+// { error } or { value }
+const parseMeasure = (field, amount, unit, dimension) => {
+  const parsed = parseUnit(unit);
+  if (!parsed || parsed.dimension !== dimension) {
+    const allowed = supportedUnits().filter((key) => UNITS[key].dimension === dimension);
+    return { error: makeError('VALIDATION_ERROR', `Invalid unit, expected a ${dimension} unit such as ${allowed.slice(0, 2).join(' or ')}`, {
+      details: { fields: ['unit'], reason: 'invalid', allowed },
+    }) };
+  }
+  if (amount === null || amount === '' || !(Number(amount) > 0)) {
+    return { error: makeError('VALIDATION_ERROR', `${field} must be a positive number`, {
+      details: { fields: [field], reason: 'invalid' },
+    }) };
+  }
+  return { value: Number(amount) * parsed.factor };
+};
+// Validate a weigh-in for POST, or the fields being changed for PUT (`partial`). Returns
+// { error } or { value } with weight_kg, measured ({ iso, date }) and note, each only when given.
+const parseWeightInput = (body, timeZone, { partial = false } = {}) => {
+  const { weight, unit = 'kg', measured_at, note } = body;
+  const value = {};
+  if (!partial || weight !== undefined) {
+    const measure = parseMeasure('weight', weight, unit, 'mass');
+    if (measure.error) return measure;
+    value.weight_kg = round2(measure.value / 1000);
+    if (value.weight_kg < MIN_WEIGHT_KG || value.weight_kg > MAX_WEIGHT_KG) {
+      return { error: makeError('VALIDATION_ERROR', `Weight must be between ${MIN_WEIGHT_KG} and ${MAX_WEIGHT_KG} kg`, {
+        details: { fields: ['weight'], reason: 'range', min_kg: MIN_WEIGHT_KG, max_kg: MAX_WEIGHT_KG },
+      }) };
+    }
+  }
+  const invalidTime = dateTimeError('measured_at', measured_at);
+  if (invalidTime) return { error: invalidTime };
+  if (!partial || measured_at !== undefined) value.measured = resolveInstant(measured_at, timeZone);
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    return { error: makeError('VALIDATION_ERROR', `note must be a string of at most ${MAX_NOTE_LENGTH} characters`, {
+      details: { fields: ['note'], reason: 'invalid' },
+    }) };
+  }
+  if (note !== undefined) value.note = note === null ? null : note.trim() || null;
+  return { value };
+};
+// Same for a glass of water: amount_ml and drunk ({ iso, date })
+const parseWaterInput = (body, timeZone, { partial = false } = {}) => {
+  const { amount, unit = 'ml', drunk_at } = body;
+  const value = {};
+  if (!partial || amount !== undefined) {
+    const measure = parseMeasure('amount', amount, unit, 'volume');
+    if (measure.error) return measure;
+    value.amount_ml = round2(measure.value);
+    if (value.amount_ml > MAX_WATER_ML) {
+      return { error: makeError('VALIDATION_ERROR', `Amount must be at most ${MAX_WATER_ML} ml per entry`, {
+        details: { fields: ['amount'], reason: 'range', max_ml: MAX_WATER_ML },
+      }) };
+    }
+  }
+  const invalidTime = dateTimeError('drunk_at', drunk_at);
+  if (invalidTime) return { error: invalidTime };
+  if (!partial || drunk_at !== undefined) value.drunk = resolveInstant(drunk_at, timeZone);
+  return { value };
+};
+const toWeightLog = (row) => ({
+  id: row.id,
+  weight_kg: row.weight_kg,
+  measured_at: row.measured_at,
+  date: row.date,
+  timezone: row.timezone,
+  note: row.note,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+});
+const toWaterLog = (row) => ({
+  id: row.id,
+  amount_ml: row.amount_ml,
+  drunk_at: row.drunk_at,
+  date: row.date,
+  timezone: row.timezone,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+});
+const findWeightLog = async (id, userId) => {
+  const rows = await runQuery('SELECT * FROM weight_logs WHERE id = ? AND user_id = ?', [id, userId]);
+  return rows[0] || null;
+};
+const findWaterLog = async (id, userId) => {
+  const rows = await runQuery('SELECT * FROM water_logs WHERE id = ? AND user_id = ?', [id, userId]);
+  return rows[0] || null;
+};
+// List weigh-ins, newest first (?from= and ?to= limit them to those days)
+app.get('/api/weight-log', requireAuth, async (req, res) => {
+  const { from, to } = req.query;
+  const invalid = dateParamError('from', from) || dateParamError('to', to);
+  if (invalid) return res.status(400).json(invalid);
+  const conditions = ['user_id = ?'];
+  const params = [req.user.id];
+  if (from) {
+    conditions.push('measured_at >= ?');
+    params.push(dayRange(from, from, req.timeZone).start);
+  }
+  if (to) {
+    conditions.push('measured_at < ?');
+    params.push(dayRange(to, to, req.timeZone).end);
+  }
+  try {
+    const rows = await runQuery(`SELECT * FROM weight_logs WHERE ${conditions.join(' AND ')} ORDER BY measured_at DESC, id DESC`, params);
+    return res.status(200).json(makeSuccess('Weight logs fetched', { items: rows.map(toWeightLog) }, { count: rows.length }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to fetch weight logs', { details: e.message }));
+  }
+});
+// Log a weigh-in: weight, optional unit (default kg), measured_at (default now) and note
+app.post('/api/weight-log', requireAuth, async (req, res) => {
+  const { error, value } = parseWeightInput(req.body || {}, req.timeZone);
+  if (error) return res.status(400).json(error);
+  try {
+    const result = await runExecute(
+      'INSERT INTO weight_logs (user_id, weight_kg, measured_at, date, timezone, note) VALUES (?, ?, ?, ?, ?, ?)',
+      [req.user.id, value.weight_kg, value.measured.iso, value.measured.date, req.timeZone, value.note ?? null]
+    );
+    const created = await findWeightLog(result.lastID, req.user.id);
+    return res.status(201).json(makeSuccess('Weight logged successfully', { item: toWeightLog(created) }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to log weight', { details: e.message }));
+  }
+});
+// Update a weigh-in's weight (with unit), measured_at and/or note (null clears it)
+app.put('/api/weight-log/:id', requireAuth, async (req, res) => {
+  const { error, value } = parseWeightInput(req.body || {}, req.timeZone, { partial: true });
+  if (error) return res.status(400).json(error);
+  if (Object.keys(value).length === 0) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'Nothing to update', {
+      details: { fields: ['weight', 'measured_at', 'note'], reason: 'at_least_one_required' },
+    }));
+  }
+  try {
+    const entry = await findWeightLog(req.params.id, req.user.id);
+    if (!entry) {
+      return res.status(404).json(makeError('NOT_FOUND', 'Weight log entry not found'));
+    }
+    const measured = value.measured ? { ...value.measured, timezone: req.timeZone } : { iso: entry.measured_at, date: entry.date, timezone: entry.timezone };
+    await runExecute(
+      'UPDATE weight_logs SET weight_kg = ?, measured_at = ?, date = ?, timezone = ?, note = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [value.weight_kg ?? entry.weight_kg, measured.iso, measured.date, measured.timezone, value.note !== undefined ? value.note : entry.note, entry.id]
+    );
+    const updated = await findWeightLog(entry.id, req.user.id);
+    return res.status(200).json(makeSuccess('Weight log updated successfully', { item: toWeightLog(updated) }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to update weight log', { details: e.message }));
+  }
+});
+// Delete a weigh-in
+app.delete('/api/weight-log/:id', requireAuth, async (req, res) => {
+  try {
+    const entry = await findWeightLog(req.params.id, req.user.id);
+    if (!entry) {
+      return res.status(404).json(makeError('NOT_FOUND', 'Weight log entry not found'));
+    }
+    await runExecute('DELETE FROM weight_logs WHERE id = ?', [entry.id]);
+    return res.status(200).json(makeSuccess('Weight log deleted successfully', { id: entry.id }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to delete weight log', { details: e.message }));
+  }
+});
+// List one day's water (?date=, default today), newest first, with the day's total
+app.get('/api/water-log', requireAuth, async (req, res) => {
+  const invalid = dateParamError('date', req.query.date);
+  if (invalid) return res.status(400).json(invalid);
+  const day = req.query.date || todayIn(req.timeZone);
+  const { start, end } = dayRange(day, day, req.timeZone);
+  try {
+    const rows = await runQuery(
+      'SELECT * FROM water_logs WHERE user_id = ? AND drunk_at >= ? AND drunk_at < ? ORDER BY drunk_at DESC, id DESC',
+      [req.user.id, start, end]
+    );
+    const total = rows.reduce((sum, row) => sum + row.amount_ml, 0);
+    return res.status(200).json(makeSuccess('Water logs fetched', { items: rows.map(toWaterLog) }, {
+      date: day,
+      count: rows.length,
+      total_ml: round2(total),
+    }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to fetch water logs', { details: e.message }));
+  }
+});
+// Log water: amount, optional unit (default ml) and drunk_at (default now)
+app.post('/api/water-log', requireAuth, async (req, res) => {
+  const { error, value } = parseWaterInput(req.body || {}, req.timeZone);
+  if (error) return res.status(400).json(error);
+  try {
+    const result = await runExecute(
+      'INSERT INTO water_logs (user_id, amount_ml, drunk_at, date, timezone) VALUES (?, ?, ?, ?, ?)',
+      [req.user.id, value.amount_ml, value.drunk.iso, value.drunk.date, req.timeZone]
+    );
+    const created = await findWaterLog(result.lastID, req.user.id);
+    return res.status(201).json(makeSuccess('Water logged successfully', { item: toWaterLog(created) }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to log water', { details: e.message }));
+  }
+});
+// Update a water entry's amount (with unit) and/or drunk_at
+app.put('/api/water-log/:id', requireAuth, async (req, res) => {
+  const { error, value } = parseWaterInput(req.body || {}, req.timeZone, { partial: true });
+  if (error) return res.status(400).json(error);
+  if (Object.keys(value).length === 0) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'Nothing to update', {
+      details: { fields: ['amount', 'drunk_at'], reason: 'at_least_one_required' },
+    }));
+  }
+  try {
+    const entry = await findWaterLog(req.params.id, req.user.id);
+    if (!entry) {
+      return res.status(404).json(makeError('NOT_FOUND', 'Water log entry not found'));
+    }
+    const drunk = value.drunk ? { ...value.drunk, timezone: req.timeZone } : { iso: entry.drunk_at, date: entry.date, timezone: entry.timezone };
+    await runExecute(
+      'UPDATE water_logs SET amount_ml = ?, drunk_at = ?, date = ?, timezone = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [value.amount_ml ?? entry.amount_ml, drunk.iso, drunk.date, drunk.timezone, entry.id]
+    );
+    const updated = await findWaterLog(entry.id, req.user.id);
+    return res.status(200).json(makeSuccess('Water log updated successfully', { item: toWaterLog(updated) }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to update water log', { details: e.message }));
+  }
+});
+// Delete a water entry
+app.delete('/api/water-log/:id', requireAuth, async (req, res) => {
+  try {
+    const entry = await findWaterLog(req.params.id, req.user.id);
+    if (!entry) {
+      return res.status(404).json(makeError('NOT_FOUND', 'Water log entry not found'));
+    }
+    await runExecute('DELETE FROM water_logs WHERE id = ?', [entry.id]);
+    return res.status(200).json(makeSuccess('Water log deleted successfully', { id: entry.id }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to delete water log', { details: e.message }));
+  }
+});
+const MIN_ENERGY_DAYS = 7;
+const MAX_ENERGY_DAYS = 90;
+// Estimated maintenance calories over the `days` (default 28) ending on `to` (default
+// today), from the weight trend and logged intake (see lib/energy.js). Also returns the
+// per-day weights, trend and calories behind it, for charting.
+app.get('/api/insights/energy', requireAuth, async (req, res) => {
+  const days = req.query.days === undefined ? 28 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < MIN_ENERGY_DAYS || days > MAX_ENERGY_DAYS) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', `days must be an integer between ${MIN_ENERGY_DAYS} and ${MAX_ENERGY_DAYS}`, {
+      details: { fields: ['days'], reason: 'range', min: MIN_ENERGY_DAYS, max: MAX_ENERGY_DAYS },
+    }));
+  }
+  const invalid = dateParamError('to', req.query.to);
+  if (invalid) return res.status(400).json(invalid);
+  const to = req.query.to || todayIn(req.timeZone);
+  const from = addDays(to, -(days - 1));
+  const { start, end } = dayRange(from, to, req.timeZone);
+  try {
+    const weighIns = await runQuery(
+      'SELECT weight_kg, measured_at FROM weight_logs WHERE user_id = ? AND measured_at >= ? AND measured_at < ?',
+      [req.user.id, start, end]
+    );
+    // A day with several weigh-ins counts their mean
+    const byDay = new Map();
+    for (const row of weighIns) {
+      const date = dateInZone(row.measured_at, req.timeZone);
+      if (!byDay.has(date)) byDay.set(date, []);
+      byDay.get(date).push(row.weight_kg);
+    }
+    const weights = new Map([...byDay].map(([date, values]) => [date, values.reduce((sum, v) => sum + v, 0) / values.length]));
+    const entries = await runQuery(
+      `SELECT eaten_at, calories, protein, carbs, fat
+      FROM food_logs
+      WHERE user_id = ? AND deleted_at IS NULL AND eaten_at >= ? AND eaten_at < ?`,
+      [req.user.id, start, end]
+    );
+    const calories = new Map(totalsByDay(entries, req.timeZone)
+      .filter((day) => day.calories !== null)
+      .map((day) => [day.date, day.calories]));
+    const result = estimateEnergy({ from, to, weights, calories });
+    return res.status(200).json(makeSuccess('Energy estimate calculated', {
+      from,
+      to,
+      timezone: req.timeZone,
+      total_days: days,
+      ...result,
+    }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to calculate energy estimate', { details: e.message }));
+  }
+});
+// Export: the user's full history (soft-deleted entries excluded), streamed row by row
+const EXPORT_FORMATS = ['csv', 'json'];
+app.get('/api/export', requireAuth, async (req, res) => {
+  const { format = 'csv', from, to } = req.query;
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', `Invalid format, expected one of ${EXPORT_FORMATS.join(', ')}`, {
+      details: { fields: ['format'], reason: 'invalid', supported: EXPORT_FORMATS },
+    }));
+  }
+  const invalid = dateParamError('from', from) || dateParamError('to', to);
+  if (invalid) return res.status(400).json(invalid);
+  if (from && to && from > to) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'from must not be after to', {
+      details: { fields: ['from', 'to'], reason: 'range' },
+    }));
+  }
+  const conditions = ['user_id = ?', 'deleted_at IS NULL'];
+  const params = [req.user.id];
+  if (from) {
+    conditions.push('eaten_at >= ?');
+    params.push(dayRange(from, from, req.timeZone).start);
+  }
+  if (to) {
+    conditions.push('eaten_at < ?');
+    params.push(dayRange(to, to, req.timeZone).end);
+  }
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="food-log-${todayIn(req.timeZone)}.${format}"`);
+  let first = true;
+  res.write(format === 'csv'
+    ? formatCsvLine(EXPORT_COLUMNS)
+    : `{"format":"nutrition-tracker","version":1,"exported_at":"${new Date().toISOString()}","items":[\n`);
+  try {
+    await eachRow(
+      `SELECT ${EXPORT_COLUMNS.join(', ')} FROM food_logs WHERE ${conditions.join(' AND ')} ORDER BY eaten_at, id`,
+      params,
+      (row) => {
+        if (format === 'csv') {
+          res.write(formatCsvLine(EXPORT_COLUMNS.map((column) => row[column])));
+        } else {
+          res.write(`${first ? '' : ',\n'}${JSON.stringify(row)}`);
+        }
+        first = false;
+      }
+    );
+    if (format === 'json') res.write('\n]}\n');
+  } catch (e) {
+    // Headers are already sent; a truncated file is all we can signal
+    logger.error('Export failed', e);
+  }
+  return res.end();
+});
+const MAX_IMPORT_ROWS = 20000;
+const IMPORT_REPORT_LIMIT = 100;
+const IMPORT_PREVIEW_ROWS = 20;
+// Import entries from our JSON/CSV export or a MyFitnessPal CSV. `content` is the file's
+// text; `format` is detected when omitted. With dry_run nothing is saved and the report
+// shows what would be. Duplicates (of existing entries or earlier rows) are skipped unless
+// skip_duplicates is false; invalid rows block the import unless skip_invalid is true.
+// Everything is saved in one transaction.
+app.post('/api/import', requireAuth, async (req, res, next) => {
+  const { content, format: requested, dry_run = false, skip_duplicates = true, skip_invalid = false } = req.body || {};
+  if (typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', 'content must be the text of the file to import', {
+      details: { fields: ['content'], reason: 'required' },
+    }));
+  }
+  let format;
+  let rows;
+  try {
+    format = detectFormat(content, requested);
+    rows = readImport(content, format, req.timeZone);
+  } catch (e) {
+    if (!(e instanceof ImportFormatError)) return next(e);
+    return res.status(400).json(makeError('UNSUPPORTED_FORMAT', e.message, {
+      details: { fields: ['content', 'format'], supported: IMPORT_FORMATS },
+    }));
+  }
+  if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', `The file must contain 1 to ${MAX_IMPORT_ROWS} entries`, {
+      details: { fields: ['content'], reason: 'row_count', rows: rows.length, max_rows: MAX_IMPORT_ROWS },
+    }));
+  }
+  const errors = rows.filter((row) => row.errors)
+    .flatMap((row) => row.errors.map((error) => ({ row: row.row, ...error })));
+  const valid = rows.filter((row) => row.value);
+  try {
+    // Existing entries over the file's date span, to spot rows that were imported before
+    const dates = valid.map((row) => row.value.date).sort();
+    const existing = dates.length === 0 ? [] : await runQuery(
+      'SELECT date, food_name, quantity, unit, calories, meal FROM food_logs WHERE user_id = ? AND deleted_at IS NULL AND date BETWEEN ? AND ?',
+      [req.user.id, dates[0], dates[dates.length - 1]]
+    );
+    const seen = new Map(existing.map((entry) => [duplicateKey(entry), null]));
+    const duplicates = [];
+    const accepted = [];
+    for (const { row, value } of valid) {
+      const key = duplicateKey({ ...value, calories: value.nutrients.calories });
+      if (seen.has(key)) {
+        duplicates.push({ row, food_name: value.food_name, date: value.date, duplicate_of: seen.get(key) === null ? 'existing' : `row ${seen.get(key)}` });
+        if (skip_duplicates) continue;
+      } else {
+        seen.set(key, row);
+      }
+      accepted.push(value);
+    }
+    const rowsWithErrors = rows.length - valid.length;
+    const report = {
+      format,
+      dry_run: Boolean(dry_run),
+      summary: {
+        rows: rows.length,
+        valid: valid.length,
+        invalid: rowsWithErrors,
+        duplicates: duplicates.length,
+        to_import: accepted.length,
+        imported: 0,
+      },
+      errors: errors.slice(0, IMPORT_REPORT_LIMIT),
+      duplicates: duplicates.slice(0, IMPORT_REPORT_LIMIT),
+      preview: accepted.slice(0, IMPORT_PREVIEW_ROWS),
+    };
+    if (dry_run) return res.status(200).json(makeSuccess('Import preview', report));
+    if (rowsWithErrors > 0 && !skip_invalid) {
+      return res.status(422).json(makeError('IMPORT_INVALID', `${rowsWithErrors} row${rowsWithErrors === 1 ? ' has' : 's have'} errors; fix them or pass skip_invalid to import the rest`, {
+        details: { errors: report.errors, invalid: rowsWithErrors },
+      }));
+    }
+    await database.transaction(async () => {
+      for (const value of accepted) {
+        await runExecute(
+          `INSERT INTO food_logs (user_id, food_name, quantity, unit, ${NUTRIENT_COLUMNS}, nutrition_source, product_code, product_name, meal, eaten_at, date, timezone)
+          VALUES (?, ?, ?, ?, ${NUTRIENT_KEYS.map(() => '?').join(', ')}, ?, ?, ?, ?, ?, ?, ?)`,
+          [req.user.id, value.food_name, value.quantity, value.unit, ...nutrientParams(value.nutrients),
+            value.nutrition_source, value.product_code, value.product_name, value.meal, value.eaten_at, value.date, value.timezone]
+        );
+      }
+    });
+    report.summary.imported = accepted.length;
+    return res.status(201).json(makeSuccess('Import complete', report));
+  } catch (e) {
+    logger.error('Database error', e);
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to import food logs', { details: e.message }));
+  }
+});
+const MAX_CHAT_MESSAGE_LENGTH = 500;
+const assistant = createAssistant({
+  runQuery,
+  findGoalForDate,
+  logFoods: (userId, items, { timeZone, ...timing }) => logFoodBatch(userId, items.map((item) => ({
+    food_name: item.food,
+    quantity: item.quantity,
+    unit: item.unit,
+    ...timing,
+  })), timeZone),
+});
+const conversations = createConversationStore();
+// Chat with the nutrition assistant. It answers from the user's own log and goals and keeps
+// follow-up context per conversation_id (returned on the first message). `date` is the
+// client's today (default: today in the request's time zone); optional meal and eaten_at apply
+// to "log ..." commands.
+app.post('/api/chat', requireAuth, async (req, res) => {
+  const { message, conversation_id: conversationId, date, meal, eaten_at } = req.body || {};
+  if (typeof message !== 'string' || !message.trim() || message.length > MAX_CHAT_MESSAGE_LENGTH) {
+    return res.status(400).json(makeError('VALIDATION_ERROR', `Message must be a non-empty string of at most ${MAX_CHAT_MESSAGE_LENGTH} characters`, {
+      details: { fields: ['message'], reason: 'invalid' },
+    }));
+  }
+  const invalid = dateParamError('date', date) || mealError(meal) || eatenAtError(eaten_at);
+  if (invalid) return res.status(400).json(invalid);
+  const id = typeof conversationId === 'string' && conversationId ? conversationId : crypto.randomUUID();
+  try {
+    const answer = await assistant.reply(req.user.id, message.trim(), {
+      today: date || todayIn(req.timeZone),
+      timeZone: req.timeZone,
+      context: conversations.get(req.user.id, id),
+      timing: { ...(meal !== undefined ? { meal } : {}), ...(eaten_at !== undefined ? { eaten_at } : {}) },
+    });
+    conversations.save(req.user.id, id, answer.context);
+    return res.status(200).json(makeSuccess('Chat response', {
+      conversation_id: id,
+      intent: answer.intent,
+      confidence: answer.confidence,
+      response: answer.text,
+      data: answer.data,
+      suggestions: answer.suggestions,
+    }));
+  } catch (e) {
+    return res.status(500).json(makeError('DB_ERROR', 'Failed to answer chat message', { details: e.message }));
+  }
 });
 // Catch-all route for SPA - serve index.html for all non-API routes
 app.get('*', (req, res) => {
@@ -280,12 +2390,22 @@ app.use((req, res) => {
 // Global error handler
 // eslint-disable-next-line no-unused-vars
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  logger.error('Unhandled error', { path: req.path }, err);
   const status = err.status || 500;
   return res.status(status).json(makeError('INTERNAL_ERROR', 'An unexpected error occurred', { details: err.message || err }));
 });
-// Start server
-app.listen(PORT, HOST, () => {
-  console.log(`Server running on http://${HOST}:${PORT}`);
-  console.log('Using Open Food Facts API (completely free, no API key required)');
+// Start server once the schema is migrated and the generic foods are loaded
+const start = async () => {
+  await createMigrator(database, { logger }).up();
+  await ensureNutrientColumns(database);
+  await seedGenericFoods(runExecute);
+  if (usesOpenFoodFacts) openFoodFactsMonitor.refresh();
+  const { host, port } = config.server;
+  app.listen(port, host, () => {
+    logger.info(`Server running on http://${host}:${port}`, { env: config.env, nutrition_providers: nutritionService.providers });
+  });
+};
+start().catch((err) => {
+  logger.error('Failed to start server', err);
+  process.exit(1);
 });
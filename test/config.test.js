@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, ConfigError } = require('../lib/config');
+
+test('production refuses to start without JWT_SECRET', () => {
+  assert.throws(() => loadConfig({ NODE_ENV: 'production' }), (error) => error instanceof ConfigError
+    && error.problems.includes('JWT_SECRET is required when NODE_ENV is production'));
+  assert.throws(() => loadConfig({ NODE_ENV: 'production', JWT_SECRET: '  ' }), ConfigError);
+  const config = loadConfig({ NODE_ENV: 'production', JWT_SECRET: 'secret' });
+  assert.equal(config.auth.jwtSecret, 'secret');
+  assert.equal(config.auth.jwtSecretGenerated, false);
+});
+
+test('development and test fall back to a random per-process secret', () => {
+  for (const env of [{}, { NODE_ENV: 'development' }, { NODE_ENV: 'test' }]) {
+    const config = loadConfig(env);
+    assert.equal(config.auth.jwtSecretGenerated, true);
+    assert.match(config.auth.jwtSecret, /^[0-9a-f]{64}$/);
+  }
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, formatCsvLine, EXPORT_COLUMNS, readImport } = require('../lib/importExport');
+
+const FOOD_NAMES = ['-5% yogurt', '=Brand', '+1 protein bar', '@home granola', 'Oats, "rolled"', "Grandma's pie", "'=already quoted", 'plain'];
+
+test('formula-looking text survives export and import unchanged', () => {
+  const exported = [
+    formatCsvLine(EXPORT_COLUMNS),
+    ...FOOD_NAMES.map((name) => formatCsvLine(EXPORT_COLUMNS.map((column) => ({
+      date: '2024-05-01',
+      eaten_at: '2024-05-01T12:00:00.000Z',
+      food_name: name,
+      quantity: 1,
+      unit: 'serving',
+      calories: 100,
+      product_name: name,
+      timezone: 'UTC',
+    })[column] ?? null))),
+  ].join('');
+  // Spreadsheets must not see a formula in the file itself
+  assert.ok(exported.includes("'-5% yogurt") && exported.includes("'=Brand"));
+
+  const rows = readImport(exported, 'csv');
+  assert.deepEqual(rows.map((row) => row.errors), FOOD_NAMES.map(() => undefined));
+  assert.deepEqual(rows.map((row) => row.value.food_name), FOOD_NAMES);
+  assert.deepEqual(rows.map((row) => row.value.product_name), FOOD_NAMES);
+});
+
+test('only a single apostrophe before a formula character is removed', () => {
+  assert.deepEqual(parseCsv("'=SUM(A1),''=x,'plain,\"'-1, quoted\"\r\n"), [["=SUM(A1)", "'=x", "'plain", '-1, quoted']]);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dayRange, parseDateTime, zonedTimeToUtc, sameTimeOnDate, dateInZone } = require('../lib/dates');
+
+const HOUR = 3600000;
+const iso = (ms) => new Date(ms).toISOString();
+const hoursIn = ({ start, end }) => (new Date(end) - new Date(start)) / HOUR;
+
+// 2024 transitions:
+//   Europe/Berlin     Mar 31 02:00 -> 03:00, Oct 27 03:00 -> 02:00
+//   America/New_York  Mar 10 02:00 -> 03:00, Nov 3 02:00 -> 01:00
+//   America/Santiago  Sep 8 00:00 -> 01:00 (midnight is skipped), Apr 7 00:00 -> Apr 6 23:00
+
+test('dayRange covers 23-hour and 25-hour days', () => {
+  assert.deepEqual(dayRange('2024-03-31', '2024-03-31', 'Europe/Berlin'), {
+    start: '2024-03-30T23:00:00.000Z',
+    end: '2024-03-31T22:00:00.000Z',
+  });
+  assert.deepEqual(dayRange('2024-10-27', '2024-10-27', 'Europe/Berlin'), {
+    start: '2024-10-26T22:00:00.000Z',
+    end: '2024-10-27T23:00:00.000Z',
+  });
+  assert.deepEqual(dayRange('2024-03-10', '2024-03-10', 'America/New_York'), {
+    start: '2024-03-10T05:00:00.000Z',
+    end: '2024-03-11T04:00:00.000Z',
+  });
+  assert.deepEqual(dayRange('2024-11-03', '2024-11-03', 'America/New_York'), {
+    start: '2024-11-03T04:00:00.000Z',
+    end: '2024-11-04T05:00:00.000Z',
+  });
+  assert.equal(hoursIn(dayRange('2024-03-31', '2024-03-31', 'Europe/Berlin')), 23);
+  assert.equal(hoursIn(dayRange('2024-11-03', '2024-11-03', 'America/New_York')), 25);
+});
+
+test('dayRange starts a day without a midnight at its first instant', () => {
+  // Sep 8 begins at 01:00 -03 and so lasts 23 hours
+  assert.deepEqual(dayRange('2024-09-08', '2024-09-08', 'America/Santiago'), {
+    start: '2024-09-08T04:00:00.000Z',
+    end: '2024-09-09T03:00:00.000Z',
+  });
+  assert.equal(hoursIn(dayRange('2024-09-08', '2024-09-08', 'America/Santiago')), 23);
+  assert.equal(hoursIn(dayRange('2024-09-07', '2024-09-07', 'America/Santiago')), 24);
+  // Apr 6 runs until midnight -04 and so lasts 25 hours
+  assert.deepEqual(dayRange('2024-04-06', '2024-04-06', 'America/Santiago'), {
+    start: '2024-04-06T03:00:00.000Z',
+    end: '2024-04-07T04:00:00.000Z',
+  });
+  // Consecutive days leave no gap or overlap
+  assert.equal(dayRange('2024-09-07', '2024-09-07', 'America/Santiago').end, dayRange('2024-09-08', '2024-09-08', 'America/Santiago').start);
+  assert.deepEqual(dayRange('2024-09-07', '2024-09-08', 'America/Santiago'), {
+    start: '2024-09-07T04:00:00.000Z',
+    end: '2024-09-09T03:00:00.000Z',
+  });
+});
+
+test('zonedTimeToUtc moves times in the spring-forward gap past the jump', () => {
+  assert.equal(iso(zonedTimeToUtc('2024-03-31', '02:30', 'Europe/Berlin')), '2024-03-31T01:30:00.000Z');
+  assert.equal(iso(zonedTimeToUtc('2024-03-10', '02:30', 'America/New_York')), '2024-03-10T07:30:00.000Z');
+  assert.equal(iso(zonedTimeToUtc('2024-09-08', '00:00', 'America/Santiago')), '2024-09-08T04:00:00.000Z');
+  // Either side of the gap is unaffected
+  assert.equal(iso(zonedTimeToUtc('2024-03-31', '01:59', 'Europe/Berlin')), '2024-03-31T00:59:00.000Z');
+  assert.equal(iso(zonedTimeToUtc('2024-03-31', '03:00', 'Europe/Berlin')), '2024-03-31T01:00:00.000Z');
+});
+
+test('zonedTimeToUtc resolves fall-back times to their first occurrence', () => {
+  assert.equal(iso(zonedTimeToUtc('2024-10-27', '02:30', 'Europe/Berlin')), '2024-10-27T00:30:00.000Z');
+  assert.equal(iso(zonedTimeToUtc('2024-11-03', '01:30', 'America/New_York')), '2024-11-03T05:30:00.000Z');
+  assert.equal(iso(zonedTimeToUtc('2024-04-06', '23:30', 'America/Santiago')), '2024-04-07T02:30:00.000Z');
+  assert.equal(dateInZone(zonedTimeToUtc('2024-04-06', '23:30', 'America/Santiago'), 'America/Santiago'), '2024-04-06');
+});
+
+test('zonedTimeToUtc rejects times outside the day', () => {
+  assert.throws(() => zonedTimeToUtc('2024-01-01', '25:00', 'UTC'), RangeError);
+  assert.throws(() => zonedTimeToUtc('2024-01-01', '12:60', 'UTC'), RangeError);
+});
+
+test('parseDateTime reads wall-clock times in the zone and honours explicit offsets', () => {
+  assert.deepEqual(parseDateTime('2024-03-31T02:30', 'Europe/Berlin'), { iso: '2024-03-31T01:30:00.000Z', date: '2024-03-31' });
+  // Without an offset the repeated hour is its first occurrence; an offset picks the second
+  assert.deepEqual(parseDateTime('2024-10-27T02:30', 'Europe/Berlin'), { iso: '2024-10-27T00:30:00.000Z', date: '2024-10-27' });
+  assert.deepEqual(parseDateTime('2024-10-27T02:30+01:00', 'Europe/Berlin'), { iso: '2024-10-27T01:30:00.000Z', date: '2024-10-27' });
+  assert.deepEqual(parseDateTime('2024-11-03T01:30-05:00', 'America/New_York'), { iso: '2024-11-03T06:30:00.000Z', date: '2024-11-03' });
+  assert.deepEqual(parseDateTime('2024-09-08T00:30', 'America/Santiago'), { iso: '2024-09-08T04:30:00.000Z', date: '2024-09-08' });
+  // The date is the zone's, not UTC's
+  assert.deepEqual(parseDateTime('2024-03-10T23:30:00Z', 'America/New_York'), { iso: '2024-03-10T23:30:00.000Z', date: '2024-03-10' });
+  assert.deepEqual(parseDateTime('2024-03-11T03:30:00Z', 'America/New_York'), { iso: '2024-03-11T03:30:00.000Z', date: '2024-03-10' });
+});
+
+test('parseDateTime rejects invalid dates and times with or without an offset', () => {
+  for (const value of [
+    '2024-01-01T25:00',
+    '2024-01-01T25:00+01:00',
+    '2024-01-01T24:00Z',
+    '2024-01-01T23:60',
+    '2024-01-01T10:00:60Z',
+    '2024-02-30T10:00',
+    '2024-01-01 10:00',
+    '2024-01-01',
+    '',
+    null,
+  ]) {
+    assert.equal(parseDateTime(value, 'Europe/Berlin'), null, String(value));
+  }
+});
+
+test('sameTimeOnDate keeps the wall-clock time across DST changes', () => {
+  // 19:00 CEST -> 19:00 CET, milliseconds kept
+  assert.equal(sameTimeOnDate('2024-10-26T17:00:00.250Z', '2024-10-28', 'Europe/Berlin'), '2024-10-28T18:00:00.250Z');
+  // 08:15 EST -> 08:15 EDT
+  assert.equal(sameTimeOnDate('2024-03-09T13:15:00Z', '2024-03-10', 'America/New_York'), '2024-03-10T12:15:00.000Z');
+  // 02:30 doesn't exist on Mar 31 in Berlin, so it lands an hour later by the clock
+  assert.equal(sameTimeOnDate('2024-03-30T01:30:00Z', '2024-03-31', 'Europe/Berlin'), '2024-03-31T01:30:00.000Z');
+  // 00:20 doesn't exist on Sep 8 in Santiago
+  assert.equal(sameTimeOnDate('2024-09-05T04:20:00Z', '2024-09-08', 'America/Santiago'), '2024-09-08T04:20:00.000Z');
+  // 01:30 happens twice on Nov 3 in New York; the copy takes the first
+  assert.equal(sameTimeOnDate('2024-11-02T05:30:00Z', '2024-11-03', 'America/New_York'), '2024-11-03T05:30:00.000Z');
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase } = require('../lib/db');
+
+const silent = { debug() {}, info() {}, warn() {}, error() {} };
+const tick = (ms = 20) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const withDatabase = async (fn) => {
+  const database = createDatabase(':memory:', { logger: silent });
+  try {
+    await database.runExecute('CREATE TABLE items (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL)');
+    await fn(database);
+  } finally {
+    await database.close();
+  }
+};
+
+const names = async (database) => (await database.runQuery('SELECT name FROM items ORDER BY id')).map((row) => row.name);
+
+test('a write issued while a failing transaction is open is not rolled back with it', async () => {
+  await withDatabase(async (database) => {
+    const batch = database.transaction(async () => {
+      await database.runExecute("INSERT INTO items (name) VALUES ('batch 1')");
+      await tick(50);
+      await database.runExecute("INSERT INTO items (name) VALUES ('batch 2')");
+      throw new Error('item 3 failed');
+    });
+    // Another request writes while the batch is still open
+    await tick();
+    const outside = database.runExecute("INSERT INTO items (name) VALUES ('other request')");
+    await assert.rejects(batch, /item 3 failed/);
+    await outside;
+    assert.deepEqual(await names(database), ['other request']);
+  });
+});
+
+test('statements from outside wait for the open transaction to commit', async () => {
+  await withDatabase(async (database) => {
+    const order = [];
+    const batch = database.transaction(async () => {
+      await database.runExecute("INSERT INTO items (name) VALUES ('batch')");
+      await tick(50);
+      order.push('commit');
+    });
+    await tick();
+    const count = await database.runQuery('SELECT COUNT(*) AS count FROM items');
+    order.push('read');
+    await batch;
+    assert.equal(count[0].count, 1);
+    assert.deepEqual(order, ['commit', 'read']);
+  });
+});
+
+test('a transaction starts after statements already running and queues behind another', async () => {
+  await withDatabase(async (database) => {
+    const before = database.runExecute("INSERT INTO items (name) VALUES ('before')");
+    const first = database.transaction(async () => {
+      await database.runExecute("INSERT INTO items (name) VALUES ('first')");
+      await tick();
+      throw new Error('rolled back');
+    });
+    const second = database.transaction(() => database.runExecute("INSERT INTO items (name) VALUES ('second')"));
+    await before;
+    await assert.rejects(first, /rolled back/);
+    await second;
+    assert.deepEqual(await names(database), ['before', 'second']);
+  });
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase } = require('../lib/db');
+const { createMigrator, loadMigrations } = require('../lib/migrations');
+const { ensureNutrientColumns } = require('../lib/nutrients');
+
+const silent = { debug() {}, info() {}, warn() {}, error() {} };
+
+const schemaVersion = async (database) => {
+  const rows = await database.runQuery('SELECT MAX(version) AS version, COUNT(*) AS count FROM schema_migrations');
+  return rows[0];
+};
+
+test('migrations apply to an empty :memory: database and a second run is a no-op', async () => {
+  const database = createDatabase(':memory:', { logger: silent });
+  try {
+    const migrator = createMigrator(database, { logger: silent });
+    const all = loadMigrations();
+    const latest = all[all.length - 1].version;
+
+    const first = await migrator.up();
+    await ensureNutrientColumns(database);
+    assert.equal(first.length, all.length);
+    assert.deepEqual(await schemaVersion(database), { version: latest, count: all.length });
+
+    const second = await migrator.up();
+    await ensureNutrientColumns(database);
+    assert.equal(second.length, 0);
+    assert.deepEqual(await schemaVersion(database), { version: latest, count: all.length });
+    assert.ok((await migrator.status()).every((row) => row.applied_at && !row.missing));
+  } finally {
+    await database.close();
+  }
+});
+
+test('every migration rolls back and re-applies cleanly', async () => {
+  const database = createDatabase(':memory:', { logger: silent });
+  try {
+    const migrator = createMigrator(database, { logger: silent });
+    const all = loadMigrations();
+    await migrator.up();
+    const reverted = await migrator.rollback(all.length);
+    assert.equal(reverted.length, all.length);
+    assert.deepEqual(await schemaVersion(database), { version: null, count: 0 });
+    assert.equal((await migrator.up()).length, all.length);
+    assert.equal((await schemaVersion(database)).version, all[all.length - 1].version);
+  } finally {
+    await database.close();
+  }
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase } = require('../lib/db');
+const { createMigrator } = require('../lib/migrations');
+const { createLookupCache, withCache } = require('../lib/nutrition/cache');
+const { createNutritionService } = require('../lib/nutrition');
+
+const silent = { debug() {}, info() {}, warn() {}, error() {} };
+
+const candidate = (name) => ({ code: null, name, per100g: { calories: 100, protein: 1, carbs: 1, fat: 1 } });
+
+const withCachedProvider = async (fn) => {
+  const database = createDatabase(':memory:', { logger: silent });
+  try {
+    await createMigrator(database, { logger: silent }).up();
+    const cache = createLookupCache({
+      runQuery: database.runQuery,
+      runExecute: database.runExecute,
+      ttlMs: 60000,
+      staleMs: 60000,
+      negativeTtlMs: 60000,
+      logger: silent,
+    });
+    const calls = [];
+    const provider = {
+      name: 'openfoodfacts',
+      lookup: async (foodName) => {
+        calls.push(foodName);
+        return { name: foodName };
+      },
+      search: async (query) => {
+        calls.push(query);
+        return [candidate(`${query} 1`), candidate(`${query} 2`)];
+      },
+    };
+    await fn(withCache(provider, cache), calls);
+  } finally {
+    await database.close();
+  }
+};
+
+test('names in non-Latin scripts are cached under their own keys', async () => {
+  await withCachedProvider(async (provider, calls) => {
+    assert.deepEqual(await provider.lookup('寿司'), { name: '寿司' });
+    assert.deepEqual(await provider.lookup('Борщ'), { name: 'Борщ' });
+    assert.deepEqual(await provider.lookup('Crème brûlée'), { name: 'Crème brûlée' });
+    assert.deepEqual(calls, ['寿司', 'Борщ', 'Crème brûlée']);
+
+    // A repeat is served from the cache, normalized like any other name
+    assert.deepEqual(await provider.lookup('  борщ! '), { name: 'Борщ' });
+    assert.equal(calls.length, 3);
+  });
+});
+
+test('names that normalize to nothing skip the cache', async () => {
+  await withCachedProvider(async (provider, calls) => {
+    assert.deepEqual(await provider.lookup('!!!'), { name: '!!!' });
+    assert.deepEqual(await provider.lookup('???'), { name: '???' });
+    assert.deepEqual(calls, ['!!!', '???']);
+  });
+});
+
+test('candidate lists for non-Latin queries are cached per query', async () => {
+  await withCachedProvider(async (provider, calls) => {
+    assert.deepEqual((await provider.search('寿司', 20)).map((c) => c.name), ['寿司 1', '寿司 2']);
+    assert.deepEqual((await provider.search('борщ', 20)).map((c) => c.name), ['борщ 1', 'борщ 2']);
+    assert.deepEqual((await provider.search('...', 20)).map((c) => c.name), ['... 1', '... 2']);
+    assert.deepEqual((await provider.search('---', 20)).map((c) => c.name), ['--- 1', '--- 2']);
+    assert.equal(calls.length, 4);
+  });
+});
+
+test('search keeps code-less candidates with different non-Latin names apart', async () => {
+  const provider = {
+    name: 'local',
+    search: async () => [candidate('寿司'), candidate('борщ'), candidate('Борщ'), candidate('★'), candidate('☆')],
+  };
+  const service = createNutritionService({ providers: [provider], logger: silent });
+  const results = await service.searchFoods('food');
+  assert.deepEqual(results.map((result) => result.product_name).sort(), ['борщ', '★', '☆', '寿司']);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseServingSize, toGrams } = require('../lib/units');
+
+test('serving labels in fluid ounces are read as volume, not mass', () => {
+  assert.equal(parseServingSize('8 fl oz'), 8 * 29.5735295625);
+  assert.equal(parseServingSize('12 FL. OZ', 1.04), 12 * 29.5735295625 * 1.04);
+  assert.equal(parseServingSize('1 oz'), 28.349523125);
+});
+
+test('serving labels prefer the metric amount', () => {
+  assert.equal(parseServingSize('250 ml (8 fl oz)'), 250);
+  assert.equal(parseServingSize('8 fl oz (250 ml)'), 250);
+  assert.equal(parseServingSize('1 cup (240 ml)', 1.03), 240 * 1.03);
+  assert.equal(parseServingSize('2 biscuits (25g)'), 25);
+  assert.equal(parseServingSize('one bar'), null);
+});
+
+test('a serving of a drink labelled in fluid ounces converts to grams by volume', () => {
+  const { grams, assumptions } = toGrams(1, 'serving', { serving_size: '8 fl oz', density: 1 });
+  assert.equal(grams, 8 * 29.5735295625);
+  assert.deepEqual(assumptions, ['serving_from_label']);
+});